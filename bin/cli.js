@@ -1,78 +1,672 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+// `ccnudge hook` (run by hooks of older versions) goes straight to the hook
+// runtime without loading the CLI; `ccnudge hook --help` stays here
+const HOOK_ARGS = process.argv.slice(3);
+if (process.argv[2] === 'hook' && !HOOK_ARGS.some(arg => arg === '--help' || arg === '-h')) {
+  require('./hook').main(HOOK_ARGS);
+  return;
+}
+
+const { program, Option } = require('commander');
 const inquirer = require('inquirer');
-const path = require('path');
-const fs = require('fs').promises;
 const {
-  setupNotification,
+  setupNotifications,
   listSounds,
+  addSound,
+  importSounds,
+  removeSound,
+  listPlayers,
+  choosePlayer,
   testSound,
   testDesktopNotification,
+  testSpeech,
+  testChannels,
   removeNotification,
   enableNotifications,
   disableNotifications,
+  applyConfiguration,
+  exportConfiguration,
+  importConfiguration,
+  createProfile,
+  useProfile,
+  deleteProfile,
+  listProfiles,
+  addRule,
+  removeRule,
+  listRules,
+  listHistory,
+  rollbackConfiguration,
   getStatus,
-  getAvailableEvents
+  runDoctor,
+  simulateEvent,
+  getAvailableEvents,
+  setupFromFile,
+  supportsMatcher,
+  validateMatcher,
+  validateSound,
+  validateMinDuration,
+  validateSpeech,
+  validateVolume,
+  validateSetupOptions,
+  printDiffs,
+  getSuggestedSound,
+  isTimedEvent
 } = require('../lib/setup');
+const { getMatcherInfo } = require('../lib/events');
+const { DEFAULT_SCOPE, resolveScope } = require('../lib/scopes');
+const { getDefaultTemplate } = require('../lib/runtime');
+const { loadEffectiveConfig } = require('../lib/config');
+const { getChannelTypes, validateChannel } = require('../lib/channels');
+const { consoleLogger, silentLogger } = require('../lib/logger');
+const { getPlatformConfig } = require('../lib/sounds');
+const { findSounds, describeSounds, formatDuration, formatSize } = require('../lib/catalog');
+const SoundPrompt = require('../lib/picker');
 const packageJson = require('../package.json');
 
-// Get platform config for defaults
-function getPlatformConfig() {
-  const os = require('os');
-  const platform = os.platform();
+inquirer.registerPrompt('sound', SoundPrompt);
+
+// Choices for the sound picker: every sound in the index, with its length
+async function getSoundChoices() {
+  const sounds = await describeSounds(await findSounds());
+
+  return [
+    { name: `Default (${getPlatformConfig().defaultSound})`, value: 'default', short: 'Default', pinned: true },
+    ...sounds.map(sound => ({
+      name: `${sound.name} (${formatDuration(sound.duration)}, ${formatSize(sound.size)})`,
+      value: sound.name,
+      short: sound.name,
+      search: `${sound.name} ${sound.id}.${sound.format}`
+    })),
+    { name: 'Custom path...', value: 'custom', short: 'Custom path', pinned: true }
+  ];
+}
+
+// Runs a library call for a command. With --json the report is replaced by
+// the result object, and errors are printed as JSON on stdout as well.
+async function runReported(options, run) {
+  try {
+    const result = await run(options.json ? silentLogger : consoleLogger);
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    }
+    return result;
+  } catch (error) {
+    if (options.json) {
+      const details = typeof error.toJSON === 'function' ? error.toJSON() : { message: error.message };
+      console.log(JSON.stringify({ ok: false, error: details }, null, 2));
+    } else {
+      console.error('Error:', error.message);
+    }
+    process.exit(1);
+  }
+}
+
+// Collects repeated options (--channel a --channel b) into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// Turns one of the shared validators into an inquirer `validate` function,
+// so prompts and flags report the same errors
+function promptValidator(validate) {
+  return async (input) => {
+    try {
+      await validate(input);
+      return true;
+    } catch (error) {
+      return error.message;
+    }
+  };
+}
+
+// For optional number prompts: empty stays '', and anything that isn't a
+// number is left for the validator to report
+function toNumber(value) {
+  const text = String(value).trim();
+  return text === '' || Number.isNaN(Number(text)) ? text : Number(text);
+}
 
-  const configs = {
-    darwin: {
-      defaultSound: '/System/Library/Sounds/Glass.aiff',
-      soundsPath: '/System/Library/Sounds',
-      extension: '.aiff'
+// Asks for a new HTTP channel. It is saved to the scope's ccnudge config
+// along with the events, so returns { name, channel }.
+async function promptNewChannel() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Channel name (e.g. phone, team-slack):',
+      validate: (input) => /^[\w-]+$/.test(input) ? true : 'Use letters, numbers, - and _ only.'
+    },
+    {
+      type: 'list',
+      name: 'type',
+      message: 'Channel type:',
+      choices: getChannelTypes()
     },
-    linux: {
-      defaultSound: '/usr/share/sounds/freedesktop/stereo/complete.oga',
-      soundsPath: '/usr/share/sounds',
-      extension: '.oga'
+    {
+      type: 'input',
+      name: 'url',
+      message: (answers) => answers.type === 'ntfy' || answers.type === 'gotify' ? 'Server URL (e.g. https://ntfy.sh):' : 'Webhook URL:',
+      when: (answers) => answers.type !== 'log',
+      validate: (input) => /^https?:\/\/\S+$/.test(input) ? true : 'Please enter an http(s) URL.'
     },
-    win32: {
-      defaultSound: 'C:\\Windows\\Media\\Windows Notify System Generic.wav',
-      soundsPath: 'C:\\Windows\\Media',
-      extension: '.wav'
+    {
+      type: 'input',
+      name: 'topic',
+      message: 'ntfy topic:',
+      when: (answers) => answers.type === 'ntfy',
+      validate: (input) => input ? true : 'Please enter a topic.'
+    },
+    {
+      type: 'input',
+      name: 'path',
+      message: 'Log file:',
+      when: (answers) => answers.type === 'log',
+      default: '~/.ccnudge/notifications.log'
+    },
+    {
+      type: 'password',
+      name: 'token',
+      message: 'Gotify application token:',
+      when: (answers) => answers.type === 'gotify',
+      validate: (input) => input ? true : 'Please enter a token.'
     }
-  };
+  ]);
+
+  const channel = { type: answers.type };
+  if (answers.url) {
+    channel.url = answers.url;
+  }
+  if (answers.path) {
+    channel.path = answers.path;
+  }
+  if (answers.topic) {
+    channel.topic = answers.topic;
+  }
+  if (answers.token) {
+    channel.token = answers.token;
+  }
 
-  return configs[platform];
+  validateChannel(answers.name, channel);
+  return { name: answers.name, channel };
 }
 
-async function getSystemSounds() {
-  const config = getPlatformConfig();
+// Asks which HTTP channels an event should also be sent to. New channels go
+// into `newChannels`, so later events can use them too.
+async function promptChannels(target, newChannels) {
+  const { useChannels } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'useChannels',
+      message: `Also send ${target} to a push/webhook channel (ntfy, Gotify, Slack, Discord, HTTP)?`,
+      default: false
+    }
+  ]);
 
-  try {
-    const files = await fs.readdir(config.soundsPath);
-    return files
-      .filter(f => f.endsWith(config.extension))
-      .map(f => path.basename(f, config.extension));
-  } catch {
+  if (!useChannels) {
     return [];
   }
+
+  const defined = { ...(await loadEffectiveConfig()).channels, ...newChannels };
+  const names = Object.keys(defined);
+  let selected = [];
+
+  if (names.length > 0) {
+    ({ selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Channels:',
+        choices: [
+          ...names.map(name => ({ name: `${name} (${defined[name].type})`, value: name })),
+          { name: 'Add a new channel...', value: null }
+        ]
+      }
+    ]));
+  }
+
+  if (names.length === 0 || selected.includes(null)) {
+    const { name, channel } = await promptNewChannel();
+    newChannels[name] = channel;
+    selected = selected.filter(Boolean);
+    selected.push(name);
+  }
+
+  return selected;
+}
+
+// Asks for the sound and desktop settings of one event (or one matcher of a
+// tool event). Returns them as a group for setupNotifications.
+async function configureEventGroup(event, { matcher, soundChoices, testByDefault, newChannels }) {
+  const config = getPlatformConfig();
+  const target = matcher ? `${event} (${matcher})` : event;
+  // Start on the sound suggested for the event, when this machine has it
+  const suggested = getSuggestedSound(event, matcher);
+  const defaultSound = soundChoices.some(choice => choice.value === suggested) ? suggested : 'default';
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'sound',
+      name: 'soundChoice',
+      message: `Choose notification sound for ${target}:`,
+      choices: soundChoices,
+      default: defaultSound,
+      // Plays the highlighted sound; errors show under the list
+      preview: async (value) => {
+        if (value !== 'custom') {
+          await testSound(value, { logger: silentLogger });
+        }
+      }
+    },
+    {
+      type: 'input',
+      name: 'customPath',
+      message: 'Enter the full path to your sound file:',
+      when: (answers) => answers.soundChoice === 'custom',
+      validate: promptValidator(validateSound)
+    },
+    {
+      type: 'confirm',
+      name: 'addToLibrary',
+      message: 'Copy it into your sound library, so moving the file doesn\'t break the hook?',
+      // A dry run doesn't copy anything
+      when: (answers) => answers.soundChoice === 'custom' && !isDryRun(),
+      default: true
+    },
+    {
+      type: 'input',
+      name: 'volume',
+      message: 'Volume (0-100, empty to play the sound as it is):',
+      filter: toNumber,
+      validate: promptValidator(value => validateVolume(value === '' ? undefined : value))
+    },
+    {
+      type: 'confirm',
+      name: 'testSound',
+      message: 'Test this sound?',
+      default: testByDefault
+    },
+    {
+      type: 'confirm',
+      name: 'desktopNotify',
+      message: `Enable desktop notifications for ${target}?`,
+      default: false
+    },
+    {
+      type: 'input',
+      name: 'body',
+      message: 'Notification message ({{project}}, {{tool_name}}, {{message}}, ... are filled in):',
+      when: (answers) => answers.desktopNotify,
+      default: getDefaultTemplate(event)
+    },
+    {
+      type: 'confirm',
+      name: 'speak',
+      message: `Speak a message for ${target} instead of playing the sound (the sound plays when no speech engine is installed)?`,
+      default: false
+    },
+    {
+      type: 'input',
+      name: 'speakTemplate',
+      message: 'Message to say ({{project}}, {{tool_name}}, {{message}}, ... are filled in):',
+      when: (answers) => answers.speak,
+      default: getDefaultTemplate(event),
+      validate: promptValidator(value => validateSpeech({ speak: value }))
+    },
+    {
+      type: 'input',
+      name: 'voice',
+      message: 'Voice (empty for the default voice):',
+      when: (answers) => answers.speak
+    },
+    {
+      type: 'input',
+      name: 'rate',
+      message: 'Speaking rate in words per minute (empty for the default):',
+      when: (answers) => answers.speak,
+      filter: toNumber,
+      validate: promptValidator(value => validateSpeech({ rate: value === '' ? undefined : value }))
+    },
+    {
+      type: 'confirm',
+      name: 'testSpeech',
+      message: 'Test the spoken message?',
+      when: (answers) => answers.speak,
+      default: testByDefault
+    },
+    {
+      type: 'number',
+      name: 'minDuration',
+      message: 'Only notify when the turn took longer than (seconds, 0 = always):',
+      when: () => isTimedEvent(event),
+      default: 0,
+      validate: promptValidator(validateMinDuration)
+    }
+  ]);
+
+  // Determine the sound path
+  let soundPath;
+  if (answers.soundChoice === 'default') {
+    soundPath = null; // Will use system default
+  } else if (answers.soundChoice === 'custom') {
+    soundPath = answers.customPath;
+    if (answers.addToLibrary) {
+      try {
+        soundPath = (await addSound(answers.customPath, { logger: consoleLogger })).name;
+      } catch (error) {
+        console.error('Could not add it to the library:', error.message);
+      }
+    }
+  } else {
+    soundPath = answers.soundChoice; // Sound name from the index
+  }
+
+  const volume = answers.volume === '' ? undefined : answers.volume;
+
+  // Test sound if requested
+  if (answers.testSound) {
+    console.log('Testing sound...');
+    try {
+      await testSound(soundPath || config.defaultSound, { volume, logger: consoleLogger });
+    } catch (error) {
+      console.error('Error testing sound:', error.message);
+    }
+  }
+
+  const speech = answers.speak
+    ? { speak: answers.speakTemplate, voice: answers.voice || undefined, rate: answers.rate || undefined }
+    : {};
+  if (answers.testSpeech) {
+    console.log('Testing spoken message...');
+    try {
+      await testSpeech(speech.speak, { voice: speech.voice, rate: speech.rate, volume, event, logger: consoleLogger });
+    } catch (error) {
+      console.error('Error testing spoken message:', error.message);
+    }
+  }
+
+  // Test desktop notification if enabled
+  if (answers.desktopNotify) {
+    console.log('Testing desktop notification...');
+    try {
+      await testDesktopNotification({ logger: consoleLogger });
+    } catch (error) {
+      console.error('Error testing desktop notification:', error.message);
+    }
+  }
+
+  const channels = await promptChannels(target, newChannels);
+
+  // Only store the message when it differs from the built-in template
+  const body = answers.body && answers.body !== getDefaultTemplate(event) ? answers.body : undefined;
+  return {
+    event,
+    sound: soundPath,
+    desktop: answers.desktopNotify,
+    body,
+    matcher,
+    minDuration: answers.minDuration,
+    channels,
+    ...speech,
+    volume
+  };
+}
+
+// Asks which tools (or notification types) one group of an event is for.
+// Returns the matcher, '' for all of them.
+async function promptMatcher(event) {
+  const info = getMatcherInfo(event);
+
+  if (info.values) {
+    const { matcher } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'matcher',
+        message: `Which ${info.name} should trigger ${event}?`,
+        choices: [
+          { name: `All ${info.name}`, value: '' },
+          ...Object.entries(info.values).map(([value, { description }]) => ({ name: `${value} - ${description}`, value }))
+        ]
+      }
+    ]);
+    return matcher;
+  }
+
+  const { matcher } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'matcher',
+      message: `Which ${info.name} should trigger ${event}? (e.g. ${info.examples}; empty for all ${info.name})`,
+      validate: promptValidator(input => validateMatcher(event, input))
+    }
+  ]);
+  return matcher;
+}
+
+// --sound, --desktop, ... belong to the --event before them, so setup records
+// them in command-line order instead of reading the parsed options
+const EVENT_GROUP_OPTIONS = {
+  sound: 'sound',
+  desktop: 'desktop',
+  matcher: 'matcher',
+  title: 'title',
+  body: 'body',
+  channel: 'channels',
+  speak: 'speak',
+  voice: 'voice',
+  rate: 'rate',
+  volume: 'volume',
+  'min-duration': 'minDuration'
+};
+
+function trackEventGroups(command) {
+  const tracked = { used: false, groups: [], errors: [] };
+
+  command.on('option:event', (event) => {
+    tracked.used = true;
+    tracked.groups.push({ event, channels: [] });
+  });
+
+  for (const [option, key] of Object.entries(EVENT_GROUP_OPTIONS)) {
+    command.on(`option:${option}`, (value) => {
+      const group = tracked.groups[tracked.groups.length - 1];
+      tracked.used = true;
+
+      if (!group) {
+        tracked.errors.push(`--${option} must follow the --event it belongs to`);
+      } else if (key === 'channels') {
+        group.channels.push(value);
+      } else if (key === 'desktop') {
+        group.desktop = true;
+      } else if (key === 'speak') {
+        // --speak without a template says the event's default message
+        group.speak = typeof value === 'string' ? value : true;
+      } else if (['minDuration', 'rate', 'volume'].includes(key)) {
+        // Leave anything that isn't a number for the validator to report
+        group[key] = value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+      } else {
+        group[key] = value;
+      }
+    });
+  }
+
+  return tracked;
+}
+
+function describeEventGroup(group) {
+  const parts = [`sound ${group.sound || 'default'}`];
+  if (group.speak) {
+    parts.push(group.speak === true ? 'speaks its message' : `speaks "${group.speak}"`);
+  }
+  if (group.volume !== undefined) {
+    parts.push(`volume ${group.volume}%`);
+  }
+  if (group.desktop) {
+    parts.push('desktop notification');
+  }
+  if (group.channels.length > 0) {
+    parts.push(`channels ${group.channels.join(', ')}`);
+  }
+  if (group.minDuration) {
+    parts.push(`turns over ${group.minDuration}s`);
+  }
+  return `${group.event}${group.matcher ? ` (${group.matcher})` : ''}: ${parts.join(', ')}`;
+}
+
+async function confirmSetup(message) {
+  if (!process.stdin.isTTY) {
+    throw new Error('No terminal to confirm in; pass --yes to set up without confirmation');
+  }
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message,
+      default: true
+    }
+  ]);
+  return confirm;
+}
+
+// Shows what setting up the groups (and adding `newChannels`) changes, asks
+// to go ahead unless `yes`, then saves them in one go. With --dry-run, only
+// shows the diff. Returns whether anything was saved.
+async function saveSetup(groups, newChannels, { scope, yes }) {
+  const options = { scope, channels: newChannels };
+
+  if (isDryRun()) {
+    await setupNotifications(groups, { ...options, dryRun: true, logger: consoleLogger });
+    return false;
+  }
+  if (!yes) {
+    const preview = await setupNotifications(groups, { ...options, dryRun: true });
+    printDiffs(consoleLogger, preview.files);
+    if (!(await confirmSetup('Save these changes?'))) {
+      console.log('Cancelled. Nothing was written.');
+      return false;
+    }
+  }
+
+  await setupNotifications(groups, { ...options, logger: consoleLogger });
+  return true;
+}
+
+// Setup without prompts, from --event groups or --from-file
+async function runFlagSetup(tracked, options) {
+  if (tracked.errors.length > 0) {
+    throw new Error(tracked.errors[0]);
+  }
+
+  if (options.fromFile) {
+    if (tracked.groups.length > 0) {
+      throw new Error('Use either --from-file or --event, not both');
+    }
+    if (isDryRun()) {
+      await setupFromFile(options.fromFile, { scope: options.scope, dryRun: true, logger: consoleLogger });
+      return;
+    }
+    if (!options.yes) {
+      const preview = await setupFromFile(options.fromFile, { scope: options.scope, dryRun: true });
+      printDiffs(consoleLogger, preview.files);
+      if (!(await confirmSetup(`Set up the events of ${options.fromFile}?`))) {
+        console.log('Cancelled. Nothing was written.');
+        return;
+      }
+    }
+    await setupFromFile(options.fromFile, { scope: options.scope, logger: consoleLogger });
+    return;
+  }
+
+  // Check every event before writing anything
+  for (const group of tracked.groups) {
+    try {
+      await validateSetupOptions(group.event, group.sound, group);
+    } catch (error) {
+      throw new Error(`--event ${group.event}: ${error.message}`);
+    }
+  }
+
+  console.log('CCNudge will set up:');
+  for (const group of tracked.groups) {
+    console.log(`  ${describeEventGroup(group)}`);
+  }
+  console.log('');
+
+  await saveSetup(tracked.groups, {}, { scope: options.scope, yes: options.yes });
 }
 
 program
   .name('ccnudge')
   .description('Configure sound and desktop notifications for Claude Code events')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  .addOption(new Option('--dry-run', 'Show the changes to settings.json and the ccnudge config as a diff without writing anything')
+    .env('CCNUDGE_DRY_RUN'));
 
-// Interactive setup command
-program
+function isDryRun() {
+  return Boolean(program.opts().dryRun);
+}
+
+// Commands that write files --dry-run can't show as a diff (the sound
+// library, exported configs, the player choice) refuse to run instead
+const WITHOUT_DRY_RUN = ['sounds add', 'sounds import', 'sounds remove', 'player', 'export'];
+
+program.hook('preAction', (root, command) => {
+  const name = command.parent && command.parent !== program ? `${command.parent.name()} ${command.name()}` : command.name();
+
+  if (isDryRun() && WITHOUT_DRY_RUN.includes(name) && command.args.length > 0) {
+    console.error(`Error: ccnudge ${name} can't do a dry run; run it without --dry-run`);
+    process.exit(1);
+  }
+});
+
+// Setup command (interactive, or driven by flags for scripts)
+const setupCommand = program
   .command('setup')
-  .description('Interactive setup for Claude Code notifications')
-  .action(async () => {
+  .description('Interactive setup for Claude Code notifications (no prompts with --event or --from-file)')
+  .option('--scope <scope>', 'Settings scope to write: user, project or local', DEFAULT_SCOPE)
+  .option('-e, --event <event>', 'Event to set up without prompts (repeatable; the options below apply to the --event before them)')
+  .option('-s, --sound <sound>', 'Sound name (see ccnudge list) or path to a sound file (default sound if omitted)')
+  .option('--desktop', 'Also show a desktop notification')
+  .option('-m, --matcher <matcher>', 'Only for these tools (PreToolUse/PostToolUse), e.g. Bash or Edit|Write, or notification types (Notification), e.g. idle_prompt')
+  .option('--title <template>', 'Notification title template')
+  .option('--body <template>', 'Notification message template')
+  .option('-c, --channel <name>', 'Push/webhook channel to send the message to (repeatable)')
+  .option('--speak [template]', 'Speak a message instead of playing the sound (the event\'s default message if no template is given)')
+  .option('--voice <voice>', 'Voice to speak with (see your speech engine)')
+  .option('--rate <wpm>', 'Speaking rate in words per minute')
+  .option('--volume <percent>', 'Play the sound at this volume, 0-100')
+  .option('--min-duration <seconds>', 'Only notify when the turn took longer (Stop, SubagentStop)')
+  .option('--from-file <file>', 'Set up the events of a ccnudge config file without prompts')
+  .option('-y, --yes', 'Don\'t ask for confirmation')
+  .action(async (options) => {
+    if (setupGroups.used || options.fromFile) {
+      try {
+        resolveScope(options.scope);
+        await runFlagSetup(setupGroups, options);
+      } catch (error) {
+        console.error('Setup error:', error.message);
+        process.exit(1);
+      }
+      return;
+    }
+
+    // e.g. the postinstall script run by npm without a terminal
+    if (!process.stdin.isTTY) {
+      console.error('Interactive setup needs a terminal. Set up without prompts instead, e.g.:');
+      console.error('  ccnudge setup --event Stop --sound <sound> --desktop --yes');
+      console.error('  ccnudge setup --from-file ccnudge.json --yes');
+      process.exit(1);
+    }
+
     console.log('\n👋 Welcome to CCNudge setup!\n');
     console.log('Get notified when Claude Code triggers different events.');
     console.log('You can configure different sounds for each event and use custom audio files.\n');
 
     try {
-      const systemSounds = await getSystemSounds();
-      const config = getPlatformConfig();
+      // Fail on an unknown scope before asking any questions
+      resolveScope(options.scope);
+
       const availableEvents = getAvailableEvents();
 
       // Ask which events to configure
@@ -92,14 +686,9 @@ program
         }
       ]);
 
-      const soundChoices = [
-        { name: `Default (${config.defaultSound})`, value: 'default' },
-        ...systemSounds.map(sound => ({
-          name: sound,
-          value: sound
-        })),
-        { name: 'Custom path...', value: 'custom' }
-      ];
+      const soundChoices = await getSoundChoices();
+      const groups = [];
+      const newChannels = {};
 
       console.log('');
 
@@ -107,70 +696,39 @@ program
       for (const event of selectedEvents) {
         console.log(`\n📌 Configuring ${event} event:\n`);
 
-        const answers = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'soundChoice',
-            message: `Choose notification sound for ${event}:`,
-            choices: soundChoices,
-            default: 'default'
-          },
-          {
-            type: 'input',
-            name: 'customPath',
-            message: 'Enter the full path to your sound file:',
-            when: (answers) => answers.soundChoice === 'custom',
-            validate: async (input) => {
-              try {
-                await fs.access(input);
-                return true;
-              } catch {
-                return 'File not found. Please enter a valid path.';
-              }
-            }
-          },
-          {
-            type: 'confirm',
-            name: 'testSound',
-            message: 'Test this sound?',
-            default: event === selectedEvents[0] // Test first event by default
-          },
-          {
-            type: 'confirm',
-            name: 'desktopNotify',
-            message: `Enable desktop notifications for ${event}?`,
-            default: false
-          }
-        ]);
-
-        // Determine the sound path
-        let soundPath;
-        if (answers.soundChoice === 'default') {
-          soundPath = null; // Will use system default
-        } else if (answers.soundChoice === 'custom') {
-          soundPath = answers.customPath;
-        } else {
-          soundPath = answers.soundChoice; // System sound name
-        }
+        let addAnother = true;
+        let testByDefault = event === selectedEvents[0]; // Test first event by default
 
-        // Test sound if requested
-        if (answers.testSound) {
-          console.log('Testing sound...');
-          try {
-            await testSound(soundPath || config.defaultSound);
-          } catch (error) {
-            console.error('Error testing sound:', error.message);
-          }
-        }
+        // Tool events (and Notification types) can get one sound per
+        // matcher, so keep asking until the user is done
+        while (addAnother) {
+          const matcher = supportsMatcher(event) ? await promptMatcher(event) : undefined;
+
+          groups.push(await configureEventGroup(event, {
+            matcher,
+            soundChoices,
+            testByDefault,
+            newChannels
+          }));
+          testByDefault = false;
 
-        // Test desktop notification if enabled
-        if (answers.desktopNotify) {
-          console.log('Testing desktop notification...');
-          await testDesktopNotification();
+          addAnother = false;
+          if (supportsMatcher(event)) {
+            ({ addAnother } = await inquirer.prompt([
+              {
+                type: 'confirm',
+                name: 'addAnother',
+                message: `Add another matcher for ${event} (${getMatcherInfo(event).name})?`,
+                default: false
+              }
+            ]));
+          }
         }
+      }
 
-        // Setup the notification for this event
-        await setupNotification(event, soundPath, answers.desktopNotify);
+      console.log('');
+      if (!(await saveSetup(groups, newChannels, { scope: options.scope, yes: options.yes }))) {
+        return;
       }
 
       console.log('\n✨ Setup complete! CCNudge is now active for ' + selectedEvents.length + ' event(s).\n');
@@ -191,14 +749,17 @@ program
     }
   });
 
+const setupGroups = trackEventGroups(setupCommand);
+
 // Start command (enable)
 program
   .command('start')
   .description('Enable CCNudge notifications')
   .option('-e, --event <event>', 'Specific event to enable (enables all if not specified)')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
   .action(async (options) => {
     try {
-      await enableNotifications(options.event);
+      await enableNotifications(options.event, { scope: options.scope, dryRun: isDryRun(), logger: consoleLogger });
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -210,9 +771,10 @@ program
   .command('stop')
   .description('Disable CCNudge notifications (keeps configuration)')
   .option('-e, --event <event>', 'Specific event to disable (disables all if not specified)')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
   .action(async (options) => {
     try {
-      await disableNotifications(options.event);
+      await disableNotifications(options.event, { scope: options.scope, dryRun: isDryRun(), logger: consoleLogger });
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -223,11 +785,39 @@ program
 program
   .command('status')
   .description('Show current CCNudge status')
-  .action(async () => {
-    try {
-      await getStatus();
-    } catch (error) {
-      console.error('Error:', error.message);
+  .option('--scope <scope>', 'Only show one settings scope (shows all layers if not specified)')
+  .option('--json', 'Print the status as JSON')
+  .action(async (options) => {
+    await runReported(options, logger => getStatus({ scope: options.scope, logger }));
+  });
+
+// Doctor command
+program
+  .command('doctor')
+  .description('Check why hooks might not fire or make noise, with a fix for each problem')
+  .option('--run', 'Also run the hook commands (they play sounds and send notifications, channels included)')
+  .option('--json', 'Print the checks as JSON')
+  .action(async (options) => {
+    const report = await runReported(options, logger => runDoctor({ run: options.run, logger }));
+    if (!report.ok) {
+      process.exit(1);
+    }
+  });
+
+// Simulate command
+program
+  .command('simulate <event>')
+  .description('Run every hook of an event (not only ccnudge\'s) with a payload like Claude Code\'s')
+  .option('--tool <name>', 'Tool name for PreToolUse and PostToolUse (default: Bash)')
+  .option('--type <type>', 'Notification type, e.g. permission_prompt or idle_prompt (default: permission_prompt)')
+  .option('--cwd <dir>', 'Project directory to put in the payload and run the hooks in')
+  .option('-m, --message <text>', 'Notification message (the prompt for UserPromptSubmit)')
+  .option('--scope <scope>', 'Only run the hooks of one settings scope (runs all, like Claude Code, if not specified)')
+  .option('--json', 'Print the payload and results as JSON')
+  .action(async (event, options) => {
+    const { tool, type, cwd, message, scope } = options;
+    const result = await runReported(options, logger => simulateEvent(event, { tool, type, cwd, message, scope, logger }));
+    if (!result.ok) {
       process.exit(1);
     }
   });
@@ -236,11 +826,22 @@ program
 program
   .command('notify')
   .description('Test sound and desktop notification')
-  .action(async () => {
+  .option('--scope <scope>', 'Settings scope to read the configured sound from', DEFAULT_SCOPE)
+  .option('-c, --channel <name>', 'Only test this push/webhook channel (repeatable)', collect, [])
+  .option('--all-channels', 'Only test every defined push/webhook channel')
+  .action(async (options) => {
     try {
+      if (options.channel.length > 0 || options.allChannels) {
+        const results = await testChannels(options.channel, { logger: consoleLogger });
+        if (results.some(result => !result.ok)) {
+          process.exit(1);
+        }
+        return;
+      }
+
       console.log('Testing notification...\n');
-      await testSound();
-      await testDesktopNotification();
+      await testSound(null, { scope: options.scope, logger: consoleLogger });
+      await testDesktopNotification({ logger: consoleLogger });
       console.log('\n✅ Notification test complete!');
     } catch (error) {
       console.error('Error:', error.message);
@@ -253,21 +854,83 @@ program
   .command('test')
   .description('Test the configured notification sound')
   .option('-s, --sound <sound>', 'Sound to test (optional)')
+  .option('--scope <scope>', 'Settings scope to read the configured sound from', DEFAULT_SCOPE)
+  .option('--player <player>', 'Play with this player instead of the configured one (Linux)')
+  .option('--speak <template>', 'Say this message with the text-to-speech engine instead')
+  .option('--voice <voice>', 'Voice to speak with')
+  .option('--rate <wpm>', 'Speaking rate in words per minute', toNumber)
+  .option('--volume <percent>', 'Play at this volume, 0-100 (default: the Stop event\'s volume)', toNumber)
+  .option('--json', 'Print the result as JSON')
   .action(async (options) => {
-    try {
-      await testSound(options.sound);
-    } catch (error) {
-      console.error('Error:', error.message);
-      process.exit(1);
+    const { voice, rate, volume } = options;
+    if (options.speak) {
+      await runReported(options, logger => testSpeech(options.speak, { voice, rate, volume, logger }));
+      return;
     }
+    await runReported(options, logger => testSound(options.sound, { scope: options.scope, player: options.player, volume, logger }));
   });
 
 // List command
 program
-  .command('list')
-  .description('List available system sounds')
-  .action(async () => {
-    await listSounds();
+  .command('list [search...]')
+  .description('List the system and user sounds, with their length and size')
+  .option('--json', 'Print the sounds as JSON')
+  .action(async (search, options) => {
+    await runReported(options, logger => listSounds({ search: search.join(' '), logger }));
+  });
+
+// Sound library commands
+const sounds = program
+  .command('sounds')
+  .description('Manage your own sounds, kept in ~/.ccnudge/sounds');
+
+sounds
+  .command('add <file>')
+  .description('Copy a sound into the library, to use it by name')
+  .option('-n, --name <name>', 'Name to use it by (default: the file name)')
+  .option('-f, --force', 'Replace a sound with the same name')
+  .option('--json', 'Print the added sound as JSON')
+  .action(async (file, options) => {
+    await runReported(options, logger => addSound(file, { name: options.name, force: options.force, logger }));
+  });
+
+sounds
+  .command('import <source>')
+  .description('Import a sound pack from a directory or .zip file')
+  .option('-n, --name <pack>', 'Name of the pack (default: the directory or zip name)')
+  .option('-f, --force', 'Replace a pack with the same name')
+  .option('--json', 'Print the imported sounds as JSON')
+  .action(async (source, options) => {
+    await runReported(options, logger => importSounds(source, { name: options.name, force: options.force, logger }));
+  });
+
+sounds
+  .command('remove <name>')
+  .description('Remove a sound or pack from the library')
+  .option('-f, --force', 'Remove it even if events use it (they fall back to the default sound)')
+  .option('--json', 'Print the result as JSON')
+  .action(async (name, options) => {
+    await runReported(options, logger => removeSound(name, { force: options.force, logger }));
+  });
+
+sounds
+  .command('list [search...]')
+  .description('List the sounds in the library')
+  .option('--json', 'Print the sounds as JSON')
+  .action(async (search, options) => {
+    await runReported(options, logger => listSounds({ library: true, search: search.join(' '), logger }));
+  });
+
+// Player command
+program
+  .command('player [name]')
+  .description('Show the sound players found on Linux, or choose one ("auto" detects it again)')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .option('--json', 'Print the players as JSON')
+  .action(async (name, options) => {
+    await runReported(options, logger => name
+      ? choosePlayer(name, { scope: options.scope, logger })
+      : listPlayers({ logger }));
   });
 
 // Remove command
@@ -275,8 +938,15 @@ program
   .command('remove')
   .description('Remove CCNudge configuration completely')
   .option('-e, --event <event>', 'Event to remove notification from (default: Stop)', 'Stop')
+  .option('-m, --matcher <matcher>', 'Only remove the notification for this tool matcher (or notification type)')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
   .action(async (options) => {
     try {
+      if (isDryRun()) {
+        await removeNotification(options.event, { scope: options.scope, matcher: options.matcher, dryRun: true, logger: consoleLogger });
+        return;
+      }
+
       const { confirm } = await inquirer.prompt([
         {
           type: 'confirm',
@@ -287,7 +957,7 @@ program
       ]);
 
       if (confirm) {
-        await removeNotification(options.event);
+        await removeNotification(options.event, { scope: options.scope, matcher: options.matcher, logger: consoleLogger });
       } else {
         console.log('Cancelled.');
       }
@@ -297,6 +967,199 @@ program
     }
   });
 
+// Apply command
+program
+  .command('apply')
+  .description('Write the hooks described by the ccnudge config into Claude Code settings')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .action(async (options) => {
+    try {
+      await applyConfiguration({ scope: options.scope, dryRun: isDryRun(), logger: consoleLogger });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Export command
+program
+  .command('export [file]')
+  .description('Export the ccnudge config (prints it if no file is given)')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .action(async (file, options) => {
+    try {
+      const result = await exportConfiguration(file, { scope: options.scope, logger: consoleLogger });
+      if (!file) {
+        console.log(JSON.stringify(result.config, null, 2));
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Import command
+program
+  .command('import <file>')
+  .description('Replace the ccnudge config with a file and apply it')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .action(async (file, options) => {
+    try {
+      await importConfiguration(file, { scope: options.scope, dryRun: isDryRun(), logger: consoleLogger });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// History commands
+program
+  .command('history')
+  .description('List the snapshots taken before every change, with what changed after each')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .option('--json', 'Print the snapshots as JSON')
+  .action(async (options) => {
+    await runReported(options, logger => listHistory({ scope: options.scope, logger }));
+  });
+
+program
+  .command('rollback <id>')
+  .description('Restore the ccnudge config and hooks of a snapshot (see ccnudge history)')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .option('--settings', 'Restore the whole settings.json (snapshots taken with "history": { "settings": true })')
+  .option('--json', 'Print the result as JSON')
+  .action(async (id, options) => {
+    await runReported(options, logger => rollbackConfiguration(id, { scope: options.scope, settings: options.settings, dryRun: isDryRun(), logger }));
+  });
+
+// Profile commands
+const profile = program
+  .command('profile')
+  .description('Switch between named sets of notification settings');
+
+profile
+  .command('create <name>')
+  .description('Save the current events as a profile')
+  .option('-p, --preset <preset>', 'Start from a preset: loud, desktop-only or silent-but-log')
+  .option('--from <profile>', 'Copy another profile instead of the current events')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .action(async (name, options) => {
+    try {
+      await createProfile(name, { preset: options.preset, from: options.from, scope: options.scope, dryRun: isDryRun(), logger: consoleLogger });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+profile
+  .command('use <name>')
+  .description('Switch to a profile (or preset) and rewrite the hooks')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .action(async (name, options) => {
+    try {
+      await useProfile(name, { scope: options.scope, dryRun: isDryRun(), logger: consoleLogger });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+profile
+  .command('list')
+  .description('List profiles and presets')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .action(async (options) => {
+    try {
+      await listProfiles({ scope: options.scope, logger: consoleLogger });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+profile
+  .command('delete <name>')
+  .description('Delete a profile')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .action(async (name, options) => {
+    try {
+      await deleteProfile(name, { scope: options.scope, dryRun: isDryRun(), logger: consoleLogger });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Rules command group
+const rules = program
+  .command('rules')
+  .description('Pick a sound, title or channel by project directory');
+
+rules
+  .command('add <glob>')
+  .description('Add a rule for the directories matching a glob, e.g. api-* or ~/code/frontend')
+  .option('-s, --sound <sound>', 'Sound to play instead of the event\'s own')
+  .option('--title <template>', 'Desktop notification title')
+  .option('-c, --channel <name>', 'Also send to this push/webhook channel (repeatable)', collect, [])
+  .option('-e, --event <event>', 'Only for this event (repeatable; all events if not given)', collect, [])
+  .option('--git-root', 'Match the root of the git repository instead of the directory')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .option('--json', 'Print the result as JSON')
+  .action(async (glob, options) => {
+    await runReported(options, logger => addRule(glob, {
+      sound: options.sound,
+      title: options.title,
+      channels: options.channel,
+      events: options.event,
+      gitRoot: options.gitRoot,
+      scope: options.scope,
+      dryRun: isDryRun(),
+      logger
+    }));
+  });
+
+rules
+  .command('list')
+  .description('List the rules and show which one applies here')
+  .option('--scope <scope>', 'Only list one settings scope (lists all, in the order they are tried, if not specified)')
+  .option('--cwd <dir>', 'Show which rule applies to this directory instead')
+  .option('--json', 'Print the rules as JSON')
+  .action(async (options) => {
+    await runReported(options, logger => listRules({ scope: options.scope, cwd: options.cwd, logger }));
+  });
+
+rules
+  .command('remove <rule>')
+  .description('Remove a rule by its number in "ccnudge rules list" or its glob')
+  .option('--scope <scope>', 'Settings scope: user, project or local', DEFAULT_SCOPE)
+  .option('--json', 'Print the result as JSON')
+  .action(async (rule, options) => {
+    await runReported(options, logger => removeRule(rule, { scope: options.scope, dryRun: isDryRun(), logger }));
+  });
+
+// Hook runtime (called by the hooks ccnudge writes into settings.json)
+program
+  .command('hook <event>')
+  .description('Run the notification for a Claude Code hook event (reads the hook payload from stdin)')
+  .option('-s, --sound <sound>', 'Sound file to play')
+  .option('--desktop', 'Show a desktop notification')
+  .option('--title <template>', 'Desktop notification title template')
+  .option('--body <template>', 'Desktop notification message template')
+  .option('--channel <name>', 'Push/webhook channel to send the message to (repeatable)', collect, [])
+  .option('--only <matcher>', 'Only run for notifications of this type (Notification)')
+  .option('--except <matcher>', 'Skip notifications of this type (Notification, repeatable)', collect, [])
+  .option('--speak <template>', 'Message template to speak instead of playing the sound')
+  .option('--voice <voice>', 'Voice to speak with')
+  .option('--rate <wpm>', 'Speaking rate in words per minute')
+  .option('--volume <percent>', 'Volume to play the sound at, 0-100')
+  .addOption(new Option('--flush', 'Show the coalesced notifications of a burst (internal)').hideHelp())
+  .addOption(new Option('--deliver <job>', 'Send a message to HTTP channels (internal)').hideHelp())
+  .action(async () => {
+    // Run by bin/hook.js; this command only documents its options
+    await require('./hook').main(HOOK_ARGS);
+  });
+
 // Default action (show help if no command)
 program.action(() => {
   program.help();
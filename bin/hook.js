@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+// Entry point of the hook runtime: the hooks ccnudge writes run
+// `node <this file> <event> [options]`, with the options of `ccnudge hook`.
+// Only the runtime is loaded, not the CLI and its prompts, because some
+// hooks (PreToolUse, UserPromptSubmit) hold up Claude Code while they run.
+const { parseHookArgs } = require('../lib/hooks');
+const { runHook, flushCoalesced, deliverInBackground } = require('../lib/runtime');
+
+async function main(args) {
+  const [event, ...rest] = args;
+  if (!event || event.startsWith('-')) {
+    console.error('Usage: ccnudge hook <event> [options] (see "ccnudge hook --help")');
+    process.exitCode = 1;
+    return;
+  }
+
+  // Never fail the hook: a non-zero exit would surface as an error in Claude Code
+  try {
+    let errors;
+    const deliver = rest.indexOf('--deliver');
+    if (rest.includes('--flush')) {
+      errors = await flushCoalesced(event);
+    } else if (deliver !== -1) {
+      errors = await deliverInBackground(event, rest[deliver + 1]);
+    } else {
+      errors = await runHook(event, parseHookArgs(event, rest));
+    }
+    for (const error of errors) {
+      console.error('ccnudge:', error.message);
+    }
+  } catch (error) {
+    console.error('ccnudge:', error.message);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { main };
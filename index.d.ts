@@ -0,0 +1,494 @@
+// Type declarations for the programmatic API (index.js)
+
+export type Scope = 'user' | 'project' | 'local';
+
+export interface Logger {
+  info?(message: string): void;
+  warn?(message: string): void;
+}
+
+export const consoleLogger: Required<Logger>;
+export const silentLogger: Required<Logger>;
+
+export interface Options {
+  /** Settings scope to read or write (default: user) */
+  scope?: Scope;
+  /** Receives progress messages; calls are silent without one */
+  logger?: Logger;
+}
+
+export interface Target {
+  sound?: string;
+  desktop?: boolean;
+  title?: string;
+  body?: string;
+  channels?: string[];
+  /** Message template to speak instead of playing the sound */
+  speak?: string;
+  voice?: string;
+  /** Words per minute, 80 to 450 */
+  rate?: number;
+  /** 0 to 100; the sound plays as it is when not set */
+  volume?: number;
+}
+
+export interface EventConfig extends Target {
+  enabled?: boolean;
+  matchers?: Record<string, Target>;
+  minDuration?: number;
+  quietHours?: object;
+  throttle?: object;
+  coalesce?: object;
+}
+
+export interface Channel {
+  type: 'ntfy' | 'gotify' | 'slack' | 'discord' | 'webhook' | 'log';
+  url?: string;
+  topic?: string;
+  token?: string;
+  path?: string;
+  [option: string]: unknown;
+}
+
+export interface Config {
+  version?: number;
+  events?: Record<string, EventConfig>;
+  channels?: Record<string, Channel>;
+  activeProfile?: string;
+  profiles?: Record<string, { events?: Record<string, EventConfig> }>;
+  /** Sound player on Linux (detected when not set) */
+  player?: PlayerName;
+  /** Snapshots kept for `ccnudge rollback` (default 20), and whether they copy the whole settings file */
+  history?: { keep?: number; settings?: boolean };
+  /** Sound, title or channels by project directory; the first match wins */
+  rules?: ProjectRule[];
+}
+
+export interface ProjectRule {
+  /** Glob for the project directory, e.g. api-* or ~/code/frontend */
+  match: string;
+  /** Match the root of the git repository instead of the directory */
+  gitRoot?: boolean;
+  /** Only for these events (all events if not set) */
+  events?: string[];
+  /** A path or system sound name; addRule stores the path of any sound */
+  sound?: string;
+  title?: string;
+  channels?: string[];
+}
+
+export interface RuleResult extends DryRunResult {
+  scope: Scope;
+  rule: ProjectRule;
+}
+
+export interface RuleList {
+  /** The directory `match` is about */
+  cwd: string;
+  /** Closest scope first, numbered within their scope */
+  rules: (ProjectRule & { scope: Scope; configPath: string; number: number })[];
+  match: { scope: Scope; number: number } | null;
+}
+
+/** A file a change would write, as a unified diff */
+export interface FileDiff {
+  path: string;
+  diff: string;
+}
+
+export interface DryRunOptions extends Options {
+  /** Write nothing; the result lists the files that would change instead */
+  dryRun?: boolean;
+}
+
+/** Set on the results of calls made with `dryRun` */
+export interface DryRunResult {
+  dryRun?: true;
+  files?: FileDiff[];
+}
+
+export type PlayerName = 'paplay' | 'pw-play' | 'aplay' | 'ffplay' | 'mpv' | 'play';
+
+export interface ApplyResult extends DryRunResult {
+  scope: Scope;
+  configPath: string;
+  settingsPath: string;
+  /** Events that have hooks after applying */
+  events: string[];
+  warnings: string[];
+}
+
+export interface SetupOptions extends DryRunOptions {
+  /** Tools (PreToolUse, PostToolUse) or notification type (Notification) to set up, e.g. Bash or idle_prompt */
+  matcher?: string;
+  title?: string;
+  body?: string;
+  channels?: string[];
+  /** Seconds; only for Stop and SubagentStop, 0 removes it */
+  minDuration?: number;
+  /** Message template to speak (true for the event's default message); the sound plays when no engine is installed */
+  speak?: string | boolean;
+  voice?: string;
+  /** Words per minute, 80 to 450 */
+  rate?: number;
+  /** 0 to 100 */
+  volume?: number;
+}
+
+export interface SetupResult extends DryRunResult {
+  event: string;
+  matcher: string | null;
+  scope: Scope;
+  /** "default", a sound name or an absolute path, as stored in the config */
+  sound: string;
+  /** The file that will be played */
+  soundPath: string;
+  desktop: boolean;
+  channels: string[];
+  speak: string | null;
+  voice: string | null;
+  rate: number | null;
+  volume: number | null;
+  minDuration: number | null;
+  configPath: string;
+  settingsPath: string;
+  warnings: string[];
+}
+
+/** One event (or tool matcher) for setupNotifications */
+export interface SetupGroup extends Omit<SetupOptions, keyof DryRunOptions> {
+  event: string;
+  sound?: string | null;
+  desktop?: boolean;
+}
+
+export interface SetupManyResult extends DryRunResult {
+  scope: Scope;
+  events: Omit<SetupResult, 'scope' | 'configPath' | 'settingsPath' | 'warnings'>[];
+  /** Channels added to the config */
+  channels: string[];
+  configPath: string;
+  settingsPath: string;
+  warnings: string[];
+}
+
+export interface ToggleResult extends DryRunResult {
+  scope: Scope;
+  events: string[];
+  /** false when there was nothing to enable or disable */
+  changed: boolean;
+  warnings?: string[];
+}
+
+export interface RemoveResult extends DryRunResult {
+  scope: Scope;
+  event: string;
+  matcher: string | null;
+  removed: boolean;
+}
+
+export interface ExportResult {
+  scope: Scope;
+  file: string | null;
+  config: Config;
+}
+
+export interface ProfileResult extends DryRunResult {
+  scope: Scope;
+  name: string;
+  events: string[];
+}
+
+export interface UseProfileResult extends ProfileResult {
+  /** The profile the previous events were saved under */
+  savedAs: string | null;
+  warnings: string[];
+}
+
+export interface ProfileList {
+  scope: Scope;
+  activeProfile: string | null;
+  profiles: { name: string; active: boolean; events: string[] }[];
+}
+
+export interface HistoryEntry {
+  id: number;
+  createdAt: string;
+  /** Events in the snapshot's config */
+  events: string[];
+  /** Whether it holds a copy of the whole settings file */
+  settings: boolean;
+  /** What changed after it: "+Stop", "-Notification", "~PostToolUse (sound)", ... */
+  changes: string[];
+}
+
+export interface HistoryList {
+  scope: Scope;
+  historyDir: string;
+  /** Newest first */
+  snapshots: HistoryEntry[];
+}
+
+export interface RollbackResult extends DryRunResult {
+  scope: Scope;
+  id: number;
+  createdAt: string;
+  /** What the rollback changed, in the same form as HistoryEntry.changes */
+  changes: string[];
+  settings: boolean;
+  configPath: string;
+  settingsPath: string;
+}
+
+export interface TestSoundResult {
+  sound: string;
+  soundPath: string;
+  played: boolean;
+  /** The Linux player used (null on macOS and Windows) */
+  player: PlayerName | null;
+  /** Whether the sound was converted to WAV for the player */
+  converted: boolean;
+  /** The volume it played at; null when the player can't change it */
+  volume: number | null;
+}
+
+export interface PlayerList {
+  platform: string;
+  /** The player hooks use; on macOS and Windows the platform's command */
+  player: string | null;
+  source: 'config' | 'detected' | 'platform' | null;
+  configured: PlayerName | null;
+  players: { name: PlayerName; description: string; installed: boolean }[];
+}
+
+export interface PlayerChoice {
+  scope: Scope;
+  player: PlayerName | null;
+  source: 'config' | 'detected' | null;
+}
+
+export interface ChannelResult {
+  channel: string;
+  ok: boolean;
+  statusCode?: number;
+  /** Log channels report the file they wrote to */
+  path?: string;
+  error?: string;
+  attempts?: number;
+  duration?: number;
+}
+
+export interface Sound {
+  /** What to pass as a sound: the file name, or its path below the root when that is ambiguous */
+  name: string;
+  path: string;
+  /** The sound directory it was found in */
+  root: string;
+  format: 'wav' | 'ogg' | 'oga' | 'mp3' | 'aiff' | 'aif' | 'flac';
+  /** Bytes */
+  size: number | null;
+  /** Seconds, from the file's headers; null when they don't tell */
+  duration: number | null;
+}
+
+export interface SoundList {
+  platform: string;
+  /** The platform's system sound directory */
+  soundsPath: string;
+  /** Every directory searched, in the order names are looked up */
+  roots: string[];
+  sounds: Sound[];
+}
+
+export interface LibraryOptions extends Options {
+  name?: string;
+  /** Replace a sound or pack with the same name */
+  force?: boolean;
+}
+
+export interface LibrarySound extends Sound {
+  /** A sound with that name was overwritten */
+  replaced: boolean;
+}
+
+export interface SoundPack {
+  pack: string;
+  path: string;
+  sounds: { name: string; path: string }[];
+  /** Files that aren't playable here, and why */
+  skipped: { file: string; reason: string }[];
+}
+
+export interface RemoveSoundResult {
+  name: string;
+  pack: boolean;
+  files: string[];
+  /** Events that used the sound; their hooks now play the default sound */
+  usedBy: { scope: Scope; event: string; matcher: string | null }[];
+  warnings: string[];
+}
+
+/** Options that failed to parse are reported as `{ error }` */
+export type Described<T> = T | { error: string } | null;
+
+export interface StatusTarget {
+  matcher: string | null;
+  sound: string | null;
+  speak: string | null;
+  volume: number | null;
+  desktop: boolean;
+  channels: string[];
+  body: string | null;
+}
+
+export interface Status {
+  enabled: boolean;
+  profiles: { scope: Scope; name: string }[];
+  events: {
+    event: string;
+    sources: { scope: Scope; configPath: string; targets: StatusTarget[] }[];
+    quietHours: Described<{ active: boolean; muted: string[]; rules: string[] }>;
+    rateLimit: Described<{ sound: number | null; desktop: number | null; coalesce: number | null }>;
+    minDuration: Described<{ seconds: number; ignored: boolean }>;
+  }[];
+  disabled: { scope: Scope; events: string[] }[];
+  /** Events in the settings or config that this version of ccnudge doesn't know */
+  unknown: { scope: Scope; settingsPath: string; events: string[] }[];
+  /** Scopes whose settings no longer match their ccnudge config */
+  drift: { scope: Scope; settingsPath: string; configPath: string; events: string[] }[];
+  /** Project rules in the order hooks try them; `here` is the one for the current directory */
+  rules: { scope: Scope; number: number; description: string; here: boolean }[];
+  channels: { name: string; type: string; target: string }[];
+  /** Linux only, when a configured event plays a sound */
+  player: { name: PlayerName | null; source: 'config' | 'detected' | null } | null;
+  warnings: string[];
+}
+
+export interface DoctorCheck {
+  id: string;
+  title: string;
+  status: 'ok' | 'warn' | 'fail';
+  message: string;
+  /** What to run or change; null when the check passed */
+  fix: string | null;
+  /** Hook checks: the command that was run and how it went */
+  details?: { command: string; exitCode: number | null; stderr: string; duration: number; timedOut: boolean };
+}
+
+export interface DoctorReport {
+  /** false when any check failed */
+  ok: boolean;
+  summary: { ok: number; warn: number; fail: number };
+  checks: DoctorCheck[];
+  /** Whether the hook commands ran (`run: true`) */
+  ran: boolean;
+}
+
+export interface SimulatedHook {
+  scope: Scope;
+  /** The group's matcher (PreToolUse and PostToolUse); null matches every tool */
+  matcher: string | null;
+  type: string;
+  command: string | null;
+  /** false for hooks ccnudge didn't write */
+  ccnudge: boolean;
+  /** Seconds, as set on the hook */
+  timeout?: number;
+  exitCode?: number | null;
+  stderr?: string;
+  duration?: number;
+  timedOut?: boolean;
+  /** Why the hook wasn't run, for hooks that aren't shell commands */
+  skipped?: string;
+}
+
+export interface SimulateResult {
+  event: string;
+  /** What every hook got on stdin */
+  payload: Record<string, unknown>;
+  hooks: SimulatedHook[];
+  /** false when a hook exited with an error or timed out */
+  ok: boolean;
+}
+
+export interface Choice {
+  name: string;
+  value: string;
+}
+
+export function setupNotification(event: string, soundPath: string | null, enableDesktopNotify?: boolean, options?: SetupOptions): Promise<SetupResult>;
+/** Sets up several events in one change; `channels` adds channel definitions along with them */
+export function setupNotifications(groups: SetupGroup[], options?: DryRunOptions & { channels?: Record<string, Channel> }): Promise<SetupManyResult>;
+export function enableNotifications(event?: string | null, options?: DryRunOptions): Promise<ToggleResult>;
+export function disableNotifications(event?: string | null, options?: DryRunOptions): Promise<ToggleResult>;
+export function removeNotification(event: string, options?: DryRunOptions & { matcher?: string }): Promise<RemoveResult>;
+export function applyConfiguration(options?: DryRunOptions): Promise<ApplyResult>;
+export function exportConfiguration(file?: string | null, options?: Options): Promise<ExportResult>;
+export function importConfiguration(file: string, options?: DryRunOptions): Promise<ApplyResult>;
+export function createProfile(name: string, options?: DryRunOptions & { preset?: string; from?: string }): Promise<ProfileResult>;
+export function useProfile(name: string, options?: DryRunOptions): Promise<UseProfileResult>;
+export function deleteProfile(name: string, options?: DryRunOptions): Promise<{ scope: Scope; name: string } & DryRunResult>;
+export function listProfiles(options?: Options): Promise<ProfileList>;
+export function addRule(match: string, options?: DryRunOptions & Omit<ProjectRule, 'match'>): Promise<RuleResult & { number: number }>;
+export function removeRule(id: number | string, options?: DryRunOptions): Promise<RuleResult>;
+export function listRules(options?: Options & { cwd?: string }): Promise<RuleList>;
+export function listHistory(options?: Options): Promise<HistoryList>;
+/** `settings` restores the whole settings file instead of only the ccnudge hooks */
+export function rollbackConfiguration(id: number | string, options?: DryRunOptions & { settings?: boolean }): Promise<RollbackResult>;
+export function testSound(soundPath?: string | null, options?: Options & { player?: PlayerName; volume?: number }): Promise<TestSoundResult>;
+export function testDesktopNotification(options?: Options): Promise<{ sent: boolean }>;
+/** Says a message template with the first installed speech engine (say, spd-say, espeak-ng, espeak or SAPI) */
+export function testSpeech(template: string, options?: Options & { voice?: string; rate?: number; volume?: number; event?: string }): Promise<{ text: string; engine: string }>;
+export function testChannels(names?: string[] | null, options?: Options): Promise<ChannelResult[]>;
+/** `search` keeps the sounds with every word of it in their name or path; `library` lists only your own */
+export function listSounds(options?: Options & { search?: string; library?: boolean }): Promise<SoundList>;
+/** Copies a sound into ~/.ccnudge/sounds, so it can be used by `name` (default: the file name) */
+export function addSound(file: string, options?: LibraryOptions): Promise<LibrarySound>;
+/** Imports every playable sound of a directory or .zip file as a pack called `name` */
+export function importSounds(source: string, options?: LibraryOptions): Promise<SoundPack>;
+/** Removes a sound or pack; sounds used by an event need `force` */
+export function removeSound(name: string, options?: Options & { force?: boolean }): Promise<RemoveSoundResult>;
+export function listPlayers(options?: Options): Promise<PlayerList>;
+/** Use a player for every hook, or "auto" to detect it again */
+export function choosePlayer(name: PlayerName | 'auto', options?: Options): Promise<PlayerChoice>;
+export function getStatus(options?: Options): Promise<Status>;
+/** `run: true` also runs the hook commands, which play sounds and send notifications */
+export function runDoctor(options?: Options & { run?: boolean }): Promise<DoctorReport>;
+/** Runs every hook of an event with a payload like Claude Code's, from every scope unless `scope` is given; `message` is the Notification message or the UserPromptSubmit prompt */
+export function simulateEvent(event: string, options?: Options & { tool?: string; type?: string; cwd?: string; message?: string }): Promise<SimulateResult>;
+export function getAvailableEvents(): Choice[];
+export function getAvailableScopes(): Choice[];
+
+/** LOCKED: another ccnudge held a settings or config lock for too long; CONFLICT: the settings kept changing during an update */
+export type ErrorCode = 'CCNUDGE_ERROR' | 'INVALID_INPUT' | 'INVALID_CONFIG' | 'SOUND_NOT_FOUND' | 'PLAYBACK_FAILED' | 'UNSUPPORTED_PLATFORM' | 'LOCKED' | 'CONFLICT';
+
+export class CcnudgeError extends Error {
+  code: ErrorCode;
+  toJSON(): { name: string; code: ErrorCode; message: string; [detail: string]: unknown };
+}
+
+/** Bad input: unknown event, scope, channel or profile, invalid matcher, ... */
+export class ValidationError extends CcnudgeError {
+  code: 'INVALID_INPUT';
+}
+
+/** A config or settings file that can't be read or used */
+export class ConfigError extends CcnudgeError {
+  code: 'INVALID_CONFIG';
+  /** Every problem found by the schema, when the config failed validation */
+  errors?: string[];
+}
+
+export class SoundNotFoundError extends CcnudgeError {
+  code: 'SOUND_NOT_FOUND';
+  sound: string;
+}
+
+export class PlaybackError extends CcnudgeError {
+  code: 'PLAYBACK_FAILED';
+}
+
+export class UnsupportedPlatformError extends CcnudgeError {
+  code: 'UNSUPPORTED_PLATFORM';
+  platform: string;
+}
@@ -1,26 +1,91 @@
 // Main entry point for the package
-// This allows programmatic usage of the package if needed
+// This allows programmatic usage of the package if needed. Calls don't print
+// anything: they return plain objects and throw the errors from lib/errors.js.
+// Pass { logger: consoleLogger } (or your own { info, warn }) to see progress.
 
 const {
   setupNotification,
+  setupNotifications,
   testSound,
   testDesktopNotification,
+  testSpeech,
+  testChannels,
   listSounds,
+  addSound,
+  importSounds,
+  removeSound,
+  listPlayers,
+  choosePlayer,
   removeNotification,
   enableNotifications,
   disableNotifications,
+  applyConfiguration,
+  exportConfiguration,
+  importConfiguration,
+  createProfile,
+  useProfile,
+  deleteProfile,
+  listProfiles,
+  addRule,
+  removeRule,
+  listRules,
+  listHistory,
+  rollbackConfiguration,
   getStatus,
-  getAvailableEvents
+  runDoctor,
+  simulateEvent,
+  getAvailableEvents,
+  getAvailableScopes
 } = require('./lib/setup');
+const {
+  CcnudgeError,
+  ValidationError,
+  ConfigError,
+  SoundNotFoundError,
+  PlaybackError,
+  UnsupportedPlatformError
+} = require('./lib/errors');
+const { consoleLogger, silentLogger } = require('./lib/logger');
 
 module.exports = {
   setupNotification,
+  setupNotifications,
   testSound,
   testDesktopNotification,
+  testSpeech,
+  testChannels,
   listSounds,
+  addSound,
+  importSounds,
+  removeSound,
+  listPlayers,
+  choosePlayer,
   removeNotification,
   enableNotifications,
   disableNotifications,
+  applyConfiguration,
+  exportConfiguration,
+  importConfiguration,
+  createProfile,
+  useProfile,
+  deleteProfile,
+  listProfiles,
+  addRule,
+  removeRule,
+  listRules,
+  listHistory,
+  rollbackConfiguration,
   getStatus,
-  getAvailableEvents
+  runDoctor,
+  simulateEvent,
+  getAvailableEvents,
+  getAvailableScopes,
+  consoleLogger,
+  silentLogger,
+  CcnudgeError,
+  ValidationError,
+  ConfigError,
+  SoundNotFoundError,
+  PlaybackError,
+  UnsupportedPlatformError
 };
@@ -0,0 +1,467 @@
+// The ccnudge config of a scope is the source of truth for the hooks ccnudge
+// owns in that scope's Claude Code settings. Every change goes to the config
+// first and is then rendered ("applied") into settings.json, replacing our
+// previous hooks and leaving foreign hooks alone. Before either file changes,
+// the scope's current state goes into its history (history.js). With
+// `dryRun`, nothing is written and the result lists the changes as diffs.
+const fs = require('fs').promises;
+const {
+  buildHookCommand,
+  parseHookCommand,
+  getLegacyCommands,
+  extractCcnudgeGroups,
+  getManagedEvents,
+  setCcnudgeGroups,
+  normalizeMatcher
+} = require('./hooks');
+const { resolveScope, getSettingsPath, getBackupPath, getConfigPath } = require('./scopes');
+const { readConfig, readConfigContent, formatConfig, writeConfig, withConfigLock, loadEffectiveConfig } = require('./config');
+const { readSettings, updateSettings, previewSettings } = require('./settings');
+const { CONFIG_VERSION, NOTIFICATION_KEYS, assertValidConfig } = require('./schema');
+const { getPlatformConfig, resolveSound, normalizeSound, parseSoundCommand } = require('./sounds');
+const { getMatcherInfo } = require('./events');
+const { saveSnapshot } = require('./history');
+const { createPatch } = require('./diff');
+
+function hasNotification(target) {
+  return Boolean(target.sound || target.speak || target.desktop || (target.channels || []).length > 0);
+}
+
+function isEnabled(options) {
+  return options.enabled !== false;
+}
+
+// Sounds that don't exist on this machine (a macOS sound name on Linux, ...)
+// fall back to the default sound instead of breaking the whole config.
+// `routing` ({ only, except }) goes to the runtime for routed matchers.
+async function renderGroup(event, matcher, target, warnings, routing = {}, portable = false) {
+  let sound = null;
+  if (target.sound) {
+    try {
+      sound = await resolveSound(target.sound);
+    } catch (error) {
+      warnings.push(`${event}${matcher ? ` (${matcher})` : ''}: ${error.message}, using the default sound`);
+      sound = getPlatformConfig().defaultSound;
+    }
+  }
+
+  const hooks = [
+    {
+      type: 'command',
+      command: buildHookCommand(event, {
+        sound,
+        desktop: target.desktop,
+        title: target.title,
+        body: target.body,
+        channels: target.channels,
+        only: routing.only,
+        except: routing.except,
+        speak: target.speak,
+        voice: target.voice,
+        rate: target.rate,
+        volume: target.volume,
+        portable
+      })
+    }
+  ];
+
+  return matcher ? { matcher, hooks } : { hooks };
+}
+
+const ELAPSED_PATTERN = /\{\{\s*elapsed(?:_seconds)?\s*\}\}/;
+
+// Whether the templates of an event, matcher, rule or channel show the turn's
+// duration
+function usesElapsed(target) {
+  const templates = [target.title, target.body, target.speak, target.coalesce && target.coalesce.summary];
+  return ELAPSED_PATTERN.test(JSON.stringify(templates));
+}
+
+// Any ccnudge UserPromptSubmit hook records the prompt time. Without one, add
+// a hook that only does that when an enabled event needs it: for its
+// minDuration, or a template using {{elapsed}}. Everything else would only
+// start a process on every prompt.
+function needsPromptTracking(config) {
+  const shared = [...(config.rules || []), ...Object.values(config.channels || {})];
+
+  return Object.entries(config.events || {}).some(([event, options]) => {
+    return event !== 'UserPromptSubmit' && isEnabled(options) &&
+      Boolean(options.minDuration || [options, ...Object.values(options.matchers || {}), ...shared].some(usesElapsed));
+  });
+}
+
+// Project and local settings live in the repository, and the project's are
+// shared with the team. Their hooks run the portable `ccnudge hook` (hooks.js)
+// instead of this installation's paths, which only `apply` (or reinstalling,
+// for the user scope) would update.
+function isPortableScope(scope) {
+  return resolveScope(scope) !== 'user';
+}
+
+// Builds the ccnudge hook groups of every enabled event in a config, for
+// the settings of `scope`
+async function renderHooks(config, scope) {
+  const portable = isPortableScope(scope);
+  const events = config.events || {};
+  const hooks = {};
+  const warnings = [];
+
+  for (const [event, options] of Object.entries(events)) {
+    if (!isEnabled(options)) {
+      continue;
+    }
+
+    const matchers = Object.entries(options.matchers || {})
+      .filter(([, target]) => hasNotification(target))
+      .map(([matcher, target]) => [normalizeMatcher(matcher), target]);
+    // A routed matcher's notification replaces the event's own (events.js)
+    const matcherInfo = getMatcherInfo(event);
+    const routed = Boolean(matcherInfo && matcherInfo.routed);
+
+    const groups = [];
+    if (hasNotification(options)) {
+      const except = routed ? matchers.map(([matcher]) => matcher).filter(Boolean) : [];
+      groups.push(await renderGroup(event, '', options, warnings, { except }, portable));
+    }
+    for (const [matcher, target] of matchers) {
+      groups.push(await renderGroup(event, matcher, target, warnings, { only: routed ? matcher : null }, portable));
+    }
+
+    if (groups.length > 0) {
+      hooks[event] = groups;
+    }
+  }
+
+  if (!hooks.UserPromptSubmit && needsPromptTracking(config)) {
+    hooks.UserPromptSubmit = [
+      { hooks: [{ type: 'command', command: buildHookCommand('UserPromptSubmit', { portable }) }] }
+    ];
+  }
+
+  return { hooks, warnings };
+}
+
+// Turns the hooks of one matcher group back into config options. Hooks
+// written before the `ccnudge hook` runtime existed are recognised too.
+async function describeGroup(hooks) {
+  const runtimeHook = hooks.map(hook => parseHookCommand(hook.command)).find(Boolean);
+  const target = {};
+
+  if (runtimeHook) {
+    if (runtimeHook.sound) {
+      target.sound = runtimeHook.sound;
+    }
+    if (runtimeHook.desktop) {
+      target.desktop = true;
+    }
+    if (runtimeHook.title) {
+      target.title = runtimeHook.title;
+    }
+    if (runtimeHook.body) {
+      target.body = runtimeHook.body;
+    }
+    if (runtimeHook.channels.length > 0) {
+      target.channels = runtimeHook.channels;
+    }
+    for (const key of ['speak', 'voice', 'rate']) {
+      if (runtimeHook[key]) {
+        target[key] = runtimeHook[key];
+      }
+    }
+    if (runtimeHook.volume !== null) {
+      target.volume = runtimeHook.volume;
+    }
+  } else {
+    for (const hook of hooks) {
+      const sound = parseSoundCommand(hook.command);
+      if (sound) {
+        target.sound = sound;
+      } else {
+        target.desktop = true;
+      }
+    }
+  }
+
+  // Keep system sounds as names so the config stays portable
+  if (target.sound) {
+    target.sound = await normalizeSound(target.sound).catch(() => target.sound);
+  }
+
+  return target;
+}
+
+// Builds config events from the ccnudge hooks in settings.json and the
+// backup `ccnudge stop` used to write before the config existed
+async function configFromSettings(settings, backup) {
+  const legacyCommands = getLegacyCommands(backup);
+  const events = {};
+  const sources = [{ hooks: (settings && settings.hooks) || {}, enabled: true }];
+  if (backup) {
+    sources.push({ hooks: backup, enabled: false });
+  }
+
+  for (const source of sources) {
+    for (const event of getManagedEvents({ hooks: source.hooks }, legacyCommands)) {
+      if (events[event]) {
+        continue;
+      }
+
+      const options = {};
+      for (const group of extractCcnudgeGroups(source.hooks[event], legacyCommands)) {
+        const target = await describeGroup(group.hooks);
+        const matcher = normalizeMatcher(group.matcher);
+
+        if (!hasNotification(target)) {
+          continue; // The prompt tracking hook is added back by renderHooks
+        }
+        if (matcher) {
+          options.matchers = { ...options.matchers, [matcher]: target };
+        } else {
+          Object.assign(options, target);
+        }
+      }
+
+      if (Object.keys(options).length > 0) {
+        events[event] = source.enabled ? options : { ...options, enabled: false };
+      }
+    }
+  }
+
+  return events;
+}
+
+async function readBackup(scope) {
+  try {
+    return JSON.parse(await fs.readFile(getBackupPath(scope), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// The unmarked commands of older versions in the scope's settings.json
+async function readLegacyCommands(scope) {
+  return getLegacyCommands(await readBackup(scope));
+}
+
+// Once the config is saved (with the disabled events of the backup) and
+// applied (replacing the hooks the backup tells apart), the backup is done
+async function removeBackup(scope) {
+  if ((await readConfig(scope)).version !== undefined) {
+    await fs.unlink(getBackupPath(scope)).catch(() => {});
+  }
+}
+
+// Reads the config of a scope. Configs written before the config held the
+// hooks (no "version") are completed from settings.json and the old backup
+// file; the result is saved on the next change.
+async function loadScopeConfig(scope) {
+  const name = resolveScope(scope);
+  const config = await readConfig(name);
+
+  if (config.version !== undefined) {
+    return config;
+  }
+
+  const migrated = await configFromSettings(await readSettings(name), await readBackup(name));
+  const events = { ...config.events };
+  for (const [event, options] of Object.entries(migrated)) {
+    events[event] = { ...events[event], ...options };
+  }
+
+  const result = { version: CONFIG_VERSION, ...config };
+  if (Object.keys(events).length > 0) {
+    result.events = events;
+  }
+  return result;
+}
+
+// Records the scope as it is now, so `ccnudge rollback` can bring it back
+async function snapshotScope(name) {
+  try {
+    await saveSnapshot(name, await loadScopeConfig(name), await readSettings(name));
+  } catch {
+    // A config or settings file that can't be read can't be recorded; the
+    // change itself reports the problem, or repairs it (ccnudge import)
+  }
+}
+
+async function saveScopeConfig(config, scope) {
+  const name = resolveScope(scope);
+  const configPath = getConfigPath(name);
+
+  assertValidConfig(config, configPath);
+  await snapshotScope(name);
+  await writeConfig({ ...config, version: CONFIG_VERSION }, name);
+}
+
+// Channels are often defined in another scope (a project config using the
+// user's phone), so unknown names only produce a warning
+async function findUnknownChannels(config) {
+  let defined;
+  try {
+    defined = { ...(await loadEffectiveConfig()).channels, ...config.channels };
+  } catch {
+    return [];
+  }
+
+  const warnings = [];
+  for (const [event, options] of Object.entries(config.events || {})) {
+    const targets = [options, ...Object.values(options.matchers || {})];
+    for (const name of new Set(targets.flatMap(target => target.channels || []))) {
+      if (!defined[name]) {
+        warnings.push(`${event}: channel "${name}" is not defined in any ccnudge config`);
+      }
+    }
+  }
+  return warnings;
+}
+
+// Replaces our groups in settings with the rendered hooks. Only ccnudge's own
+// groups are replaced, so redoing this on settings that changed in the
+// meantime keeps the other change.
+function setRenderedHooks(settings, hooks, legacyCommands = null) {
+  const events = new Set([...getManagedEvents(settings, legacyCommands), ...Object.keys(hooks)]);
+  for (const event of events) {
+    setCcnudgeGroups(settings, event, hooks[event] || [], legacyCommands);
+  }
+}
+
+// A file a change would write, as { path, diff }, or null when it stays the same
+function describeChange(file, before, after) {
+  const diff = createPatch(file, before, after);
+  return diff ? { path: file, diff } : null;
+}
+
+// The files saving (with `save`) and applying a config would change in a
+// scope, as a list of { path, diff }. Nothing is written.
+async function previewConfig(scope, config, { save = true } = {}) {
+  const name = resolveScope(scope);
+  const files = [];
+
+  if (save) {
+    const configPath = getConfigPath(name);
+    files.push(describeChange(configPath, await readConfigContent(name), formatConfig({ ...config, version: CONFIG_VERSION })));
+  }
+
+  const { hooks } = await renderHooks(config, name);
+  const legacyCommands = await readLegacyCommands(name);
+  const settings = await previewSettings(name, settings => setRenderedHooks(settings, hooks, legacyCommands));
+  files.push(describeChange(settings.path, settings.before, settings.after));
+
+  return files.filter(Boolean);
+}
+
+// Renders a scope's config into its settings file. Returns the events that
+// now have ccnudge hooks and any warnings. Pass the config just saved with
+// saveScopeConfig, which has already recorded the state before the change
+// (and holds the config's lock); without one, the saved config is applied
+// under the lock. With `options.dryRun`, nothing is written and the result
+// lists the `files` that would change (the config too, with `options.save`).
+async function applyConfig(scope, config = null, options = {}) {
+  const name = resolveScope(scope);
+  if (!config && !options.dryRun) {
+    return withConfigLock(name, async () => {
+      await snapshotScope(name);
+      return applyConfig(name, await loadScopeConfig(name), options);
+    });
+  }
+  if (!config) {
+    config = await loadScopeConfig(name);
+  }
+  assertValidConfig(config, getConfigPath(name));
+
+  const { hooks, warnings } = await renderHooks(config, name);
+  const result = {
+    scope: name,
+    configPath: getConfigPath(name),
+    settingsPath: getSettingsPath(name),
+    events: Object.keys(hooks),
+    warnings: warnings.concat(await findUnknownChannels(config))
+  };
+
+  if (options.dryRun) {
+    return { ...result, dryRun: true, files: await previewConfig(name, config, { save: options.save === true }) };
+  }
+
+  const legacyCommands = await readLegacyCommands(name);
+  await updateSettings(name, settings => setRenderedHooks(settings, hooks, legacyCommands));
+  await removeBackup(name);
+  return result;
+}
+
+// Loads a scope's config, lets `update` change it, then saves and applies it
+// (or with `options.dryRun`, tells what saving and applying it would change).
+// All of it holds the config's lock, so concurrent changes run one by one.
+async function updateScopeConfig(scope, update, options = {}) {
+  const change = async () => {
+    const config = await loadScopeConfig(scope);
+    const result = await update(config);
+
+    // `update` returns false when there was nothing to change
+    if (result === false) {
+      return null;
+    }
+
+    if (options.dryRun) {
+      return applyConfig(scope, config, { dryRun: true, save: true });
+    }
+
+    await saveScopeConfig(config, scope);
+    return applyConfig(scope, config);
+  };
+
+  return options.dryRun ? change() : withConfigLock(resolveScope(scope), change);
+}
+
+// Replaces a scope's config and applies it, holding the config's lock
+async function replaceScopeConfig(scope, config) {
+  return withConfigLock(resolveScope(scope), async () => {
+    await saveScopeConfig(config, scope);
+    return applyConfig(scope, config);
+  });
+}
+
+// Lists the events whose ccnudge hooks in settings.json don't match what the
+// config renders to (hand edits, a config copied in from elsewhere, ...)
+async function findDrift(scope, config = null) {
+  const name = resolveScope(scope);
+  if (!config) {
+    config = await loadScopeConfig(name);
+  }
+
+  const { hooks } = await renderHooks(config, name);
+  const settings = await readSettings(name);
+  const legacyCommands = await readLegacyCommands(name);
+  const events = new Set([...getManagedEvents(settings, legacyCommands), ...Object.keys(hooks)]);
+
+  return [...events].filter((event) => {
+    const current = extractCcnudgeGroups(settings.hooks && settings.hooks[event], legacyCommands);
+    return JSON.stringify(current) !== JSON.stringify(hooks[event] || []);
+  });
+}
+
+// Removes the notification settings (not the runtime options) from an event
+function clearNotification(options) {
+  for (const key of Object.keys(NOTIFICATION_KEYS)) {
+    delete options[key];
+  }
+}
+
+module.exports = {
+  hasNotification,
+  isEnabled,
+  renderHooks,
+  configFromSettings,
+  loadScopeConfig,
+  saveScopeConfig,
+  applyConfig,
+  updateScopeConfig,
+  replaceScopeConfig,
+  previewConfig,
+  describeChange,
+  findDrift,
+  readBackup,
+  readLegacyCommands,
+  removeBackup,
+  clearNotification
+};
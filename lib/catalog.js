@@ -0,0 +1,436 @@
+// The sound index: every sound file under the platform's sound directories
+// and the user's own. Linux keeps its sounds in theme subdirectories
+// (/usr/share/sounds/freedesktop/stereo/complete.oga), so the roots are walked
+// recursively. Sounds added with `ccnudge sounds add` (library.js) live in
+// ~/.ccnudge/sounds, the first root everywhere.
+//
+// A sound is listed under the shortest name that finds it again: the file
+// name without extension ("complete"), or its path below the root when two
+// themes have a file of that name ("ubuntu/stereo/complete"). Names resolve
+// to the first match in root order, user directories first.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const SOUND_FORMATS = ['.wav', '.ogg', '.oga', '.mp3', '.aiff', '.aif', '.flac'];
+
+// What a file's first bytes must look like for each extension
+const FORMAT_FAMILIES = {
+  '.wav': 'wav',
+  '.ogg': 'ogg',
+  '.oga': 'ogg',
+  '.mp3': 'mp3',
+  '.aiff': 'aiff',
+  '.aif': 'aiff',
+  '.flac': 'flac'
+};
+
+// Keeps a stray root like a home directory from walking forever
+const MAX_DEPTH = 6;
+const MAX_FILES = 5000;
+
+function getLibraryDir() {
+  return path.join(os.homedir(), '.ccnudge', 'sounds');
+}
+
+// Directories searched for sounds, most specific first
+function getSoundRoots(platform = os.platform()) {
+  const home = os.homedir();
+
+  if (platform === 'darwin') {
+    return [getLibraryDir(), path.join(home, 'Library', 'Sounds'), '/Library/Sounds', '/System/Library/Sounds'];
+  }
+
+  if (platform === 'win32') {
+    const windows = process.env.SystemRoot || 'C:\\Windows';
+    return [getLibraryDir(), path.join(windows, 'Media')];
+  }
+
+  // XDG base directories: the user's data directory, then the system ones
+  const dataHome = process.env.XDG_DATA_HOME || path.join(home, '.local', 'share');
+  const dataDirs = (process.env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':').filter(Boolean);
+  return [...new Set([getLibraryDir(), ...[dataHome, ...dataDirs].map(dir => path.join(dir, 'sounds'))])];
+}
+
+function isSoundFile(file) {
+  return SOUND_FORMATS.includes(path.extname(file).toLowerCase());
+}
+
+// Lists the sound files below a root, sorted so names resolve the same way every time
+async function walk(root, dir, depth, files, seen) {
+  let entries;
+  try {
+    // Symlinked theme directories are common, so loops are caught by real path
+    const real = await fs.realpath(dir);
+    if (seen.has(real)) {
+      return;
+    }
+    seen.add(real);
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (files.length >= MAX_FILES) {
+      return;
+    }
+
+    const file = path.join(dir, entry.name);
+    let isDirectory = entry.isDirectory();
+    let isFile = entry.isFile();
+
+    if (entry.isSymbolicLink()) {
+      try {
+        const stat = await fs.stat(file);
+        isDirectory = stat.isDirectory();
+        isFile = stat.isFile();
+      } catch {
+        continue;
+      }
+    }
+
+    if (isDirectory && depth < MAX_DEPTH) {
+      await walk(root, file, depth + 1, files, seen);
+    } else if (isFile && isSoundFile(entry.name)) {
+      files.push({ root, path: file });
+    }
+  }
+}
+
+function soundId(root, file) {
+  const relative = path.relative(root, file);
+  return relative.slice(0, -path.extname(relative).length).split(path.sep).join('/');
+}
+
+let cached = null;
+
+// Finds every sound file. Returns [{ name, id, path, root, format }], where
+// `id` is the path below the root without extension. The walk is done once
+// per process; `refresh` walks again.
+async function findSounds({ roots = getSoundRoots(), refresh = false } = {}) {
+  if (cached && cached.roots === roots.join('\0') && !refresh) {
+    return cached.sounds;
+  }
+
+  const files = [];
+  const seen = new Set();
+  for (const root of roots) {
+    await walk(root, root, 0, files, seen);
+  }
+
+  const counts = new Map();
+  for (const file of files) {
+    const base = path.basename(file.path, path.extname(file.path));
+    counts.set(base, (counts.get(base) || 0) + 1);
+  }
+
+  const sounds = files.map(file => {
+    const base = path.basename(file.path, path.extname(file.path));
+    const id = soundId(file.root, file.path);
+    return {
+      name: counts.get(base) > 1 ? id : base,
+      id,
+      path: file.path,
+      root: file.root,
+      format: path.extname(file.path).slice(1).toLowerCase()
+    };
+  });
+
+  cached = { roots: roots.join('\0'), sounds };
+  return sounds;
+}
+
+// The first sound called `name`: a file name without extension, or the path
+// below a root ("freedesktop/stereo/complete")
+async function findSound(name, options = {}) {
+  const wanted = name.split(path.sep).join('/');
+  const sounds = await findSounds(options);
+
+  return sounds.find(sound => sound.id === wanted) ||
+    sounds.find(sound => path.basename(sound.path, path.extname(sound.path)) === wanted) ||
+    null;
+}
+
+// The name a file is listed under, or null when it isn't in the index
+async function findSoundName(soundPath, options = {}) {
+  const sounds = await findSounds(options);
+  const sound = sounds.find(candidate => candidate.path === soundPath);
+
+  // Only when the name leads back to this file, not another theme's
+  if (sound && (await findSound(sound.name, options)) === sound) {
+    return sound.name;
+  }
+  return null;
+}
+
+// Sounds whose name or path below the root has every word of `query` in it
+function filterSounds(sounds, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return sounds.filter(sound => {
+    const text = `${sound.name} ${sound.id}.${sound.format}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// RIFF WAVE: bytes per second from "fmt ", length from "data"
+function wavDuration(head) {
+  if (head.toString('latin1', 0, 4) !== 'RIFF' || head.toString('latin1', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= head.length) {
+    const id = head.toString('latin1', offset, offset + 4);
+    const size = head.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ' && offset + 20 <= head.length) {
+      byteRate = head.readUInt32LE(offset + 16);
+    } else if (id === 'data') {
+      return byteRate ? size / byteRate : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// AIFF: sample frames and an 80-bit float sample rate in "COMM"
+function aiffDuration(head) {
+  const type = head.toString('latin1', 8, 12);
+  if (head.toString('latin1', 0, 4) !== 'FORM' || (type !== 'AIFF' && type !== 'AIFC')) {
+    return null;
+  }
+
+  let offset = 12;
+  while (offset + 8 <= head.length) {
+    const id = head.toString('latin1', offset, offset + 4);
+    const size = head.readUInt32BE(offset + 4);
+
+    if (id === 'COMM' && offset + 26 <= head.length) {
+      const frames = head.readUInt32BE(offset + 10);
+      const exponent = (head.readUInt16BE(offset + 16) & 0x7fff) - 16383;
+      const mantissa = head.readUInt32BE(offset + 18) * 2 ** 32 + head.readUInt32BE(offset + 22);
+      const rate = mantissa * 2 ** (exponent - 63);
+      return rate > 0 ? frames / rate : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// FLAC: sample rate and total samples in STREAMINFO, the first metadata block
+function flacDuration(head) {
+  if (head.toString('latin1', 0, 4) !== 'fLaC' || head.length < 26) {
+    return null;
+  }
+
+  const info = 8 + 10;
+  const rate = (head[info] << 12) | (head[info + 1] << 4) | (head[info + 2] >> 4);
+  const samples = (head[info + 3] & 0x0f) * 2 ** 32 + head.readUInt32BE(info + 4);
+  return rate > 0 && samples > 0 ? samples / rate : null;
+}
+
+// Ogg Vorbis and Opus: the granule position of the last page counts samples
+function oggDuration(head, tail) {
+  if (head.toString('latin1', 0, 4) !== 'OggS' || head.length < 28) {
+    return null;
+  }
+
+  const packet = 27 + head[26];
+  let rate;
+  let skip = 0;
+  if (head.toString('latin1', packet + 1, packet + 7) === 'vorbis' && head.length >= packet + 16) {
+    rate = head.readUInt32LE(packet + 12);
+  } else if (head.toString('latin1', packet, packet + 8) === 'OpusHead' && head.length >= packet + 12) {
+    // Opus always counts at 48 kHz, after the encoder's pre-skip
+    rate = 48000;
+    skip = head.readUInt16LE(packet + 10);
+  } else {
+    return null;
+  }
+
+  const last = tail.lastIndexOf('OggS');
+  if (last === -1 || last + 14 > tail.length || !rate) {
+    return null;
+  }
+
+  const granule = tail.readUInt32LE(last + 6) + tail.readUInt32LE(last + 10) * 2 ** 32;
+  return granule > skip ? (granule - skip) / rate : null;
+}
+
+// MPEG audio layer III, kbit/s by bitrate index
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+// MP3: exact with a Xing/Info header (VBR files), estimated from the first
+// frame's bitrate otherwise
+function mp3Duration(head, size, start) {
+  for (let offset = 0; offset + 4 <= head.length; offset++) {
+    if (head[offset] !== 0xff || (head[offset + 1] & 0xe0) !== 0xe0) {
+      continue;
+    }
+
+    const version = { 0: 2.5, 2: 2, 3: 1 }[(head[offset + 1] >> 3) & 0x03];
+    const layer = (head[offset + 1] >> 1) & 0x03;
+    const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][head[offset + 2] >> 4];
+    const rate = version && MP3_RATES[version][(head[offset + 2] >> 2) & 0x03];
+    if (!version || layer !== 1 || !bitrate || !rate) {
+      continue;
+    }
+
+    const mono = (head[offset + 3] >> 6) === 3;
+    const sideInfo = version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    const tag = head.toString('latin1', xing, xing + 4);
+    if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= head.length && (head.readUInt32BE(xing + 4) & 1)) {
+      const frames = head.readUInt32BE(xing + 8);
+      return frames * (version === 1 ? 1152 : 576) / rate;
+    }
+
+    return (size - start - offset) * 8 / (bitrate * 1000);
+  }
+  return null;
+}
+
+// The format a file's first bytes say it has ("wav", "ogg", ...), whatever
+// its extension, or null when it isn't a sound we know
+async function readFormat(soundPath) {
+  let handle;
+  try {
+    handle = await fs.open(soundPath, 'r');
+    const head = await readBytes(handle, 0, 12);
+    const tag = head.toString('latin1', 0, 4);
+    const type = head.toString('latin1', 8, 12);
+
+    if (tag === 'RIFF' && type === 'WAVE') {
+      return 'wav';
+    }
+    if (tag === 'FORM' && (type === 'AIFF' || type === 'AIFC')) {
+      return 'aiff';
+    }
+    if (tag === 'fLaC') {
+      return 'flac';
+    }
+    if (tag === 'OggS') {
+      return 'ogg';
+    }
+    if (head.toString('latin1', 0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) {
+      return 'mp3';
+    }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+// Length in seconds from the file's headers, or null when it can't be told
+// without decoding
+async function readDuration(soundPath) {
+  let handle;
+  try {
+    handle = await fs.open(soundPath, 'r');
+    const { size } = await handle.stat();
+    const format = path.extname(soundPath).toLowerCase();
+    let head = await readBytes(handle, 0, 64 * 1024);
+
+    if (format === '.wav') {
+      return wavDuration(head);
+    }
+    if (format === '.aiff' || format === '.aif') {
+      return aiffDuration(head);
+    }
+    if (format === '.flac') {
+      return flacDuration(head);
+    }
+    if (format === '.ogg' || format === '.oga') {
+      const tail = await readBytes(handle, Math.max(0, size - 64 * 1024), 64 * 1024);
+      return oggDuration(head, tail);
+    }
+    if (format === '.mp3') {
+      // Skip an ID3v2 tag, which can hold a whole cover image
+      let start = 0;
+      if (head.toString('latin1', 0, 3) === 'ID3' && head.length >= 10) {
+        start = 10 + ((head[6] & 0x7f) << 21 | (head[7] & 0x7f) << 14 | (head[8] & 0x7f) << 7 | (head[9] & 0x7f));
+        head = await readBytes(handle, start, 16 * 1024);
+      }
+      return mp3Duration(head, size, start);
+    }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+// Adds { size, duration } to sounds from findSounds
+async function describeSounds(sounds) {
+  const described = [];
+  for (const sound of sounds) {
+    let size = null;
+    try {
+      size = (await fs.stat(sound.path)).size;
+    } catch {
+      // Removed since the walk
+    }
+    described.push({ ...sound, size, duration: size === null ? null : await readDuration(sound.path) });
+  }
+  return described;
+}
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return '?';
+  }
+  if (seconds < 60) {
+    return `${seconds.toFixed(1)}s`;
+  }
+  return `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '?';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+  SOUND_FORMATS,
+  FORMAT_FAMILIES,
+  getLibraryDir,
+  getSoundRoots,
+  findSounds,
+  findSound,
+  findSoundName,
+  filterSounds,
+  readFormat,
+  readDuration,
+  describeSounds,
+  formatDuration,
+  formatSize
+};
@@ -0,0 +1,275 @@
+// HTTP notification channels (ntfy, Gotify, Slack, Discord, generic webhooks).
+// Channels are defined once in the ccnudge config and referenced by name from
+// the hooks (`ccnudge hook Stop --channel phone`):
+//
+//   "channels": {
+//     "phone": { "type": "ntfy", "url": "https://ntfy.sh", "topic": "my-claude" },
+//     "team": { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//     "ci": {
+//       "type": "webhook",
+//       "url": "http://localhost:8080/claude",
+//       "body": { "text": "{{title}}: {{body}}", "session": "{{session_id}}" }
+//     },
+//     "log": { "type": "log", "path": "~/.ccnudge/notifications.log" }
+//   }
+//
+// A "log" channel appends the message to a local file instead of sending it.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { ValidationError } = require('./errors');
+
+const CHANNEL_TYPES = {
+  ntfy: 'ntfy / ntfy.sh topic',
+  gotify: 'Gotify server',
+  slack: 'Slack incoming webhook',
+  discord: 'Discord webhook',
+  webhook: 'Generic HTTP endpoint (JSON POST)',
+  log: 'Append to a local log file'
+};
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY_MS = 1000;
+
+const DEFAULT_LOG_FILE = path.join('~', '.ccnudge', 'notifications.log');
+
+function getChannelTypes() {
+  return Object.keys(CHANNEL_TYPES).map(type => ({
+    name: `${type} - ${CHANNEL_TYPES[type]}`,
+    value: type
+  }));
+}
+
+function validateChannel(name, channel) {
+  if (!channel || typeof channel !== 'object') {
+    throw new ValidationError(`Channel "${name}" must be an object`);
+  }
+
+  if (!CHANNEL_TYPES[channel.type]) {
+    throw new ValidationError(`Channel "${name}" has unknown type: ${channel.type} (expected ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+  }
+
+  if (channel.type === 'log') {
+    if (channel.path !== undefined && typeof channel.path !== 'string') {
+      throw new ValidationError(`Channel "${name}" path must be a string`);
+    }
+    return;
+  }
+
+  let url;
+  try {
+    url = new URL(channel.url);
+  } catch {
+    throw new ValidationError(`Channel "${name}" needs a valid url (got ${JSON.stringify(channel.url)})`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError(`Channel "${name}" url must use http or https`);
+  }
+
+  if (channel.type === 'ntfy' && !channel.topic && url.pathname.replace(/\//g, '') === '') {
+    throw new ValidationError(`Channel "${name}" needs a topic (or a url that ends with the topic)`);
+  }
+  if (channel.type === 'gotify' && !channel.token) {
+    throw new ValidationError(`Channel "${name}" needs an application token`);
+  }
+
+  for (const key of ['timeout', 'retries']) {
+    if (channel[key] !== undefined && !(typeof channel[key] === 'number' && channel[key] >= 0)) {
+      throw new ValidationError(`Channel "${name}" ${key} must be a number (0 or more)`);
+    }
+  }
+}
+
+// Replaces {{name}} placeholders in every string of a (JSON) template
+function renderValue(template, vars) {
+  if (typeof template === 'string') {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => vars[key] !== undefined ? vars[key] : '');
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderValue(item, vars));
+  }
+  if (template && typeof template === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(template)) {
+      result[key] = renderValue(value, vars);
+    }
+    return result;
+  }
+  return template;
+}
+
+function json(body) {
+  return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+}
+
+// Turns a message ({ title, body, vars }) into the HTTP request for a channel
+function buildRequest(channel, message) {
+  const vars = { ...message.vars, title: message.title, body: message.body };
+  const headers = { ...channel.headers };
+  let url = channel.url;
+  let payload;
+
+  switch (channel.type) {
+    case 'ntfy':
+      if (channel.topic) {
+        url = `${channel.url.replace(/\/+$/, '')}/${encodeURIComponent(channel.topic)}`;
+      }
+      // ntfy reads the title from a header, which must stay plain ASCII
+      headers.Title = message.title.replace(/[^\x20-\x7e]/g, '?');
+      if (channel.priority) {
+        headers.Priority = String(channel.priority);
+      }
+      if (channel.tags) {
+        headers.Tags = [].concat(channel.tags).join(',');
+      }
+      if (channel.token) {
+        headers.Authorization = `Bearer ${channel.token}`;
+      }
+      payload = { headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: message.body };
+      break;
+
+    case 'gotify':
+      // The app token goes in a header: query strings end up in proxy and server logs
+      url = `${channel.url.replace(/\/+$/, '')}/message`;
+      headers['X-Gotify-Key'] = channel.token;
+      payload = json({ title: message.title, message: message.body, priority: channel.priority || 5 });
+      break;
+
+    case 'slack':
+      payload = json({ text: `*${message.title}*\n${message.body}` });
+      break;
+
+    case 'discord':
+      payload = json({
+        content: `**${message.title}**\n${message.body}`,
+        ...(channel.username ? { username: channel.username } : {})
+      });
+      break;
+
+    case 'webhook':
+    default:
+      if (typeof channel.body === 'string') {
+        payload = { headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: renderValue(channel.body, vars) };
+      } else {
+        payload = json(channel.body
+          ? renderValue(channel.body, vars)
+          : { title: message.title, message: message.body, event: vars.hook_event_name, payload: message.vars });
+      }
+      break;
+  }
+
+  return {
+    url,
+    method: channel.method || 'POST',
+    headers: { ...payload.headers, ...headers },
+    body: payload.body
+  };
+}
+
+function sendRequest(request, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(request.url);
+    const client = url.protocol === 'https:' ? https : http;
+    const body = Buffer.from(request.body || '', 'utf-8');
+
+    const req = client.request(url, {
+      method: request.method,
+      headers: { ...request.headers, 'Content-Length': body.length },
+      timeout: timeoutMs
+    }, (res) => {
+      // Drain the response so the socket can be released
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function getLogPath(channel) {
+  const logPath = channel.path || DEFAULT_LOG_FILE;
+
+  if (logPath === '~' || logPath.startsWith('~/') || logPath.startsWith(`~${path.sep}`)) {
+    return path.join(os.homedir(), logPath.slice(1));
+  }
+  return path.resolve(logPath);
+}
+
+// One line per message: time, event, title and body separated by tabs
+async function appendToLog(name, channel, message) {
+  const logPath = getLogPath(channel);
+  const startedAt = Date.now();
+  const fields = [new Date().toISOString(), message.vars && message.vars.hook_event_name, message.title, message.body];
+  const line = fields.map(field => String(field || '').replace(/[\t\r\n]+/g, ' ')).join('\t');
+
+  try {
+    await fs.mkdir(path.dirname(logPath), { recursive: true });
+    await fs.appendFile(logPath, line + '\n', 'utf-8');
+    return { channel: name, ok: true, path: logPath, attempts: 1, duration: Date.now() - startedAt };
+  } catch (error) {
+    return { channel: name, ok: false, error: error.message, attempts: 1, duration: Date.now() - startedAt };
+  }
+}
+
+// Sends a message to one channel, retrying network errors and 5xx responses
+async function sendToChannel(name, channel, message) {
+  validateChannel(name, channel);
+
+  if (channel.type === 'log') {
+    return appendToLog(name, channel, message);
+  }
+
+  const request = buildRequest(channel, message);
+  const timeout = channel.timeout !== undefined ? channel.timeout * 1000 : DEFAULT_TIMEOUT_MS;
+  const retries = channel.retries !== undefined ? channel.retries : DEFAULT_RETRIES;
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const statusCode = await sendRequest(request, timeout);
+      return { channel: name, ok: true, statusCode, attempts: attempt + 1, duration: Date.now() - startedAt };
+    } catch (error) {
+      const retryable = !error.statusCode || error.statusCode >= 500;
+      if (!retryable || attempt >= retries) {
+        return { channel: name, ok: false, error: error.message, attempts: attempt + 1, duration: Date.now() - startedAt };
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * (attempt + 1)));
+    }
+  }
+}
+
+// Sends a message to several channels at once. Unknown names are reported
+// as failures instead of throwing, so one typo doesn't hide the other channels.
+async function deliverToChannels(names, channels, message) {
+  return Promise.all(names.map((name) => {
+    if (!channels || !channels[name]) {
+      return { channel: name, ok: false, error: 'Channel is not defined in the ccnudge config', attempts: 0, duration: 0 };
+    }
+
+    return sendToChannel(name, channels[name], message)
+      .catch(error => ({ channel: name, ok: false, error: error.message, attempts: 0, duration: 0 }));
+  }));
+}
+
+module.exports = {
+  getChannelTypes,
+  getLogPath,
+  validateChannel,
+  buildRequest,
+  sendToChannel,
+  deliverToChannels
+};
@@ -0,0 +1,166 @@
+// ccnudge's own configuration: the events ccnudge sets up (see schema.js),
+// the per-event options the hook runtime evaluates every time a hook fires
+// (quiet hours, ...), the HTTP channels hooks can send to, the project rules
+// (rules.js) and the sound player to use on Linux. Like Claude Code
+// settings, there is one file per scope; a hook sees the layers merged with
+// local overriding project overriding user. Changes to a config hold its
+// lock file (lock.js) and replace the file in one rename, so two terminals
+// don't lose each other's changes and a hook never reads half a file.
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveScope, getConfigPath, getScopes } = require('./scopes');
+const { withLock } = require('./lock');
+const { ConfigError } = require('./errors');
+
+// A change holds the lock while it also rewrites settings.json
+const LOCK_OPTIONS = { staleMs: 10000, timeoutMs: 10000 };
+
+async function readConfig(scope) {
+  const configPath = getConfigPath(scope);
+
+  try {
+    const content = await fs.readFile(configPath, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    if (error instanceof SyntaxError) {
+      throw new ConfigError(`Could not parse ${configPath}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// The config file's content now, or null when there is none
+async function readConfigContent(scope) {
+  try {
+    return await fs.readFile(getConfigPath(scope), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function formatConfig(config) {
+  return JSON.stringify(config, null, 2);
+}
+
+async function writeConfig(config, scope) {
+  const configPath = getConfigPath(scope);
+  const tempPath = `${configPath}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  try {
+    await fs.writeFile(tempPath, formatConfig(config), 'utf-8');
+    await fs.rename(tempPath, configPath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Runs `fn` while holding the lock of a scope's config. Everything that reads
+// a config to change it runs inside, or a concurrent change gets lost.
+async function withConfigLock(scope, fn) {
+  const configPath = getConfigPath(scope);
+
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  return withLock(`${configPath}.lock`, fn, LOCK_OPTIONS);
+}
+
+// Merges the config of every scope. Event options are merged key by key, so a
+// local config can override a single option of an event defined for the user.
+// Channels are merged by name, the player of the closest scope wins, and the
+// project rules of closer scopes are tried first.
+async function loadEffectiveConfig() {
+  const effective = { events: {}, channels: {}, rules: [] };
+  const seenPaths = new Set();
+
+  for (const { value: scope } of getScopes()) {
+    const configPath = getConfigPath(scope);
+
+    // Running from the home directory can make two scopes share a file
+    if (seenPaths.has(configPath)) {
+      continue;
+    }
+    seenPaths.add(configPath);
+
+    const config = await readConfig(scope);
+
+    for (const [event, options] of Object.entries(config.events || {})) {
+      effective.events[event] = { ...effective.events[event], ...options };
+    }
+
+    Object.assign(effective.channels, config.channels);
+    if (Array.isArray(config.rules)) {
+      effective.rules = [...config.rules, ...effective.rules];
+    }
+    if (config.player) {
+      effective.player = config.player;
+    }
+  }
+
+  return effective;
+}
+
+function getEventConfig(config, event) {
+  return (config && config.events && config.events[event]) || {};
+}
+
+// Adds or replaces (or with undefined, removes) a channel in a scope's config
+async function setChannel(name, channel, scope) {
+  const scopeName = resolveScope(scope);
+
+  return withConfigLock(scopeName, async () => {
+    const config = await readConfig(scopeName);
+    const channels = { ...config.channels };
+
+    if (channel === undefined) {
+      delete channels[name];
+    } else {
+      channels[name] = channel;
+    }
+
+    if (Object.keys(channels).length > 0) {
+      config.channels = channels;
+    } else {
+      delete config.channels;
+    }
+
+    await writeConfig(config, scopeName);
+    return config;
+  });
+}
+
+// Sets (or with null, removes) the sound player of a scope's config
+async function setPlayer(player, scope) {
+  const scopeName = resolveScope(scope);
+
+  return withConfigLock(scopeName, async () => {
+    const config = await readConfig(scopeName);
+
+    if (player) {
+      config.player = player;
+    } else {
+      delete config.player;
+    }
+
+    await writeConfig(config, scopeName);
+    return config;
+  });
+}
+
+module.exports = {
+  readConfig,
+  readConfigContent,
+  formatConfig,
+  writeConfig,
+  withConfigLock,
+  loadEffectiveConfig,
+  getEventConfig,
+  setChannel,
+  setPlayer
+};
@@ -0,0 +1,167 @@
+// Unified diffs of the files ccnudge writes, for --dry-run and the setup
+// confirmation: what settings.json (or a ccnudge config) looks like now
+// against what ccnudge would write.
+
+// Lines of context around each change, like diff -u
+const CONTEXT = 3;
+
+// Above this many line pairs, the changed middle of a file is shown as
+// removed and added as a whole instead of being compared line by line
+const MAX_COMPARISONS = 4000000;
+
+// Lines keep their "\n", so a missing newline at the end counts as a change
+function splitLines(content) {
+  return String(content || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function formatLine(type, line) {
+  return line.endsWith('\n') ? `${type}${line.slice(0, -1)}` : `${type}${line}\n\\ No newline at end of file`;
+}
+
+// The edit script from `a` to `b`: [{ type: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(line => ({ type: ' ', line }));
+  const tail = a.slice(endA).map(line => ({ type: ' ', line }));
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+
+  if (oldLines.length * newLines.length > MAX_COMPARISONS) {
+    return [
+      ...head,
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line })),
+      ...tail
+    ];
+  }
+
+  // Longest common subsequence of the changed middle, from the end
+  const n = oldLines.length;
+  const m = newLines.length;
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && oldLines[i] === newLines[j]) {
+      middle.push({ type: ' ', line: oldLines[i++] });
+      j++;
+    } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Removed lines go before the lines replacing them
+      middle.push({ type: '-', line: oldLines[i++] });
+    } else {
+      middle.push({ type: '+', line: newLines[j++] });
+    }
+  }
+
+  return [...head, ...middle, ...tail];
+}
+
+function formatRange(start, count) {
+  // An empty range starts at the line before it, like diff -u
+  return count === 1 ? String(start) : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+// A unified diff of `file` from `before` to `after` (null: the file doesn't
+// exist). Returns '' when they are the same.
+function createPatch(file, before, after) {
+  if (before === after) {
+    return '';
+  }
+
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const lines = [
+    `--- ${before === null ? '/dev/null' : file}`,
+    `+++ ${after === null ? '/dev/null' : file}`
+  ];
+
+  // Old and new line numbers of every op
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map((op) => {
+    const numbers = { ...op, oldLine, newLine };
+    oldLine += op.type === '+' ? 0 : 1;
+    newLine += op.type === '-' ? 0 : 1;
+    return numbers;
+  });
+
+  const changed = numbered.map((op, index) => op.type === ' ' ? -1 : index).filter(index => index >= 0);
+  let h = 0;
+  while (h < changed.length) {
+    // Changes at most twice the context apart share a hunk
+    let last = h;
+    while (last + 1 < changed.length && changed[last + 1] - changed[last] - 1 <= CONTEXT * 2) {
+      last++;
+    }
+
+    const from = Math.max(0, changed[h] - CONTEXT);
+    const to = Math.min(numbered.length, changed[last] + CONTEXT + 1);
+    const hunk = numbered.slice(from, to);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+
+    lines.push(`@@ -${formatRange(hunk[0].oldLine, oldCount)} +${formatRange(hunk[0].newLine, newCount)} @@`);
+    lines.push(...hunk.map(op => formatLine(op.type, op.line)));
+    h = last + 1;
+  }
+
+  return lines.join('\n');
+}
+
+// Colors are for terminals, and only when the user hasn't turned them off
+function useColor(stream = process.stdout) {
+  if ('NO_COLOR' in process.env) {
+    return false;
+  }
+  return Boolean(stream.isTTY) || ('FORCE_COLOR' in process.env && process.env.FORCE_COLOR !== '0');
+}
+
+const COLORS = {
+  header: text => `\x1b[1m${text}\x1b[22m`,
+  hunk: text => `\x1b[36m${text}\x1b[39m`,
+  removed: text => `\x1b[31m${text}\x1b[39m`,
+  added: text => `\x1b[32m${text}\x1b[39m`
+};
+
+// Colors a patch from createPatch like git does
+function colorPatch(patch) {
+  return patch.split('\n').map((line) => {
+    if (line.startsWith('--- ') || line.startsWith('+++ ')) {
+      return COLORS.header(line);
+    }
+    if (line.startsWith('@@')) {
+      return COLORS.hunk(line);
+    }
+    if (line.startsWith('-')) {
+      return COLORS.removed(line);
+    }
+    if (line.startsWith('+')) {
+      return COLORS.added(line);
+    }
+    return line;
+  }).join('\n');
+}
+
+module.exports = {
+  createPatch,
+  colorPatch,
+  useColor
+};
@@ -0,0 +1,409 @@
+// Checks behind `ccnudge doctor`: everything that has to be right for a hook
+// to fire and make noise, from the settings file to the binaries the hook
+// runtime calls. Each check returns
+//
+//   { id, title, status: 'ok' | 'warn' | 'fail', message, fix }
+//
+// where `fix` tells the user what to run or change (null when status is ok).
+const fs = require('fs').promises;
+const os = require('os');
+const { spawn } = require('child_process');
+const { getScopes, getSettingsPath, getConfigPath, getBackupPath } = require('./scopes');
+const { readSettings } = require('./settings');
+const { readConfig } = require('./config');
+const { validateConfig } = require('./schema');
+const { splitPosix } = require('./shell');
+const {
+  RUNTIME_COMMAND,
+  getRuntimeArgs,
+  extractCcnudgeGroups,
+  getManagedEvents,
+  parseHookCommand
+} = require('./hooks');
+const { hasNotification, isEnabled, loadScopeConfig, findDrift, readBackup } = require('./apply');
+const { resolveSound, getPlatformConfig } = require('./sounds');
+const { findExecutable, getPlayer } = require('./players');
+const { findSpeechEngine, getSpeechEngines } = require('./speech');
+
+// A hook that runs longer than this would hold up Claude Code
+const HOOK_TIMEOUT_MS = 10000;
+
+// Sent to each hook on stdin, like Claude Code does
+function buildTestPayload(event) {
+  return {
+    session_id: 'ccnudge-doctor',
+    hook_event_name: event,
+    cwd: process.cwd(),
+    message: 'ccnudge doctor test'
+  };
+}
+
+function check(id, title, status, message, fix = null) {
+  return { id, title, status, message, fix: status === 'ok' ? null : fix };
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The scopes to look at: those with a settings or config file. Running from
+// the home directory makes the project scope the user scope, so paths are
+// only visited once.
+async function findScopes() {
+  const scopes = [];
+  const seenPaths = new Set();
+
+  for (const { value: scope } of getScopes()) {
+    const settingsPath = getSettingsPath(scope);
+    if (seenPaths.has(settingsPath)) {
+      continue;
+    }
+    seenPaths.add(settingsPath);
+
+    const configPath = getConfigPath(scope);
+    if (scope === 'user' || await exists(settingsPath) || await exists(configPath)) {
+      scopes.push({ scope, settingsPath, configPath });
+    }
+  }
+
+  return scopes;
+}
+
+async function checkScope({ scope, settingsPath, configPath }) {
+  const checks = [];
+  const prefix = `${scope}:`;
+
+  let settings;
+  try {
+    settings = await readSettings(scope);
+    checks.push(check(`${prefix}settings`, `${scope} settings`, 'ok', `${settingsPath} parses`));
+  } catch (error) {
+    checks.push(check(`${prefix}settings`, `${scope} settings`, 'fail', error.message,
+      `Fix the JSON in ${settingsPath}; Claude Code ignores a file it can't parse`));
+  }
+
+  let config;
+  try {
+    const errors = validateConfig(await readConfig(scope));
+    if (errors.length > 0) {
+      checks.push(check(`${prefix}config`, `${scope} config`, 'fail', errors.join('; '), `Correct ${configPath}, then run "ccnudge apply --scope ${scope}"`));
+    } else {
+      config = await loadScopeConfig(scope);
+      checks.push(check(`${prefix}config`, `${scope} config`, 'ok', `${configPath} is valid`));
+    }
+  } catch (error) {
+    checks.push(check(`${prefix}config`, `${scope} config`, 'fail', error.message, `Fix the JSON in ${configPath}`));
+  }
+
+  if (!settings || !config) {
+    return { checks, settings, config };
+  }
+
+  const configured = Object.entries(config.events || {})
+    .filter(([, options]) => isEnabled(options) && [options, ...Object.values(options.matchers || {})].some(hasNotification))
+    .map(([event]) => event);
+  const managed = getManagedEvents(settings);
+
+  if (configured.length === 0 && managed.length === 0) {
+    checks.push(check(`${prefix}hooks`, `${scope} hooks`, scope === 'user' ? 'warn' : 'ok',
+      'No ccnudge hooks in this scope', 'Run "ccnudge setup" to add notifications'));
+  } else if (managed.length === 0) {
+    checks.push(check(`${prefix}hooks`, `${scope} hooks`, 'fail',
+      `${settingsPath} has no ccnudge hooks, but ${configPath} sets up ${configured.join(', ')}`,
+      `Run "ccnudge apply --scope ${scope}"`));
+  } else {
+    const drift = await findDrift(scope, config);
+    checks.push(drift.length > 0
+      ? check(`${prefix}hooks`, `${scope} hooks`, 'fail',
+        `The hooks in ${settingsPath} don't match ${configPath} (${drift.join(', ')})`,
+        `Run "ccnudge apply --scope ${scope}" to rewrite them from the config`)
+      : check(`${prefix}hooks`, `${scope} hooks`, 'ok', `${managed.length} event(s) with ccnudge hooks: ${managed.join(', ')}`));
+  }
+
+  // Older versions moved disabled hooks into a backup file; an event can't be
+  // disabled there and live in settings.json at the same time
+  const backup = await readBackup(scope);
+  if (backup) {
+    const conflicts = Object.keys(backup).filter(event => managed.includes(event));
+    checks.push(conflicts.length > 0
+      ? check(`${prefix}backup`, `${scope} backup`, 'warn',
+        `${getBackupPath(scope)} holds disabled hooks for ${conflicts.join(', ')}, which also have live hooks`,
+        `Run "ccnudge stop --scope ${scope}" and "ccnudge start --scope ${scope}" to move everything into the config`)
+      : check(`${prefix}backup`, `${scope} backup`, 'warn',
+        `${getBackupPath(scope)} from an older version is still around`,
+        `Run "ccnudge stop --scope ${scope}" and "ccnudge start --scope ${scope}" to move it into the config`));
+  }
+
+  return { checks, settings, config };
+}
+
+// Sounds named in the configs and the files the live hooks play
+async function checkSounds(scopes) {
+  const missing = [];
+  let count = 0;
+
+  for (const { scope, config, settings } of scopes) {
+    for (const [event, options] of Object.entries((config && config.events) || {})) {
+      for (const target of [options, ...Object.values(options.matchers || {})]) {
+        if (!target.sound) {
+          continue;
+        }
+        count++;
+        try {
+          await resolveSound(target.sound);
+        } catch {
+          missing.push(`${target.sound} (${scope} ${event})`);
+        }
+      }
+    }
+
+    // Hooks look up rule sounds without the sound index
+    for (const rule of (config && config.rules) || []) {
+      if (rule.sound) {
+        count++;
+        try {
+          await resolveSound(rule.sound, { index: false });
+        } catch {
+          missing.push(`${rule.sound} (${scope} rule ${rule.match})`);
+        }
+      }
+    }
+
+    for (const { event, hook } of listHooks(settings)) {
+      const parsed = parseHookCommand(hook.command);
+      if (parsed && parsed.sound) {
+        count++;
+        if (!(await exists(parsed.sound))) {
+          missing.push(`${parsed.sound} (${scope} settings, ${event})`);
+        }
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    return check('sounds', 'Sound files', 'fail', `Missing: ${missing.join(', ')}`,
+      'Pick an existing sound with "ccnudge setup" (see "ccnudge list"), then run "ccnudge apply"');
+  }
+  return check('sounds', 'Sound files', 'ok', count > 0 ? `${count} sound reference(s) found` : 'No sounds configured');
+}
+
+async function checkPlayer(config) {
+  const platform = os.platform();
+
+  if (platform === 'linux') {
+    const player = await getPlayer(config.player);
+    if (!player.name) {
+      return check('player', 'Sound player', 'fail', 'None of paplay, pw-play, aplay, ffplay, mpv or play is on PATH',
+        'Install one, e.g. "sudo apt install pulseaudio-utils" (paplay) or "sudo apt install alsa-utils" (aplay)');
+    }
+    if (config.player && player.source !== 'config') {
+      return check('player', 'Sound player', 'warn', `The configured player ${config.player} is not on PATH, using ${player.name}`,
+        `Install ${config.player} or run "ccnudge player auto"`);
+    }
+    return check('player', 'Sound player', 'ok', `${player.name} (${player.source})`);
+  }
+
+  const command = getPlatformConfig().command;
+  const found = await findExecutable(platform === 'win32' ? `${command}.exe` : command);
+  return found
+    ? check('player', 'Sound player', 'ok', found)
+    : check('player', 'Sound player', 'fail', `${command} is not on PATH`, `Make sure ${command} is installed and on PATH`);
+}
+
+// node-notifier shells out to notify-send on Linux and AppleScript on macOS
+async function checkNotifier(usesDesktop) {
+  const binaries = { linux: 'notify-send', darwin: 'osascript' };
+  const binary = binaries[os.platform()];
+
+  if (!binary) {
+    return check('notifier', 'Desktop notifications', 'ok', 'Uses the built-in Windows notifier');
+  }
+
+  const found = await findExecutable(binary);
+  if (found) {
+    return check('notifier', 'Desktop notifications', 'ok', found);
+  }
+  return check('notifier', 'Desktop notifications', usesDesktop ? 'fail' : 'warn', `${binary} is not on PATH`,
+    binary === 'notify-send' ? 'Install it, e.g. "sudo apt install libnotify-bin"' : 'osascript ships with macOS; check your PATH');
+}
+
+// Spoken messages fall back to the sound, so a missing engine only warns
+async function checkSpeech(usesSpeech) {
+  if (!usesSpeech) {
+    return null;
+  }
+
+  const engine = await findSpeechEngine();
+  if (engine) {
+    return check('speech', 'Text to speech', 'ok', engine.command);
+  }
+  const names = getSpeechEngines().map(candidate => candidate.name);
+  return check('speech', 'Text to speech', 'warn',
+    `Events speak their message, but ${names.length > 0 ? `none of ${names.join(', ')} is on PATH` : 'there is no engine for this platform'}; their sound plays instead`,
+    names.includes('espeak-ng') ? 'Install one, e.g. "sudo apt install speech-dispatcher" (spd-say) or "sudo apt install espeak-ng"' : 'Remove "speak" from those events');
+}
+
+// User hooks run the node and bin/hook.js that set them up, which are gone
+// after e.g. switching node versions. Project and local hooks (and hooks of
+// older versions) run `ccnudge hook` from PATH.
+async function checkRuntime(scopes) {
+  const missing = new Set();
+  let portable = false;
+
+  for (const { settings } of scopes) {
+    for (const { hook } of listHooks(settings)) {
+      if (!parseHookCommand(hook.command)) {
+        continue;
+      }
+      const words = splitPosix(hook.command);
+      if (words[0] === RUNTIME_COMMAND) {
+        portable = true;
+        continue;
+      }
+      for (const file of words.slice(0, 2)) {
+        if (!(await exists(file))) {
+          missing.add(file);
+        }
+      }
+    }
+  }
+
+  if (missing.size > 0) {
+    return check('runtime', 'Hook runtime', 'fail', `Hooks run ${[...missing].join(' and ')}, which no longer exist`,
+      'Run "ccnudge apply" in each scope to point the hooks at this installation');
+  }
+  if (portable && !(await findExecutable(os.platform() === 'win32' ? `${RUNTIME_COMMAND}.cmd` : RUNTIME_COMMAND))) {
+    return check('runtime', 'Hook runtime', 'fail', `Hooks run "${RUNTIME_COMMAND} hook ...", but ${RUNTIME_COMMAND} is not on PATH`,
+      'Install ccnudge globally with "npm install -g ccnudge"');
+  }
+  return check('runtime', 'Hook runtime', 'ok', getRuntimeArgs().join(' '));
+}
+
+function listHooks(settings) {
+  const hooks = [];
+  for (const event of getManagedEvents(settings || {})) {
+    for (const group of extractCcnudgeGroups(settings.hooks[event])) {
+      for (const hook of group.hooks) {
+        hooks.push({ event, matcher: group.matcher || null, hook });
+      }
+    }
+  }
+  return hooks;
+}
+
+// Runs a hook command the way Claude Code does: through the shell, with the
+// JSON payload on stdin. `options.cwd` and `options.env` are passed to the
+// shell. Resolves with exit code, stderr and duration.
+function runCommand(command, payload, options = {}) {
+  const { timeoutMs = HOOK_TIMEOUT_MS, cwd, env } = options;
+
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    // In a process group of its own, so a timeout also ends what the shell started
+    const detached = os.platform() !== 'win32';
+    const child = spawn(command, { shell: true, cwd, env, detached, stdio: ['pipe', 'ignore', 'pipe'], windowsHide: true });
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(detached ? -child.pid : child.pid);
+      } catch {
+        child.kill();
+      }
+    }, timeoutMs);
+
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, stderr: error.message, duration: Date.now() - startedAt, timedOut });
+    });
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      resolve({ exitCode, stderr: stderr.trim(), duration: Date.now() - startedAt, timedOut });
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+async function checkHookCommands(scopes) {
+  const checks = [];
+
+  for (const { scope, settings } of scopes) {
+    for (const { event, matcher, hook } of listHooks(settings)) {
+      const title = `Hook ${event}${matcher ? ` (${matcher})` : ''} [${scope}]`;
+      const result = await runCommand(hook.command, buildTestPayload(event));
+      const id = `hook:${scope}:${event}${matcher ? `:${matcher}` : ''}`;
+      const details = { command: hook.command, ...result };
+
+      if (result.timedOut) {
+        checks.push({ ...check(id, title, 'fail', `Still running after ${HOOK_TIMEOUT_MS / 1000}s`, 'Check the sound player and channels of this event'), details });
+      } else if (result.exitCode !== 0) {
+        checks.push({ ...check(id, title, 'fail', `Exited with ${result.exitCode}${result.stderr ? `: ${result.stderr}` : ''}`,
+          'Run the command by hand to see the full error'), details });
+      } else if (result.stderr) {
+        checks.push({ ...check(id, title, 'warn', result.stderr, 'The hook ran, but part of it failed; fix the error it printed'), details });
+      } else {
+        checks.push({ ...check(id, title, 'ok', `Ran in ${result.duration}ms`), details });
+      }
+    }
+  }
+
+  return checks;
+}
+
+// Runs every check. The hook commands only run with `options.run`: they play
+// sounds and send real notifications, channels included.
+async function diagnose(options = {}) {
+  const checks = [];
+  const scopes = [];
+
+  for (const scope of await findScopes()) {
+    const result = await checkScope(scope);
+    checks.push(...result.checks);
+    scopes.push({ ...scope, settings: result.settings, config: result.config });
+  }
+
+  const usesOption = key => scopes.some(({ config }) => Object.values((config && config.events) || {})
+    .some(eventOptions => isEnabled(eventOptions) &&
+      [eventOptions, ...Object.values(eventOptions.matchers || {})].some(target => target[key])));
+
+  let effectivePlayer = null;
+  for (const { config } of scopes) {
+    effectivePlayer = (config && config.player) || effectivePlayer;
+  }
+
+  checks.push(await checkSounds(scopes));
+  checks.push(await checkPlayer({ player: effectivePlayer }));
+  checks.push(await checkNotifier(usesOption('desktop')));
+  const speech = await checkSpeech(usesOption('speak'));
+  if (speech) {
+    checks.push(speech);
+  }
+  checks.push(await checkRuntime(scopes));
+
+  if (options.run) {
+    checks.push(...await checkHookCommands(scopes));
+  }
+
+  const summary = { ok: 0, warn: 0, fail: 0 };
+  for (const { status } of checks) {
+    summary[status]++;
+  }
+
+  return { ok: summary.fail === 0, summary, checks, ran: Boolean(options.run) };
+}
+
+module.exports = {
+  HOOK_TIMEOUT_MS,
+  runCommand,
+  diagnose
+};
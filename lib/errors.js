@@ -0,0 +1,63 @@
+// Error classes thrown by the library. They keep the plain Error messages the
+// CLI prints and add a stable `code` so callers can tell failures apart:
+//
+//   try { ... } catch (error) {
+//     if (error instanceof SoundNotFoundError) { ... }
+//     if (error.code === 'INVALID_CONFIG') { ... }
+//   }
+
+class CcnudgeError extends Error {
+  constructor(message, code = 'CCNUDGE_ERROR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+
+  toJSON() {
+    const { name, code, message, ...details } = this;
+    return { name, code, message, ...details };
+  }
+}
+
+// Bad input: unknown event, scope, channel or profile, invalid matcher, ...
+class ValidationError extends CcnudgeError {
+  constructor(message, details) {
+    super(message, 'INVALID_INPUT', details);
+  }
+}
+
+// A ccnudge config or Claude Code settings file that can't be read or used.
+// `errors` lists every problem found by the schema.
+class ConfigError extends CcnudgeError {
+  constructor(message, details) {
+    super(message, 'INVALID_CONFIG', details);
+  }
+}
+
+class SoundNotFoundError extends CcnudgeError {
+  constructor(sound) {
+    super(`Sound file not found: ${sound}`, 'SOUND_NOT_FOUND', { sound });
+  }
+}
+
+class PlaybackError extends CcnudgeError {
+  constructor(message, details) {
+    super(message, 'PLAYBACK_FAILED', details);
+  }
+}
+
+class UnsupportedPlatformError extends CcnudgeError {
+  constructor(platform) {
+    super(`Unsupported platform: ${platform}`, 'UNSUPPORTED_PLATFORM', { platform });
+  }
+}
+
+module.exports = {
+  CcnudgeError,
+  ValidationError,
+  ConfigError,
+  SoundNotFoundError,
+  PlaybackError,
+  UnsupportedPlatformError
+};
@@ -0,0 +1,234 @@
+// Every Claude Code hook event ccnudge knows about, in one place: what it is
+// for, whether its hooks take a matcher (and what the matcher is compared
+// with), the fields Claude Code adds to its payload, the message shown for it
+// and the sound setup suggests. Setup, the hook runtime, simulate and status
+// read it from here, so supporting a new event is one more entry.
+//
+// Events missing from the list (from a Claude Code newer than this ccnudge)
+// are still kept in the config and in settings.json; status points them out.
+const os = require('os');
+
+const DEFAULT_TOOL = 'Bash';
+
+// What the common tools get as tool_input; other tools get an empty object
+const SAMPLE_TOOL_INPUTS = {
+  Bash: { command: 'npm test', description: 'Run the tests' },
+  Read: { file_path: 'README.md' },
+  Write: { file_path: 'notes.md', content: 'Notes\n' },
+  Edit: { file_path: 'README.md', old_string: 'Hello', new_string: 'Hello, world' }
+};
+
+function sampleToolInput(tool) {
+  return { ...(SAMPLE_TOOL_INPUTS[tool] || {}) };
+}
+
+// The kinds of Notification, by the payload's notification_type. Claude Code
+// versions that don't send it only give the message, so `pattern` tells
+// the common ones apart by their text.
+const NOTIFICATION_TYPES = {
+  permission_prompt: {
+    description: 'Claude needs your permission to use a tool',
+    pattern: /permission/i,
+    message: 'Claude needs your permission to use Bash',
+    sounds: { darwin: 'Funk', linux: 'dialog-warning', win32: 'Windows Exclamation' }
+  },
+  idle_prompt: {
+    description: 'Claude is waiting for your input',
+    pattern: /waiting for your input/i,
+    message: 'Claude is waiting for your input',
+    sounds: { darwin: 'Ping', linux: 'window-attention', win32: 'Windows Notify Messaging' }
+  },
+  auth_success: {
+    description: 'You signed in',
+    pattern: null,
+    message: 'Authentication succeeded',
+    sounds: { darwin: 'Hero', linux: 'service-login', win32: 'Windows Logon' }
+  },
+  elicitation_dialog: {
+    description: 'An MCP server asks you for input',
+    pattern: null,
+    message: 'An MCP server needs your input',
+    sounds: { darwin: 'Purr', linux: 'window-question', win32: 'Windows Notify Email' }
+  }
+};
+
+const TOOL_MATCHER = {
+  field: 'tool_name',
+  name: 'tools',
+  examples: 'Bash, Edit|Write, mcp__.*'
+};
+
+// `payload` builds the fields Claude Code adds next to session_id,
+// transcript_path, cwd and hook_event_name. Matchers are compared with the
+// payload's `matcher.field` (or what `matcher.read` makes of the payload). A
+// `routed` matcher replaces the event's own notification for what it matches
+// instead of adding to it. `timed` events know how long the turn took.
+const EVENTS = {
+  Stop: {
+    description: 'When Claude finishes responding',
+    payload: () => ({ stop_hook_active: false }),
+    template: '{{project}}: Claude has finished',
+    sounds: { darwin: 'Glass', linux: 'complete', win32: 'Windows Notify System Generic' },
+    timed: true
+  },
+  SubagentStop: {
+    description: 'When subagent tasks complete',
+    payload: () => ({ stop_hook_active: false }),
+    template: '{{project}}: Subagent task completed',
+    sounds: { darwin: 'Tink', linux: 'message', win32: 'Windows Notify Messaging' },
+    timed: true
+  },
+  PostToolUse: {
+    description: 'After tool calls complete',
+    matcher: TOOL_MATCHER,
+    payload: ({ tool }) => ({ tool_name: tool, tool_input: sampleToolInput(tool), tool_response: { success: true } }),
+    template: '{{project}}: {{tool_name}} finished',
+    sounds: { darwin: 'Pop', linux: 'audio-volume-change', win32: 'Windows Ding' }
+  },
+  PreToolUse: {
+    description: 'Before tool calls (advanced)',
+    matcher: TOOL_MATCHER,
+    payload: ({ tool }) => ({ tool_name: tool, tool_input: sampleToolInput(tool) }),
+    template: '{{project}}: Running {{tool_name}}',
+    sounds: { darwin: 'Tink', linux: 'bell', win32: 'Windows Ding' }
+  },
+  UserPromptSubmit: {
+    description: 'When user submits a prompt',
+    payload: ({ message }) => ({ prompt: message || 'Run the tests' }),
+    template: '{{project}}: Prompt submitted',
+    sounds: { darwin: 'Pop', linux: 'message', win32: 'Windows Notify Messaging' }
+  },
+  Notification: {
+    description: 'When Claude needs your permission or input',
+    matcher: {
+      field: 'notification_type',
+      name: 'notification types',
+      examples: Object.keys(NOTIFICATION_TYPES).join(', '),
+      values: NOTIFICATION_TYPES,
+      read: getNotificationType,
+      routed: true
+    },
+    payload: ({ type, message }) => {
+      // A message alone gets the type Claude Code would give it
+      const notificationType = type || (message ? getNotificationType({ message }) : 'permission_prompt');
+      const known = NOTIFICATION_TYPES[notificationType];
+      return {
+        message: message || (known ? known.message : 'Claude needs your attention'),
+        ...(notificationType ? { notification_type: notificationType } : {})
+      };
+    },
+    template: '{{project}}: {{message}}',
+    sounds: { darwin: 'Ping', linux: 'message-new-instant', win32: 'Windows Notify Email' }
+  },
+  SessionStart: {
+    description: 'When session starts/resumes',
+    payload: () => ({ source: 'startup' }),
+    template: '{{project}}: Session started',
+    sounds: { darwin: 'Hero', linux: 'service-login', win32: 'Windows Logon' }
+  },
+  SessionEnd: {
+    description: 'When session ends',
+    payload: () => ({ reason: 'other' }),
+    template: '{{project}}: Session ended',
+    sounds: { darwin: 'Submarine', linux: 'service-logout', win32: 'Windows Logoff Sound' }
+  },
+  PreCompact: {
+    description: 'Before compact operations',
+    payload: () => ({ trigger: 'manual', custom_instructions: '' }),
+    template: '{{project}}: Compacting conversation',
+    sounds: { darwin: 'Morse', linux: 'dialog-information', win32: 'Windows Notify System Generic' }
+  }
+};
+
+function getEventNames() {
+  return Object.keys(EVENTS);
+}
+
+function isKnownEvent(event) {
+  return Object.prototype.hasOwnProperty.call(EVENTS, event);
+}
+
+// The registry entry of an event, or null for an event ccnudge doesn't know
+function getEventInfo(event) {
+  return isKnownEvent(event) ? EVENTS[event] : null;
+}
+
+// What the event's matchers are compared with ({ field, name, examples }), or
+// null when its hooks always run
+function getMatcherInfo(event) {
+  const info = getEventInfo(event);
+  return (info && info.matcher) || null;
+}
+
+function getMatcherEvents() {
+  return getEventNames().filter(event => getMatcherInfo(event));
+}
+
+function isTimedEvent(event) {
+  const info = getEventInfo(event);
+  return Boolean(info && info.timed);
+}
+
+// The payload fields of an event, as Claude Code would send them.
+// `options.tool`, `options.type` and `options.message` replace the samples.
+function getSampleFields(event, options = {}) {
+  const info = getEventInfo(event);
+  if (!info) {
+    return options.message ? { message: options.message } : {};
+  }
+  return info.payload({ tool: options.tool || DEFAULT_TOOL, type: options.type, message: options.message });
+}
+
+// The sound setup suggests for an event (or one of its notification types)
+// on this platform
+function getSuggestedSound(event, matcher = null, platform = os.platform()) {
+  const matcherInfo = getMatcherInfo(event);
+  const value = matcher && matcherInfo && matcherInfo.values && matcherInfo.values[matcher];
+  const info = value || getEventInfo(event);
+  return (info && info.sounds && info.sounds[platform]) || null;
+}
+
+// Which kind of Notification a payload is: its notification_type, or for
+// Claude Code versions without one, the known type whose pattern the message
+// matches. Null when it can't be told.
+function getNotificationType(payload) {
+  if (payload && typeof payload.notification_type === 'string' && payload.notification_type) {
+    return payload.notification_type;
+  }
+
+  const message = String((payload && payload.message) || '');
+  const found = Object.entries(NOTIFICATION_TYPES).find(([, type]) => type.pattern && type.pattern.test(message));
+  return found ? found[0] : null;
+}
+
+// What the matchers of an event are compared with in a payload, or null
+function getMatcherValue(event, payload) {
+  const info = getMatcherInfo(event);
+  if (!info || !payload) {
+    return null;
+  }
+
+  const value = info.read ? info.read(payload) : payload[info.field];
+  return typeof value === 'string' ? value : null;
+}
+
+// Choices for picking events, e.g. "Stop - When Claude finishes responding"
+function getEventChoices() {
+  return Object.entries(EVENTS).map(([event, info]) => ({ name: `${event} - ${info.description}`, value: event }));
+}
+
+module.exports = {
+  DEFAULT_TOOL,
+  NOTIFICATION_TYPES,
+  getEventNames,
+  isKnownEvent,
+  getEventInfo,
+  getMatcherInfo,
+  getMatcherEvents,
+  isTimedEvent,
+  getSampleFields,
+  getSuggestedSound,
+  getNotificationType,
+  getMatcherValue,
+  getEventChoices
+};
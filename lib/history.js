@@ -0,0 +1,203 @@
+// Snapshots of what ccnudge manages in a scope, taken before every change:
+// the ccnudge config and the ccnudge hooks in settings.json (and, with
+// "history": { "settings": true }, a copy of the whole settings file).
+// `ccnudge history` lists them and `ccnudge rollback <id>` restores one.
+//
+// Snapshots live in ~/.ccnudge/history, one directory per settings file, as
+// numbered files (000012.json). Only the newest `keep` (20 by default) are
+// kept.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { resolveScope, getSettingsPath } = require('./scopes');
+const { extractCcnudgeGroups, getManagedEvents } = require('./hooks');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_KEEP = 20;
+const MAX_KEEP = 1000;
+
+// Reads the "history" options of a config
+function parseHistoryOptions(options = {}) {
+  const { keep = DEFAULT_KEEP, settings = false } = options;
+
+  if (!Number.isInteger(keep) || keep < 1 || keep > MAX_KEEP) {
+    throw new ValidationError(`keep must be a whole number from 1 to ${MAX_KEEP}, got ${keep}`);
+  }
+  if (typeof settings !== 'boolean') {
+    throw new ValidationError('settings must be true or false');
+  }
+  return { keep, settings };
+}
+
+// Project and local scopes have a settings file per repository, so their
+// directory is named after the file's path
+function getHistoryDir(scope) {
+  const name = resolveScope(scope);
+  const base = path.join(os.homedir(), '.ccnudge', 'history');
+
+  if (name === 'user') {
+    return path.join(base, 'user');
+  }
+  const hash = crypto.createHash('sha1').update(getSettingsPath(name)).digest('hex').slice(0, 12);
+  return path.join(base, `${name}-${hash}`);
+}
+
+function snapshotFile(dir, id) {
+  return path.join(dir, `${String(id).padStart(6, '0')}.json`);
+}
+
+async function readSnapshotFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Oldest first
+async function listSnapshots(scope) {
+  const dir = getHistoryDir(scope);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const file of files.filter(file => /^\d+\.json$/.test(file)).sort()) {
+    const snapshot = await readSnapshotFile(path.join(dir, file));
+    if (snapshot) {
+      snapshots.push(snapshot);
+    }
+  }
+  return snapshots;
+}
+
+async function readSnapshot(scope, id) {
+  const name = resolveScope(scope);
+  const number = Number(String(id).replace(/^#/, ''));
+  const snapshot = Number.isInteger(number) && number > 0
+    ? await readSnapshotFile(snapshotFile(getHistoryDir(name), number))
+    : null;
+
+  if (!snapshot) {
+    throw new ValidationError(`No snapshot ${id} in the ${name} scope. See "ccnudge history --scope ${name}"`);
+  }
+  return snapshot;
+}
+
+// The ccnudge hook groups of every event, as they are in settings.json
+function getManagedHooks(settings) {
+  const hooks = {};
+  for (const event of getManagedEvents(settings)) {
+    hooks[event] = extractCcnudgeGroups(settings.hooks[event]);
+  }
+  return hooks;
+}
+
+function sameState(a, b) {
+  return JSON.stringify([a.config, a.hooks, a.settings || null]) === JSON.stringify([b.config, b.hooks, b.settings || null]);
+}
+
+// Records the current state of a scope. Nothing is written when it is the
+// same as the newest snapshot. Returns the snapshot, or null.
+async function saveSnapshot(scope, config, settings) {
+  const name = resolveScope(scope);
+  const dir = getHistoryDir(name);
+  const { keep, settings: keepSettings } = parseHistoryOptions(config.history);
+
+  const snapshots = await listSnapshots(name);
+  const latest = snapshots[snapshots.length - 1];
+  const state = {
+    scope: name,
+    settingsPath: getSettingsPath(name),
+    config,
+    hooks: getManagedHooks(settings)
+  };
+  if (keepSettings) {
+    state.settings = settings;
+  }
+  if (latest && sameState(latest, state)) {
+    return null;
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  let id = latest ? latest.id + 1 : 1;
+  let snapshot;
+  // Another ccnudge may take the same number; the exclusive open tells
+  while (true) {
+    snapshot = { id, createdAt: new Date().toISOString(), ...state };
+    try {
+      await fs.writeFile(snapshotFile(dir, id), JSON.stringify(snapshot, null, 2), { encoding: 'utf-8', flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      id++;
+    }
+  }
+
+  for (const old of snapshots.slice(0, Math.max(0, snapshots.length + 1 - keep))) {
+    await fs.unlink(snapshotFile(dir, old.id)).catch(() => {});
+  }
+  return snapshot;
+}
+
+function describeList(prefix, names) {
+  return names.length > 0 ? [`${prefix}${names.join(`, ${prefix}`)}`] : [];
+}
+
+// What changed from one state ({ config, hooks, settings }) to another, as
+// short phrases: "+Stop", "-Notification", "~PostToolUse (sound, volume)",
+// "SessionEnd disabled", ...
+function summarizeChanges(from, to) {
+  const before = (from.config && from.config.events) || {};
+  const after = (to.config && to.config.events) || {};
+  const changes = [];
+
+  changes.push(...describeList('+', Object.keys(after).filter(event => !before[event])));
+  changes.push(...describeList('-', Object.keys(before).filter(event => !after[event])));
+
+  for (const event of Object.keys(after).filter(event => before[event])) {
+    const was = before[event];
+    const is = after[event];
+    if ((was.enabled !== false) !== (is.enabled !== false)) {
+      changes.push(`${event} ${is.enabled === false ? 'disabled' : 'enabled'}`);
+    }
+
+    const keys = [...new Set([...Object.keys(was), ...Object.keys(is)])]
+      .filter(key => key !== 'enabled' && JSON.stringify(was[key]) !== JSON.stringify(is[key]));
+    if (keys.length > 0) {
+      changes.push(`~${event} (${keys.join(', ')})`);
+    }
+  }
+
+  for (const key of ['channels', 'rules', 'player', 'activeProfile', 'profiles', 'history']) {
+    if (JSON.stringify((from.config || {})[key]) !== JSON.stringify((to.config || {})[key])) {
+      changes.push(key === 'activeProfile' ? `profile ${(to.config || {}).activeProfile || 'none'}` : key);
+    }
+  }
+
+  // Hooks that changed without the config: hand edits, or a sound that moved
+  if (changes.length === 0 && JSON.stringify(from.hooks) !== JSON.stringify(to.hooks)) {
+    changes.push('hooks in settings.json');
+  }
+  if (from.settings && to.settings && JSON.stringify({ ...from.settings, hooks: null }) !== JSON.stringify({ ...to.settings, hooks: null })) {
+    changes.push('other settings');
+  }
+  return changes;
+}
+
+module.exports = {
+  DEFAULT_KEEP,
+  parseHistoryOptions,
+  getHistoryDir,
+  getManagedHooks,
+  listSnapshots,
+  readSnapshot,
+  saveSnapshot,
+  summarizeChanges
+};
@@ -0,0 +1,375 @@
+// Helpers for reading and editing the ccnudge-owned entries in settings.hooks.
+// Every command ccnudge writes ends with HOOK_MARKER so that we can add,
+// replace or delete our own entries without touching hooks the user (or
+// other tools) configured on the same event.
+const path = require('path');
+const os = require('os');
+const { joinPosix, splitPosix } = require('./shell');
+const { getPlatformConfig, parseSoundCommand } = require('./sounds');
+const { getMatcherInfo, getMatcherEvents } = require('./events');
+const { ValidationError } = require('./errors');
+
+const HOOK_MARKER = '# ccnudge';
+
+// Generated hooks run the hook runtime of this installation (bin/hook.js)
+// with the node running it now. Nothing has to be on the hook shell's PATH
+// (local installs, npx), and the CLI isn't loaded on every hook.
+const RUNTIME_SCRIPT = path.join(__dirname, '..', 'bin', 'hook.js');
+
+// Portable hooks run `ccnudge hook <event>` from PATH instead: settings
+// shared with a team (or kept in a repository) can't name the paths of one
+// machine's installation. Older versions wrote only these.
+const RUNTIME_COMMAND = 'ccnudge';
+
+function getRuntimeArgs(portable = false) {
+  return portable ? [RUNTIME_COMMAND, 'hook'] : [process.execPath, RUNTIME_SCRIPT];
+}
+
+// Commands written by ccnudge before the marker existed. The sound commands
+// look like any hand-written `afplay` hook, so they only count as ours when
+// they play a system sound (what older versions offered) or are listed in
+// the backup file older versions kept.
+const LEGACY_SOUND_PATTERNS = [
+  /^(afplay|paplay) \/[^;&|`$]+$/,
+  /^powershell -c \(New-Object Media\.SoundPlayer '[^']+'\)\.PlaySync\(\)$/
+];
+
+const LEGACY_COMMAND_PATTERNS = [
+  /^osascript -e 'display notification "Claude Code has finished" with title "CCNudge"( sound name "")?'$/,
+  /^notify-send "CCNudge" "Claude Code has finished"$/,
+  /^powershell -c "New-BurntToastNotification -Text 'CCNudge', 'Claude Code has finished'"$/
+];
+
+function markCommand(command) {
+  return `${command} ${HOOK_MARKER}`;
+}
+
+// Whether a sound command plays a file from the platform's system sounds
+function playsSystemSound(command) {
+  const file = parseSoundCommand(command);
+  let config;
+  try {
+    config = getPlatformConfig();
+  } catch {
+    return false;
+  }
+  if (!file) {
+    return false;
+  }
+
+  // Windows paths aren't case sensitive
+  const windows = os.platform() === 'win32';
+  const paths = windows ? path.win32 : path.posix;
+  const normalize = text => (windows ? text.toLowerCase() : text);
+  const relative = paths.relative(normalize(config.soundsPath), normalize(file));
+  return normalize(file) === normalize(config.defaultSound) ||
+    (relative !== '' && !relative.startsWith('..') && !paths.isAbsolute(relative));
+}
+
+// The commands in a backup file of an older version ({ event: groups }), for
+// telling its unmarked hooks apart from the user's
+function getLegacyCommands(backup) {
+  const commands = new Set();
+  for (const groups of Object.values(backup || {})) {
+    for (const group of Array.isArray(groups) ? groups : []) {
+      for (const hook of (group && group.hooks) || []) {
+        if (hook && typeof hook.command === 'string') {
+          commands.add(hook.command.trim());
+        }
+      }
+    }
+  }
+  return commands;
+}
+
+// `legacyCommands` (from getLegacyCommands) are the unmarked commands known
+// to be ours. The functions below pass it along.
+function isCcnudgeHook(hook, legacyCommands = null) {
+  if (!hook || typeof hook.command !== 'string') {
+    return false;
+  }
+
+  const command = hook.command.trim();
+  if (command.endsWith(HOOK_MARKER) || LEGACY_COMMAND_PATTERNS.some(pattern => pattern.test(command))) {
+    return true;
+  }
+  return LEGACY_SOUND_PATTERNS.some(pattern => pattern.test(command)) &&
+    ((legacyCommands && legacyCommands.has(command)) || playsSystemSound(command));
+}
+
+// With `options.portable`, the command runs `ccnudge hook` (see getRuntimeArgs)
+function buildHookCommand(event, options = {}) {
+  const args = [...getRuntimeArgs(options.portable), event];
+
+  if (options.sound) {
+    args.push('--sound', options.sound);
+  }
+  if (options.desktop) {
+    args.push('--desktop');
+  }
+  if (options.title) {
+    args.push('--title', options.title);
+  }
+  if (options.body) {
+    args.push('--body', options.body);
+  }
+  for (const channel of options.channels || []) {
+    args.push('--channel', channel);
+  }
+  // Routed matchers (see events.js) are checked again by the runtime
+  if (options.only) {
+    args.push('--only', options.only);
+  }
+  for (const matcher of options.except || []) {
+    args.push('--except', matcher);
+  }
+  if (options.speak) {
+    args.push('--speak', options.speak);
+  }
+  if (options.voice) {
+    args.push('--voice', options.voice);
+  }
+  if (options.rate) {
+    args.push('--rate', String(options.rate));
+  }
+  // 0 is a volume too
+  if (options.volume !== undefined && options.volume !== null) {
+    args.push('--volume', String(options.volume));
+  }
+
+  return markCommand(joinPosix(args));
+}
+
+// Whether a command runs the hook runtime: `<node> <path>/hook.js <event>`,
+// or the portable `ccnudge hook <event>`
+function isRuntimeCommand(words) {
+  const runtime = words[0] === RUNTIME_COMMAND
+    ? words[1] === 'hook'
+    : /(^|[\\/])hook\.js$/.test(words[1] || '');
+  return runtime && Boolean(words[2]);
+}
+
+// Reads the options back out of a command built by buildHookCommand.
+// Returns null for anything that is not a hook runtime command.
+function parseHookCommand(command) {
+  const words = splitPosix(String(command || ''));
+
+  if (!isRuntimeCommand(words)) {
+    return null;
+  }
+  return parseHookArgs(words[2], words.slice(3));
+}
+
+// Reads the options of the hook runtime (`ccnudge hook <event> <args>`).
+// Unknown arguments are skipped.
+function parseHookArgs(event, args) {
+  const parsed = {
+    event,
+    sound: null,
+    desktop: false,
+    title: null,
+    body: null,
+    channels: [],
+    only: null,
+    except: [],
+    speak: null,
+    voice: null,
+    rate: null,
+    volume: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const word = args[i] === '-s' ? '--sound' : args[i];
+
+    if (word === '--desktop') {
+      parsed.desktop = true;
+    } else if (word === '--channel' && args[i + 1] !== undefined) {
+      parsed.channels.push(args[++i]);
+    } else if (word === '--except' && args[i + 1] !== undefined) {
+      parsed.except.push(args[++i]);
+    } else if (['--rate', '--volume'].includes(word) && args[i + 1] !== undefined) {
+      parsed[word.slice(2)] = Number(args[++i]);
+    } else if (['--sound', '--title', '--body', '--only', '--speak', '--voice'].includes(word)) {
+      parsed[word.slice(2)] = args[++i] !== undefined ? args[i] : null;
+    }
+  }
+
+  return parsed;
+}
+
+// Returns the matcher groups of an event with only the ccnudge hooks kept
+function extractCcnudgeGroups(groups, legacyCommands = null) {
+  if (!Array.isArray(groups)) {
+    return [];
+  }
+
+  return groups
+    .map(group => ({ ...group, hooks: (group.hooks || []).filter(hook => isCcnudgeHook(hook, legacyCommands)) }))
+    .filter(group => group.hooks.length > 0);
+}
+
+// Returns the matcher groups of an event with every ccnudge hook removed.
+// Groups that only contained ccnudge hooks are dropped entirely.
+function stripCcnudgeGroups(groups, legacyCommands = null) {
+  if (!Array.isArray(groups)) {
+    return [];
+  }
+
+  const isOurs = hook => isCcnudgeHook(hook, legacyCommands);
+  return groups
+    .filter(group => !(group.hooks || []).length || !(group.hooks || []).every(isOurs))
+    .map(group => ({ ...group, hooks: (group.hooks || []).filter(hook => !isOurs(hook)) }));
+}
+
+function hasCcnudgeHooks(groups, legacyCommands = null) {
+  return extractCcnudgeGroups(groups, legacyCommands).length > 0;
+}
+
+// Lists every event in settings.hooks that has at least one ccnudge hook
+function getManagedEvents(settings, legacyCommands = null) {
+  const hooks = (settings && settings.hooks) || {};
+  return Object.keys(hooks).filter(event => hasCcnudgeHooks(hooks[event], legacyCommands));
+}
+
+function cleanupEmptyHooks(settings, event) {
+  if (settings.hooks[event] && settings.hooks[event].length === 0) {
+    delete settings.hooks[event];
+  }
+
+  if (Object.keys(settings.hooks).length === 0) {
+    delete settings.hooks;
+  }
+}
+
+// Replaces the ccnudge entries of an event with the given groups, keeping all
+// foreign groups in place. Passing an empty array removes our entries.
+function setCcnudgeGroups(settings, event, groups, legacyCommands = null) {
+  if (!settings.hooks) {
+    settings.hooks = {};
+  }
+
+  settings.hooks[event] = [
+    ...stripCcnudgeGroups(settings.hooks[event], legacyCommands),
+    ...groups
+  ];
+
+  cleanupEmptyHooks(settings, event);
+  return settings;
+}
+
+// Claude Code treats a missing, empty or "*" matcher as "match everything"
+function normalizeMatcher(matcher) {
+  return !matcher || matcher === '*' ? '' : matcher;
+}
+
+function supportsMatcher(event) {
+  return Boolean(getMatcherInfo(event));
+}
+
+function validateMatcher(event, matcher) {
+  if (!normalizeMatcher(matcher)) {
+    return;
+  }
+
+  const info = getMatcherInfo(event);
+  if (!info) {
+    throw new ValidationError(`Matchers are only supported for ${getMatcherEvents().join(', ')} (got ${event})`);
+  }
+
+  // Claude Code matches the tool name (or notification type) against the
+  // matcher as a regular expression
+  try {
+    new RegExp(matcher);
+  } catch {
+    throw new ValidationError(`Invalid matcher: ${matcher} (expected one of the ${info.name} or a regex, like ${info.examples})`);
+  }
+}
+
+// Whether a matcher matches a value (a tool name, a notification type) the
+// way Claude Code compares them: the whole value against the matcher as a
+// regular expression. One that isn't valid only matches itself.
+function matchesMatcher(matcher, value) {
+  const normalized = normalizeMatcher(matcher);
+  if (!normalized) {
+    return true;
+  }
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    return new RegExp(`^(?:${normalized})$`).test(value);
+  } catch {
+    return normalized === value;
+  }
+}
+
+function isSameMatcher(group, matcher) {
+  return normalizeMatcher(group.matcher) === normalizeMatcher(matcher);
+}
+
+// Replaces the ccnudge entries for one matcher of an event. Our groups for
+// other matchers and all foreign groups are kept. Passing no hooks removes
+// the matcher's entries.
+function setCcnudgeMatcherGroup(settings, event, matcher, hooks = [], legacyCommands = null) {
+  const groups = (settings.hooks && settings.hooks[event]) || [];
+  const others = groups.filter(group => !isSameMatcher(group, matcher));
+  const sameMatcher = stripCcnudgeGroups(groups.filter(group => isSameMatcher(group, matcher)), legacyCommands);
+
+  const updated = [...others, ...sameMatcher];
+  if (hooks.length > 0) {
+    updated.push(normalizeMatcher(matcher) ? { matcher, hooks } : { hooks });
+  }
+
+  if (!settings.hooks) {
+    settings.hooks = {};
+  }
+  settings.hooks[event] = updated;
+
+  cleanupEmptyHooks(settings, event);
+  return settings;
+}
+
+// Removes the ccnudge entries of an event. Returns true if anything was removed.
+// With a matcher, only that matcher's entries are removed.
+function removeCcnudgeGroups(settings, event, matcher, legacyCommands = null) {
+  if (!settings.hooks || !hasCcnudgeHooks(settings.hooks[event], legacyCommands)) {
+    return false;
+  }
+
+  if (matcher === undefined || matcher === null) {
+    setCcnudgeGroups(settings, event, [], legacyCommands);
+    return true;
+  }
+
+  const groups = settings.hooks[event].filter(group => isSameMatcher(group, matcher));
+  if (!hasCcnudgeHooks(groups, legacyCommands)) {
+    return false;
+  }
+
+  setCcnudgeMatcherGroup(settings, event, matcher, [], legacyCommands);
+  return true;
+}
+
+module.exports = {
+  HOOK_MARKER,
+  RUNTIME_COMMAND,
+  getRuntimeArgs,
+  markCommand,
+  buildHookCommand,
+  parseHookCommand,
+  parseHookArgs,
+  isCcnudgeHook,
+  getLegacyCommands,
+  extractCcnudgeGroups,
+  stripCcnudgeGroups,
+  hasCcnudgeHooks,
+  getManagedEvents,
+  normalizeMatcher,
+  supportsMatcher,
+  validateMatcher,
+  matchesMatcher,
+  setCcnudgeGroups,
+  setCcnudgeMatcherGroup,
+  removeCcnudgeGroups
+};
@@ -0,0 +1,288 @@
+// The sound library: sounds copied into ~/.ccnudge/sounds, so hooks keep
+// working after the original file moves. A sound's file name is its alias
+// (ding.wav is "ding"), and a pack imported from a directory or zip gets a
+// directory of its own ("retro/ding"). The library is the first root of the
+// sound index (catalog.js), so its names work wherever sound names do and win
+// over system sounds of the same name.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const {
+  SOUND_FORMATS,
+  FORMAT_FAMILIES,
+  getLibraryDir,
+  findSounds,
+  readFormat,
+  describeSounds
+} = require('./catalog');
+const { getPlatformConfig } = require('./sounds');
+const { findExecutable, choosePlayback } = require('./players');
+const { quotePowerShell } = require('./shell');
+const { CcnudgeError, ValidationError, SoundNotFoundError, PlaybackError } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+// Names end up as file and directory names, so keep them portable
+function validateSoundName(name) {
+  if (typeof name !== 'string' || !/^[\w][\w.-]*$/.test(name) || name.endsWith('.') || name.length > 64) {
+    throw new ValidationError(`Invalid sound name: ${name}. Use letters, numbers, ., - and _ only`);
+  }
+}
+
+function expandHome(file) {
+  if (file === '~' || file.startsWith('~/')) {
+    return path.join(os.homedir(), file.slice(1));
+  }
+  return file;
+}
+
+// Throws unless the file is a sound this machine can play: a known format
+// whose contents match its extension, and a player for it. The messages
+// leave out the file name; callers add it.
+async function checkPlayable(soundPath, player = null) {
+  const extension = path.extname(soundPath).toLowerCase();
+
+  if (!SOUND_FORMATS.includes(extension)) {
+    throw new ValidationError(`not a supported sound format (use ${SOUND_FORMATS.join(', ')})`, { sound: soundPath });
+  }
+
+  const format = await readFormat(soundPath);
+  if (!format) {
+    throw new ValidationError('not a sound file, or damaged', { sound: soundPath });
+  }
+  if (format !== FORMAT_FAMILIES[extension]) {
+    throw new ValidationError(`really a ${format} file, rename it to .${format}`, { sound: soundPath });
+  }
+
+  const { formats } = getPlatformConfig();
+  if (formats && !formats.includes(extension)) {
+    throw new PlaybackError(`${os.platform()} can only play ${formats.join(', ')} files`, { sound: soundPath });
+  }
+  if (os.platform() === 'linux') {
+    // Throws when no installed player or converter handles the format
+    await choosePlayback(soundPath, player);
+  }
+  return format;
+}
+
+async function statOrNull(file) {
+  try {
+    return await fs.stat(file);
+  } catch {
+    return null;
+  }
+}
+
+// Copies next to the target first, so a failed copy never leaves half a sound
+async function copyInto(source, target) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const tempPath = `${target}.${process.pid}.tmp`;
+  try {
+    await fs.copyFile(source, tempPath);
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Library sounds at the top level called `name`, in any format
+async function findAliasFiles(name) {
+  const dir = getLibraryDir();
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+  return files
+    .filter(file => SOUND_FORMATS.includes(path.extname(file).toLowerCase()) && path.basename(file, path.extname(file)) === name)
+    .map(file => path.join(dir, file));
+}
+
+// Copies a sound into the library. Returns the library entry, with
+// `replaced` when a sound of that name was overwritten.
+async function addToLibrary(file, { name = null, force = false, player = null } = {}) {
+  const source = path.resolve(expandHome(file));
+  const stat = await statOrNull(source);
+
+  if (!stat) {
+    throw new SoundNotFoundError(file);
+  }
+  if (stat.isDirectory()) {
+    throw new ValidationError(`${file} is a directory; import sound packs with "ccnudge sounds import"`);
+  }
+
+  const extension = path.extname(source).toLowerCase();
+  name = name || path.basename(source, path.extname(source));
+  validateSoundName(name);
+  try {
+    await checkPlayable(source, player);
+  } catch (error) {
+    error.message = `${path.basename(source)}: ${error.message}`;
+    throw error;
+  }
+
+  const existing = await findAliasFiles(name);
+  if (existing.length > 0 && !force) {
+    throw new ValidationError(`There already is a sound called ${name} in the library. Use --force to replace it`);
+  }
+
+  const target = path.join(getLibraryDir(), name + extension);
+  if (target !== source) {
+    await copyInto(source, target);
+  }
+  for (const other of existing.filter(other => other !== target)) {
+    await fs.unlink(other);
+  }
+
+  await findSounds({ refresh: true });
+  const [sound] = await describeSounds([{ name, id: name, path: target, root: getLibraryDir(), format: extension.slice(1) }]);
+  return { ...sound, replaced: existing.length > 0 };
+}
+
+// Unpacks a zip with whatever the platform has: Expand-Archive on Windows,
+// unzip or bsdtar elsewhere
+async function extractZip(file, dir) {
+  if (os.platform() === 'win32') {
+    const script = `Expand-Archive -LiteralPath ${quotePowerShell(file)} -DestinationPath ${quotePowerShell(dir)}`;
+    await execFileAsync('powershell', ['-NoProfile', '-NonInteractive', '-Command', script]);
+    return;
+  }
+
+  const unzip = await findExecutable('unzip');
+  if (unzip) {
+    await execFileAsync(unzip, ['-q', file, '-d', dir]);
+    return;
+  }
+
+  const bsdtar = await findExecutable('bsdtar');
+  if (bsdtar) {
+    await execFileAsync(bsdtar, ['-xf', file, '-C', dir]);
+    return;
+  }
+
+  throw new CcnudgeError('Importing zip files needs unzip or bsdtar. Unzip it yourself and import the directory');
+}
+
+// Zips usually hold a single folder with the sounds in it
+async function packContents(dir) {
+  const entries = (await fs.readdir(dir, { withFileTypes: true })).filter(entry => !entry.name.startsWith('__MACOSX'));
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return path.join(dir, entries[0].name);
+  }
+  return dir;
+}
+
+// Copies every playable sound of a directory or zip file into its own
+// library directory. Sounds that can't be played are skipped and reported.
+async function importPack(source, { name = null, force = false, player = null } = {}) {
+  const sourcePath = path.resolve(expandHome(source));
+  const stat = await statOrNull(sourcePath);
+  const isZip = Boolean(stat && stat.isFile() && path.extname(sourcePath).toLowerCase() === '.zip');
+
+  if (!stat) {
+    throw new SoundNotFoundError(source);
+  }
+  if (!stat.isDirectory() && !isZip) {
+    throw new ValidationError(`${source} is not a directory or .zip file. Add single sounds with "ccnudge sounds add"`);
+  }
+
+  const pack = name || path.basename(sourcePath, isZip ? path.extname(sourcePath) : '');
+  validateSoundName(pack);
+
+  const target = path.join(getLibraryDir(), pack);
+  if ((await statOrNull(target)) && !force) {
+    throw new ValidationError(`There already is a pack called ${pack} in the library. Use --force to replace it`);
+  }
+
+  const unpacked = isZip ? await fs.mkdtemp(path.join(os.tmpdir(), 'ccnudge-pack-')) : null;
+  const staging = `${target}.${process.pid}.tmp`;
+  try {
+    let dir = sourcePath;
+    if (isZip) {
+      await extractZip(sourcePath, unpacked);
+      dir = await packContents(unpacked);
+    }
+
+    const sounds = [];
+    const skipped = [];
+    for (const sound of await findSounds({ roots: [dir], refresh: true })) {
+      const relative = path.relative(dir, sound.path);
+      try {
+        await checkPlayable(sound.path, player);
+        await copyInto(sound.path, path.join(staging, relative));
+        sounds.push({ name: `${pack}/${sound.id}`, path: path.join(target, relative) });
+      } catch (error) {
+        skipped.push({ file: relative, reason: error.message });
+      }
+    }
+
+    if (sounds.length === 0) {
+      throw new ValidationError(`No playable sounds found in ${source}`, { skipped });
+    }
+
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.rename(staging, target);
+    await findSounds({ refresh: true });
+    return { pack, path: target, sounds, skipped };
+  } finally {
+    await fs.rm(staging, { recursive: true, force: true });
+    if (unpacked) {
+      await fs.rm(unpacked, { recursive: true, force: true });
+    }
+  }
+}
+
+// What removing `name` from the library deletes: a sound ("ding",
+// "retro/ding") or a whole pack ("retro"). Returns { name, path, pack, files }.
+async function findInLibrary(name) {
+  const parts = String(name).split('/');
+  try {
+    parts.forEach(validateSoundName);
+  } catch {
+    throw new ValidationError(`Invalid sound name: ${name}. Use a name from "ccnudge sounds list"`);
+  }
+
+  const target = path.join(getLibraryDir(), ...parts);
+  const stat = await statOrNull(target);
+  if (stat && stat.isDirectory()) {
+    const files = (await findSounds({ roots: [target], refresh: true })).map(sound => sound.path);
+    return { name, path: target, pack: true, files };
+  }
+
+  const dir = path.dirname(target);
+  const base = path.basename(target);
+  const files = parts.length === 1
+    ? await findAliasFiles(name)
+    : (await fs.readdir(dir).catch(() => []))
+      .filter(file => SOUND_FORMATS.includes(path.extname(file).toLowerCase()) && path.basename(file, path.extname(file)) === base)
+      .map(file => path.join(dir, file));
+
+  if (files.length === 0) {
+    throw new SoundNotFoundError(name);
+  }
+  return { name, path: files[0], pack: false, files };
+}
+
+async function removeFromLibrary(entry) {
+  if (entry.pack) {
+    await fs.rm(entry.path, { recursive: true, force: true });
+  } else {
+    for (const file of entry.files) {
+      await fs.unlink(file);
+    }
+  }
+  await findSounds({ refresh: true });
+}
+
+module.exports = {
+  validateSoundName,
+  checkPlayable,
+  addToLibrary,
+  importPack,
+  findInLibrary,
+  removeFromLibrary
+};
@@ -0,0 +1,195 @@
+// Advisory lock files, for files several ccnudge processes update at once
+// (the hook state, Claude Code settings). A lock is a file holding the
+// owner's pid, linked into place so that it never exists half written. It
+// is taken over when that process is gone (or, for a lock whose owner can't
+// be told, when it is older than `staleMs`), so a crash mid-update never
+// blocks later runs for long.
+const fs = require('fs');
+const { CcnudgeError } = require('./errors');
+
+const DEFAULTS = {
+  // A lock without a readable owner older than this was left by a crash
+  staleMs: 5000,
+  retryMs: 20,
+  timeoutMs: 2000
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it runs, as another user
+    return error.code === 'EPERM';
+  }
+}
+
+// The lock file as found: which file it is (a lock taken over and created
+// again may get the same inode, but not the same mtime) and its owner's pid
+function readLock(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const stat = fs.fstatSync(fd);
+    const owner = Number(fs.readFileSync(fd, 'utf-8'));
+    return {
+      id: `${stat.ino}:${stat.mtimeMs}`,
+      mtimeMs: stat.mtimeMs,
+      owner: Number.isInteger(owner) && owner > 0 ? owner : null
+    };
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+// Whether a lock can be taken over: its owner is gone. Locks of a running
+// process are never taken, however long it takes; only a lock without a pid
+// (written by hand, or by an older version) goes by its age.
+function isStale(lock, staleMs) {
+  if (lock.owner) {
+    return lock.owner !== process.pid && !isRunning(lock.owner);
+  }
+  return Date.now() - lock.mtimeMs > staleMs;
+}
+
+function unlinkQuietly(file) {
+  try {
+    fs.unlinkSync(file);
+  } catch {
+    // Already gone
+  }
+}
+
+// Links a new lock file holding our pid into place. Returns false when the
+// lock exists.
+function createLock(lockPath) {
+  const tempPath = `${lockPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, String(process.pid));
+  try {
+    fs.linkSync(tempPath, lockPath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    return false;
+  } finally {
+    unlinkQuietly(tempPath);
+  }
+}
+
+// Moves a stale lock out of the way. Two processes can find the same stale
+// lock; renaming it is atomic, so only one of them gets it, and the other
+// sees that what it moved is not the lock it judged stale (a fresh one
+// taken in between) and puts it back.
+function removeStaleLock(lockPath, stale) {
+  const claimedPath = `${lockPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockPath, claimedPath);
+  } catch {
+    return; // Released or moved by someone else meanwhile
+  }
+
+  const claimed = readLock(claimedPath);
+  if (claimed && claimed.id !== stale.id) {
+    try {
+      fs.linkSync(claimedPath, lockPath);
+    } catch {
+      // Taken again meanwhile; its owner keeps it
+    }
+  }
+  unlinkQuietly(claimedPath);
+}
+
+// Creates the lock file. Returns false when someone else holds the lock.
+function tryLock(lockPath, staleMs) {
+  if (createLock(lockPath)) {
+    return true;
+  }
+
+  // Missing: it was released since; try again on the next round
+  const lock = readLock(lockPath);
+  if (lock && isStale(lock, staleMs)) {
+    removeStaleLock(lockPath, lock);
+    return createLock(lockPath);
+  }
+  return false;
+}
+
+function timedOut(lockPath) {
+  return new CcnudgeError(
+    `Timed out waiting for ${lockPath}. If no other ccnudge is running, delete it and try again`,
+    'LOCKED',
+    { lockPath }
+  );
+}
+
+async function acquireLock(lockPath, options = {}) {
+  const { staleMs, retryMs, timeoutMs } = { ...DEFAULTS, ...options };
+  const startedAt = Date.now();
+
+  while (!tryLock(lockPath, staleMs)) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw timedOut(lockPath);
+    }
+    await sleep(retryMs);
+  }
+}
+
+// For npm's uninstall script, which has to finish before the process exits
+function acquireLockSync(lockPath, options = {}) {
+  const { staleMs, retryMs, timeoutMs } = { ...DEFAULTS, ...options };
+  const startedAt = Date.now();
+
+  while (!tryLock(lockPath, staleMs)) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw timedOut(lockPath);
+    }
+    sleepSync(retryMs);
+  }
+}
+
+// Only removes our own lock: one taken over (by hand, or as stale when our
+// pid looked gone) belongs to its new owner
+function releaseLock(lockPath) {
+  const lock = readLock(lockPath);
+  if (lock && lock.owner === process.pid) {
+    unlinkQuietly(lockPath);
+  }
+}
+
+// Runs `fn` while holding the lock and returns its result
+async function withLock(lockPath, fn, options = {}) {
+  await acquireLock(lockPath, options);
+  try {
+    return await fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+function withLockSync(lockPath, fn, options = {}) {
+  acquireLockSync(lockPath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+module.exports = {
+  withLock,
+  withLockSync
+};
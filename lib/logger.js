@@ -0,0 +1,33 @@
+// The library reports progress through a logger instead of printing. Library
+// calls are silent unless a logger is passed in `options.logger`; the CLI
+// passes consoleLogger. A logger needs `info` and `warn`, missing methods are
+// ignored.
+
+const silentLogger = {
+  info() {},
+  warn() {}
+};
+
+const consoleLogger = {
+  info: (message) => console.log(message),
+  warn: (message) => console.log(`⚠️  ${message}`)
+};
+
+function getLogger(options = {}) {
+  const logger = options.logger;
+
+  if (!logger) {
+    return silentLogger;
+  }
+
+  return {
+    info: typeof logger.info === 'function' ? message => logger.info(message) : silentLogger.info,
+    warn: typeof logger.warn === 'function' ? message => logger.warn(message) : silentLogger.warn
+  };
+}
+
+module.exports = {
+  silentLogger,
+  consoleLogger,
+  getLogger
+};
@@ -0,0 +1,172 @@
+// The sound picker of interactive setup, an inquirer prompt type. Typing
+// narrows the list (every word has to match a choice's `search` text), and
+// the highlighted sound plays as you move, so sounds can be compared
+// without leaving the prompt.
+//
+//   inquirer.registerPrompt('sound', SoundPrompt);
+//   { type: 'sound', name, message, choices, preview: async value => { ... } }
+//
+// Choices with `pinned: true` ("Default", "Custom path...") always stay in
+// the list; `search` is the text a choice is matched against (its name when
+// not set).
+const Base = require('inquirer/lib/prompts/base');
+const Paginator = require('inquirer/lib/utils/paginator');
+
+// Waits for the highlight to settle, so scrolling doesn't play every sound
+const PREVIEW_DELAY_MS = 250;
+
+const cyan = text => `\x1b[36m${text}\x1b[39m`;
+const dim = text => `\x1b[2m${text}\x1b[22m`;
+
+class SoundPrompt extends Base {
+  constructor(question, rl, answers) {
+    super(question, rl, answers);
+
+    if (!this.opt.choices) {
+      this.throwParamError('choices');
+    }
+
+    this.choices = this.opt.choices.realChoices;
+    this.visible = this.choices;
+    this.selected = Math.max(this.choices.findIndex(choice => choice.value === this.opt.default), 0);
+    this.opt.default = null;
+    this.paginator = new Paginator(this.screen, { isInfinite: false });
+
+    this.query = '';
+    this.previewTimer = null;
+    this.playing = null;
+    this.nextPreview = null;
+    this.previewError = null;
+  }
+
+  _run(done) {
+    this.done = done;
+    this.onKeypress = this.onKeypress.bind(this);
+    this.onLine = this.onLine.bind(this);
+    this.rl.input.on('keypress', this.onKeypress);
+    this.rl.on('line', this.onLine);
+    this.render();
+    return this;
+  }
+
+  filter() {
+    const words = this.rl.line.toLowerCase().split(/\s+/).filter(Boolean);
+    this.visible = this.choices.filter(choice => {
+      const text = (choice.search || choice.name).toLowerCase();
+      return choice.pinned || words.every(word => text.includes(word));
+    });
+    // Start on the first match rather than on a pinned entry
+    const first = this.visible.findIndex(choice => !choice.pinned);
+    this.selected = words.length > 0 && first !== -1 ? first : 0;
+  }
+
+  onKeypress(value, key = {}) {
+    if (key.name === 'enter' || key.name === 'return') {
+      return;
+    }
+
+    if (key.name === 'up' || (key.name === 'p' && key.ctrl)) {
+      this.move(-1);
+    } else if (key.name === 'down' || (key.name === 'n' && key.ctrl)) {
+      this.move(1);
+    } else if (this.rl.line !== this.query) {
+      this.query = this.rl.line;
+      this.filter();
+    }
+    this.render();
+  }
+
+  move(step) {
+    if (this.visible.length === 0) {
+      return;
+    }
+    this.selected = (this.selected + step + this.visible.length) % this.visible.length;
+    this.schedulePreview(this.visible[this.selected].value);
+  }
+
+  schedulePreview(value) {
+    if (typeof this.opt.preview !== 'function') {
+      return;
+    }
+
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => {
+      this.nextPreview = value;
+      this.playNext();
+    }, PREVIEW_DELAY_MS);
+  }
+
+  // One sound at a time: a sound picked while another plays comes after it
+  async playNext() {
+    if (this.playing || this.nextPreview === null || this.status === 'answered') {
+      return;
+    }
+
+    const value = this.nextPreview;
+    this.nextPreview = null;
+    this.playing = value;
+    try {
+      await this.opt.preview(value);
+      this.previewError = null;
+    } catch (error) {
+      this.previewError = error.message;
+    }
+    this.playing = null;
+
+    if (this.status !== 'answered') {
+      this.render();
+      this.playNext();
+    }
+  }
+
+  onLine() {
+    // readline has cleared the search by now
+    const choice = this.visible[this.selected];
+    this.query = '';
+
+    if (!choice) {
+      this.filter();
+      this.render();
+      return;
+    }
+
+    clearTimeout(this.previewTimer);
+    this.rl.input.removeListener('keypress', this.onKeypress);
+    this.rl.removeListener('line', this.onLine);
+
+    this.status = 'answered';
+    this.answer = choice.short;
+    this.render();
+    this.screen.done();
+    this.done(choice.value);
+  }
+
+  render() {
+    let message = this.getQuestion();
+
+    if (this.status === 'answered') {
+      this.screen.render(message + cyan(this.answer));
+      return;
+    }
+
+    message += this.rl.line || dim('(type to search, ↑↓ to hear a sound)');
+
+    let list;
+    if (this.visible.length === 0) {
+      list = dim('  No sounds match');
+    } else {
+      const lines = this.visible.map((choice, i) => (
+        i === this.selected ? cyan(`❯ ${choice.name}`) : `  ${choice.name}`
+      ));
+      list = this.paginator.paginate(lines.join('\n'), this.selected, this.opt.pageSize || 10);
+    }
+
+    if (this.previewError) {
+      list += `\n${dim(`Can't play it: ${this.previewError}`)}`;
+    }
+
+    this.screen.render(message, list);
+  }
+}
+
+module.exports = SoundPrompt;
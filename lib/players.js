@@ -0,0 +1,298 @@
+// Sound players on Linux. There is no player every distribution ships: desktops
+// have paplay (PulseAudio) or pw-play (PipeWire), minimal systems only aplay
+// (ALSA, WAV files only), and some have nothing but ffplay, mpv or sox.
+//
+// The player is chosen in this order:
+//   1. "player" in the ccnudge config (`ccnudge player <name>`), if installed
+//   2. the player found by the last detection, kept in the state file
+//   3. the first installed player of PLAYERS, which is then remembered
+// A sound the player can't decode goes to another installed player that can,
+// or is converted to WAV once (cached in ~/.ccnudge/cache) when none can.
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { getSoundCommand, getPlatformConfig } = require('./sounds');
+const { readState, updateState } = require('./state');
+const { ValidationError, PlaybackError } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+// libsndfile, used by paplay and pw-play
+const SNDFILE_FORMATS = ['.wav', '.oga', '.ogg', '.flac', '.aiff', '.aif', '.au'];
+
+// In order of preference. `formats: null` plays anything. `volume` turns a
+// volume of 0-100 into the player's own option; aplay has none.
+const PLAYERS = {
+  paplay: {
+    description: 'PulseAudio',
+    formats: SNDFILE_FORMATS,
+    args: file => [file],
+    volume: volume => [`--volume=${Math.round(volume / 100 * 65536)}`]
+  },
+  'pw-play': {
+    description: 'PipeWire',
+    formats: SNDFILE_FORMATS,
+    args: file => [file],
+    volume: volume => [`--volume=${volume / 100}`]
+  },
+  aplay: {
+    description: 'ALSA (WAV only)',
+    formats: ['.wav', '.au', '.voc'],
+    args: file => ['-q', file],
+    volume: null
+  },
+  ffplay: {
+    description: 'FFmpeg',
+    formats: null,
+    args: file => ['-nodisp', '-autoexit', '-loglevel', 'quiet', file],
+    volume: volume => ['-volume', String(volume)]
+  },
+  mpv: {
+    description: 'mpv',
+    formats: null,
+    args: file => ['--no-video', '--really-quiet', file],
+    volume: volume => [`--volume=${volume}`]
+  },
+  play: {
+    description: 'SoX',
+    formats: [...SNDFILE_FORMATS, '.mp3'],
+    args: file => ['-q', file],
+    volume: volume => ['-v', String(volume / 100)]
+  }
+};
+
+// Tools that turn any sound into a WAV file, for players that can't decode it
+const CONVERTERS = {
+  ffmpeg: { formats: null, args: (input, output) => ['-y', '-loglevel', 'error', '-i', input, output] },
+  sox: { formats: null, args: (input, output) => [input, output] },
+  oggdec: { formats: ['.oga', '.ogg'], args: (input, output) => ['-Q', '-o', output, input] }
+};
+
+// Players are probed from PATH, so there is nothing to configure elsewhere
+async function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) {
+      continue;
+    }
+
+    const candidate = path.join(dir, name);
+    try {
+      await fs.access(candidate, constants.X_OK);
+      return candidate;
+    } catch {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+async function detectPlayers() {
+  const found = [];
+  for (const name of Object.keys(PLAYERS)) {
+    if (await findExecutable(name)) {
+      found.push(name);
+    }
+  }
+  return found;
+}
+
+function validatePlayerName(name) {
+  if (!PLAYERS[name]) {
+    throw new ValidationError(`Unknown player: ${name}. Use one of: ${Object.keys(PLAYERS).join(', ')}`);
+  }
+}
+
+// A percentage of the sound's own loudness; null or undefined plays it as is
+function validateVolume(volume) {
+  if (volume !== undefined && volume !== null && !(typeof volume === 'number' && volume >= 0 && volume <= 100)) {
+    throw new ValidationError(`volume must be a number from 0 to 100, got ${volume}`);
+  }
+}
+
+function hasVolume(volume) {
+  return volume !== undefined && volume !== null;
+}
+
+function canPlay(name, soundPath) {
+  const formats = PLAYERS[name].formats;
+  return !formats || formats.includes(path.extname(soundPath).toLowerCase());
+}
+
+function getPlayers() {
+  return Object.keys(PLAYERS).map(name => ({
+    name: `${name} - ${PLAYERS[name].description}`,
+    value: name,
+    description: PLAYERS[name].description
+  }));
+}
+
+// The player used when no sound format gets in the way. Returns
+// { name, source, available } with source "config", "detected" or null when
+// no player is installed.
+async function getPlayer(configured = null) {
+  const available = await detectPlayers();
+
+  if (configured && available.includes(configured)) {
+    return { name: configured, source: 'config', available };
+  }
+
+  const state = await readState();
+  const remembered = state.player && state.player.name;
+  if (remembered && available.includes(remembered)) {
+    return { name: remembered, source: 'detected', available };
+  }
+
+  if (available.length === 0) {
+    return { name: null, source: null, available };
+  }
+
+  // Remember the choice so it stays the same for every hook
+  await updateState((current) => {
+    current.player = { name: available[0], detectedAt: new Date().toISOString() };
+  });
+  return { name: available[0], source: 'detected', available };
+}
+
+// Forgets the remembered player, so the next sound detects it again
+async function resetDetectedPlayer() {
+  await updateState((state) => {
+    delete state.player;
+  });
+}
+
+// Converts a sound to WAV once; later calls reuse the file until the sound changes
+async function convertToWav(soundPath) {
+  const stat = await fs.stat(soundPath);
+  const key = crypto.createHash('sha1').update(`${soundPath}:${stat.mtimeMs}:${stat.size}`).digest('hex').slice(0, 16);
+  const output = path.join(os.homedir(), '.ccnudge', 'cache', `${path.basename(soundPath, path.extname(soundPath))}-${key}.wav`);
+
+  try {
+    await fs.access(output);
+    return output;
+  } catch {
+    // Not converted yet
+  }
+
+  for (const [name, converter] of Object.entries(CONVERTERS)) {
+    const formats = converter.formats;
+    if (formats && !formats.includes(path.extname(soundPath).toLowerCase())) {
+      continue;
+    }
+
+    const command = await findExecutable(name);
+    if (!command) {
+      continue;
+    }
+
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    // Convert next to the cache file so a half-written WAV is never played
+    const tempPath = `${output}.${process.pid}.tmp.wav`;
+    try {
+      await execFileAsync(command, converter.args(soundPath, tempPath));
+      await fs.rename(tempPath, output);
+      return output;
+    } catch {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  return null;
+}
+
+// Works out how to play a file: { player, file, converted }
+async function choosePlayback(soundPath, configured = null) {
+  const player = await getPlayer(configured);
+
+  if (!player.name) {
+    throw new PlaybackError(`No sound player found. Install one of: ${Object.keys(PLAYERS).join(', ')}`, { sound: soundPath });
+  }
+
+  if (canPlay(player.name, soundPath)) {
+    return { player: player.name, file: soundPath, converted: false };
+  }
+
+  // A player picked by the user keeps playing, with a converted file
+  if (player.source !== 'config') {
+    const other = player.available.find(name => canPlay(name, soundPath));
+    if (other) {
+      return { player: other, file: soundPath, converted: false };
+    }
+  }
+
+  const converted = await convertToWav(soundPath);
+  if (converted) {
+    return { player: player.name, file: converted, converted: true };
+  }
+
+  const other = player.available.find(name => canPlay(name, soundPath));
+  if (other) {
+    return { player: other, file: soundPath, converted: false };
+  }
+
+  throw new PlaybackError(
+    `${player.name} can't play ${path.extname(soundPath)} files and no converter (ffmpeg, sox, oggdec) is installed`,
+    { sound: soundPath }
+  );
+}
+
+// Whether sounds can play at a lower volume: not with aplay, and not on
+// Windows, whose player has no volume option
+async function canSetVolume(configured = null) {
+  if (os.platform() !== 'linux') {
+    return Boolean(getPlatformConfig().volume);
+  }
+  const { name } = await getPlayer(configured);
+  return Boolean(name && PLAYERS[name].volume);
+}
+
+// The arguments that play `file`, at `volume` when the player has a volume
+// option. Returns { args, volume } with the volume that was applied (null when
+// the player plays everything at full volume).
+function getPlayerArgs(name, file, volume = null) {
+  const player = PLAYERS[name];
+  const args = player.args(file);
+
+  if (!hasVolume(volume) || !player.volume) {
+    return { args, volume: null };
+  }
+  return { args: [...player.volume(volume), ...args], volume };
+}
+
+// Plays a sound file with the platform's player. `options.player` overrides
+// the detected player on Linux; `options.volume` (0-100) is applied with the
+// player's own option. The result's `volume` is null when it couldn't be.
+async function playSound(soundPath, options = {}) {
+  const volume = hasVolume(options.volume) ? options.volume : null;
+
+  if (os.platform() !== 'linux') {
+    // No shell in between, so the path needs no quoting for it
+    const { file, args } = getSoundCommand(soundPath, os.platform(), volume);
+    await execFileAsync(file, args);
+    return { player: null, file: soundPath, converted: false, volume: getPlatformConfig().volume ? volume : null };
+  }
+
+  const playback = await choosePlayback(soundPath, options.player);
+  const command = await findExecutable(playback.player);
+  const { args, volume: applied } = getPlayerArgs(playback.player, playback.file, volume);
+  await execFileAsync(command, args);
+  return { ...playback, volume: applied };
+}
+
+module.exports = {
+  findExecutable,
+  getPlayers,
+  validatePlayerName,
+  validateVolume,
+  detectPlayers,
+  getPlayer,
+  resetDetectedPlayer,
+  canPlay,
+  choosePlayback,
+  getPlayerArgs,
+  canSetVolume,
+  playSound
+};
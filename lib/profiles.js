@@ -0,0 +1,184 @@
+// Named profiles: complete sets of event settings to switch between, e.g.
+//
+//   "activeProfile": "focus",
+//   "profiles": {
+//     "focus": { "events": { "Stop": { "sound": "Glass", "minDuration": 60 } } },
+//     "meeting": { "events": { "Stop": { "desktop": true } } }
+//   }
+//
+// The top-level "events" are the working copy of the active profile, so
+// setup, start, stop and remove keep editing them as usual. Switching saves
+// them back into the active profile and loads the other one.
+const { hasNotification } = require('./apply');
+const { ValidationError } = require('./errors');
+
+// Built-in starting points. Each one reshapes the current events (or Stop and
+// Notification when nothing is configured yet).
+const PRESETS = {
+  loud: {
+    description: 'Sound and desktop notification for every event',
+    apply: (target) => ({ ...target, sound: target.sound || 'default', desktop: true })
+  },
+  'desktop-only': {
+    description: 'Desktop notifications, no sounds or speech',
+    apply: (target) => withoutAudio({ ...target, desktop: true })
+  },
+  'silent-but-log': {
+    description: 'No sound, speech or desktop notification, only a line in the log file',
+    channels: { log: { type: 'log' } },
+    apply: (target) => withoutAudio({ ...target, desktop: false, channels: ['log'] })
+  }
+};
+
+const DEFAULT_PRESET_EVENTS = ['Stop', 'Notification'];
+
+// Where the events go when switching away from a config that had no profile yet
+const DEFAULT_PROFILE = 'default';
+
+// Sounds, and the spoken messages and volume that go with them
+const AUDIO_KEYS = ['sound', 'speak', 'voice', 'rate', 'volume'];
+
+function withoutAudio(target) {
+  const result = { ...target };
+  for (const key of AUDIO_KEYS) {
+    delete result[key];
+  }
+  return result;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value || {}));
+}
+
+function validateProfileName(name) {
+  if (!/^[\w-]+$/.test(name || '')) {
+    throw new ValidationError(`Invalid profile name: ${name} (use letters, numbers, - and _ only)`);
+  }
+}
+
+function getPresets() {
+  return Object.keys(PRESETS).map(name => ({
+    name: `${name} - ${PRESETS[name].description}`,
+    value: name
+  }));
+}
+
+// Builds the events of a preset from a set of events
+function buildPreset(preset, events) {
+  const definition = PRESETS[preset];
+  if (!definition) {
+    throw new ValidationError(`Unknown preset: ${preset}. Use one of: ${Object.keys(PRESETS).join(', ')}`);
+  }
+
+  const base = Object.keys(events || {}).length > 0
+    ? clone(events)
+    : Object.fromEntries(DEFAULT_PRESET_EVENTS.map(event => [event, {}]));
+
+  const result = {};
+  for (const [event, options] of Object.entries(base)) {
+    // Events set up only per tool matcher keep notifying only for those tools.
+    // Events turned off with "ccnudge stop" stay off.
+    const reshaped = hasNotification(options) || !options.matchers ? definition.apply(options) : { ...options };
+
+    if (options.matchers) {
+      reshaped.matchers = {};
+      for (const [matcher, target] of Object.entries(options.matchers)) {
+        reshaped.matchers[matcher] = definition.apply(target);
+      }
+    }
+    result[event] = reshaped;
+  }
+
+  return { events: result, channels: definition.channels || {} };
+}
+
+// Adds a profile to a config: a copy of the current events, of another
+// profile or a preset. Channels a preset needs are added when missing.
+function addProfile(config, name, options = {}) {
+  validateProfileName(name);
+
+  const profiles = config.profiles || {};
+  if (profiles[name] && !options.force) {
+    throw new ValidationError(`Profile ${name} already exists`);
+  }
+
+  let events;
+  if (options.preset) {
+    const preset = buildPreset(options.preset, options.from ? getProfileEvents(config, options.from) : config.events);
+    events = preset.events;
+    for (const [channel, definition] of Object.entries(preset.channels)) {
+      if (!config.channels || !config.channels[channel]) {
+        config.channels = { ...config.channels, [channel]: definition };
+      }
+    }
+  } else {
+    events = clone(options.from ? getProfileEvents(config, options.from) : config.events);
+  }
+
+  config.profiles = { ...profiles, [name]: { events } };
+  return config.profiles[name];
+}
+
+function getProfileEvents(config, name) {
+  if (name === config.activeProfile) {
+    return config.events || {};
+  }
+  if (!config.profiles || !config.profiles[name]) {
+    throw new ValidationError(`Unknown profile: ${name}`);
+  }
+  return config.profiles[name].events || {};
+}
+
+// Makes a profile the active one. A preset name that isn't a profile yet is
+// created on the fly. Returns the name the previous events were saved under.
+function switchProfile(config, name) {
+  validateProfileName(name);
+
+  if ((!config.profiles || !config.profiles[name]) && PRESETS[name]) {
+    addProfile(config, name, { preset: name });
+  }
+  if (!config.profiles || !config.profiles[name]) {
+    throw new ValidationError(`Unknown profile: ${name} (create it with "ccnudge profile create ${name}")`);
+  }
+
+  // Keep the current events, even if they never belonged to a profile
+  let savedAs = config.activeProfile;
+  if (!savedAs && Object.keys(config.events || {}).length > 0) {
+    if (config.profiles[DEFAULT_PROFILE]) {
+      throw new ValidationError('The current events are not saved in a profile yet; save them first with "ccnudge profile create <name>"');
+    }
+    savedAs = DEFAULT_PROFILE;
+  }
+  if (savedAs) {
+    config.profiles[savedAs] = { ...config.profiles[savedAs], events: clone(config.events) };
+  }
+
+  config.events = clone(config.profiles[name].events);
+  config.activeProfile = name;
+  return savedAs || null;
+}
+
+function removeProfile(config, name) {
+  if (!config.profiles || !config.profiles[name]) {
+    throw new ValidationError(`Unknown profile: ${name}`);
+  }
+  if (config.activeProfile === name) {
+    throw new ValidationError(`Profile ${name} is active; switch to another profile first`);
+  }
+
+  delete config.profiles[name];
+  if (Object.keys(config.profiles).length === 0) {
+    delete config.profiles;
+  }
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getPresets,
+  validateProfileName,
+  buildPreset,
+  addProfile,
+  getProfileEvents,
+  switchProfile,
+  removeProfile
+};
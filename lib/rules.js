@@ -0,0 +1,208 @@
+// Project rules: a different sound, desktop title or channel per project, so
+// sessions running side by side in several repositories can be told apart by
+// ear. The hook runtime matches the `cwd` of the payload against the rules of
+// the ccnudge config, top to bottom; the first match wins, and without one
+// the event's own settings apply:
+//
+//   "rules": [
+//     { "match": "api-*", "sound": "Submarine" },
+//     { "match": "~/code/frontend", "gitRoot": true, "sound": "Pop", "title": "Frontend" },
+//     { "match": "**/work/*", "events": ["Stop"], "channels": ["team"] }
+//   ]
+//
+// `match` is a glob: `*` and `?` stay within a directory name, `**` crosses
+// them and `{a,b}` is either. A glob without a "/" is compared with the
+// directory names, one starting with "/" or "~" with the full path, and
+// anything else with the end of it. It matches the directory and everything
+// below it, or with `gitRoot`, the root of the git repository `cwd` is in.
+// `events` limits a rule to some events. "sound" replaces the event's sound
+// (events without one stay silent), "title" the desktop title, and
+// "channels" are sent to on top of the event's own.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { ValidationError } = require('./errors');
+
+const RULE_KEYS = {
+  match: 'string',
+  gitRoot: 'boolean',
+  events: 'string[]',
+  sound: 'string',
+  title: 'string',
+  channels: 'string[]'
+};
+
+const TARGET_KEYS = ['sound', 'title', 'channels'];
+
+function expandHome(pattern) {
+  if (pattern === '~' || pattern.startsWith('~/')) {
+    return path.join(os.homedir(), pattern.slice(1)).split(path.sep).join('/');
+  }
+  return pattern;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+}
+
+// The regular expression of a glob, for paths with "/" separators
+function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  if (braces > 0) {
+    throw new ValidationError(`Unclosed { in ${glob}`);
+  }
+  return source;
+}
+
+// Whether a directory, or one above it, matches the glob. With `exact`, only
+// the directory itself counts.
+function matchesPath(pattern, dir, exact = false) {
+  const expanded = expandHome(pattern).replace(/\/+$/, '') || '/';
+  const target = dir.split(path.sep).join('/');
+  const anchored = expanded.startsWith('/') || /^[A-Za-z]:\//.test(expanded);
+  // Paths aren't case sensitive on macOS and Windows
+  const flags = ['darwin', 'win32'].includes(os.platform()) ? 'i' : '';
+
+  const source = `${anchored ? '^' : '(?:^|/)'}${globToRegExp(expanded)}${exact ? '$' : '(?:/|$)'}`;
+  return new RegExp(source, flags).test(target);
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The top of the git repository a directory is in (a .git directory, or the
+// .git file of a worktree), or null. Hooks run often, so git isn't started.
+async function findGitRoot(dir) {
+  let current = path.resolve(dir);
+
+  while (true) {
+    if (await exists(path.join(current, '.git'))) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new ValidationError('A rule must be an object');
+  }
+
+  for (const [key, value] of Object.entries(rule)) {
+    const type = RULE_KEYS[key];
+    if (!type) {
+      throw new ValidationError(`${key} is not a known rule option`);
+    }
+    const ok = type === 'string[]'
+      ? Array.isArray(value) && value.every(item => typeof item === 'string')
+      : typeof value === type;
+    if (!ok) {
+      throw new ValidationError(`${key} must be ${type === 'string[]' ? 'a list of strings' : `a ${type}`}`);
+    }
+  }
+
+  if (!rule.match || !rule.match.trim()) {
+    throw new ValidationError('A rule needs a "match" glob, e.g. api-* or ~/code/frontend');
+  }
+  globToRegExp(rule.match);
+
+  if (!TARGET_KEYS.some(key => rule[key] !== undefined && rule[key].length > 0)) {
+    throw new ValidationError(`The rule for ${rule.match} needs a sound, title or channels`);
+  }
+}
+
+// The first rule for `event` (null: any event) that matches the directory,
+// and its index, or null
+async function findRule(rules, event, cwd) {
+  let gitRoot;
+
+  for (const [index, rule] of (rules || []).entries()) {
+    if (event && rule.events && rule.events.length > 0 && !rule.events.includes(event)) {
+      continue;
+    }
+
+    let dir = cwd;
+    if (rule.gitRoot) {
+      if (gitRoot === undefined) {
+        gitRoot = await findGitRoot(cwd);
+      }
+      if (!gitRoot) {
+        continue;
+      }
+      dir = gitRoot;
+    }
+
+    // With gitRoot, the glob names the repository, not a directory above it
+    try {
+      if (matchesPath(rule.match, dir, Boolean(rule.gitRoot))) {
+        return { rule, index };
+      }
+    } catch {
+      // An invalid rule never matches; status and the config check report it
+    }
+  }
+  return null;
+}
+
+// One line per rule, e.g. "api-* → sound Submarine (Stop)"
+function describeProjectRule(rule) {
+  const parts = [];
+  if (rule.sound) {
+    parts.push(`sound ${rule.sound}`);
+  }
+  if (rule.title) {
+    parts.push(`title "${rule.title}"`);
+  }
+  if (rule.channels && rule.channels.length > 0) {
+    parts.push(`channels ${rule.channels.join(', ')}`);
+  }
+
+  const where = rule.gitRoot ? `${rule.match} (git root)` : rule.match;
+  const events = rule.events && rule.events.length > 0 ? ` (${rule.events.join(', ')})` : '';
+  return `${where} → ${parts.join(', ')}${events}`;
+}
+
+module.exports = {
+  validateRule,
+  matchesPath,
+  findGitRoot,
+  findRule,
+  describeProjectRule
+};
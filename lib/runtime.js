@@ -0,0 +1,380 @@
+// Runtime behind `ccnudge hook <event>`. Claude Code pipes a JSON payload to
+// every hook command on stdin; we turn it into a sound (or a spoken message)
+// and a message rendered from per-event templates (shown on the desktop
+// and/or sent to HTTP channels), after checking the event's
+// options in the ccnudge config (quiet hours, rate limits, minimum turn
+// duration, ...). Notifications routed by type (--only / --except) are
+// dropped here when they belong to another hook, and a project rule
+// matching the payload's cwd can swap the sound, title and channels.
+//
+// Anything printed to stdout by UserPromptSubmit and SessionStart hooks is
+// added to Claude's context, so this module never writes to stdout. Hooks
+// like PreToolUse hold up Claude Code while they run, so what only some
+// hooks need (node-notifier, the HTTP channels) is loaded when it's used.
+const path = require('path');
+const { spawn } = require('child_process');
+const { playSound } = require('./players');
+const { resolveSound } = require('./sounds');
+const { speak } = require('./speech');
+const { loadEffectiveConfig, getEventConfig } = require('./config');
+const { getQuietState } = require('./schedule');
+const { readState } = require('./state');
+const { parseRateLimits, hasRateLimits, applyRateLimits, takePendingNotification } = require('./throttle');
+const { recordPrompt, getElapsed, formatDuration, parseMinDuration } = require('./timing');
+const { getEventInfo, getMatcherValue } = require('./events');
+const { matchesMatcher } = require('./hooks');
+const { findRule } = require('./rules');
+
+// How long to wait for Claude Code to close stdin before giving up on the payload
+const PAYLOAD_TIMEOUT_MS = 1000;
+
+const DEFAULT_TITLE = 'CCNudge';
+
+const HOOK_PATH = path.join(__dirname, '..', 'bin', 'hook.js');
+
+function readPayload(stream = process.stdin, timeoutMs = PAYLOAD_TIMEOUT_MS) {
+  // Run by hand from a terminal, there is no payload to wait for
+  if (stream.isTTY) {
+    return Promise.resolve({});
+  }
+
+  return new Promise((resolve) => {
+    const chunks = [];
+    let done = false;
+
+    const finish = () => {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(timer);
+      stream.pause();
+
+      try {
+        const parsed = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+        resolve(parsed && typeof parsed === 'object' ? parsed : {});
+      } catch {
+        resolve({});
+      }
+    };
+
+    const timer = setTimeout(finish, timeoutMs);
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', finish);
+    stream.on('error', finish);
+  });
+}
+
+// Flattens the payload into template variables, adding a few derived ones
+function buildTemplateVars(event, payload) {
+  const vars = {};
+
+  for (const [key, value] of Object.entries(payload)) {
+    if (value !== null && typeof value !== 'object') {
+      vars[key] = String(value);
+    }
+  }
+
+  const cwd = payload.cwd || process.cwd();
+  vars.cwd = cwd;
+  vars.project = path.basename(cwd);
+  vars.event = event;
+  vars.hook_event_name = payload.hook_event_name || event;
+
+  // Older Claude Code versions send no notification_type; tell it from the message
+  const notificationType = event === 'Notification' ? getMatcherValue(event, payload) : null;
+  if (notificationType) {
+    vars.notification_type = notificationType;
+  }
+
+  return vars;
+}
+
+// Replaces {{name}} placeholders; unknown names render as an empty string
+function renderTemplate(template, vars) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    return vars[name] !== undefined ? vars[name] : '';
+  });
+}
+
+function getDefaultTemplate(event) {
+  const info = getEventInfo(event);
+  return info ? info.template : '{{project}}: {{hook_event_name}}';
+}
+
+// Whether a hook handles this payload. Hooks for a notification type carry
+// `--only <matcher>`, and the event's own hook `--except <matcher>` for every
+// type that has its own. Claude Code versions that don't match Notification
+// hooks run them all, so the check is made here too.
+function isRoutedHere(event, payload, options) {
+  const except = [].concat(options.except || []);
+  if (!options.only && except.length === 0) {
+    return true;
+  }
+
+  const value = getMatcherValue(event, payload);
+  if (options.only && !matchesMatcher(options.only, value)) {
+    return false;
+  }
+  return !except.some(matcher => matchesMatcher(matcher, value));
+}
+
+// Speaks the message when an engine is installed, otherwise (or when it
+// fails) plays the sound
+async function playAudio(options, vars, player) {
+  const volume = options.volume !== undefined && options.volume !== null ? Number(options.volume) : null;
+
+  if (options.speak) {
+    try {
+      await speak(renderTemplate(options.speak, vars), { voice: options.voice, rate: Number(options.rate) || null, volume });
+      return;
+    } catch (error) {
+      if (!options.sound) {
+        throw error;
+      }
+    }
+  }
+
+  await playSound(options.sound, { player, volume });
+}
+
+function sendDesktopNotification(title, message) {
+  return new Promise((resolve, reject) => {
+    require('node-notifier').notify({
+      title,
+      message,
+      sound: false, // The sound backend takes care of audio
+      wait: false
+    }, (error) => error ? reject(error) : resolve());
+  });
+}
+
+// Runs `ccnudge hook <event> <args>` in the background, detached from the
+// hook so Claude Code doesn't wait for it
+function startBackgroundProcess(event, args) {
+  const child = spawn(process.execPath, [HOOK_PATH, event, ...args], {
+    detached: true,
+    stdio: 'ignore',
+    windowsHide: true
+  });
+  child.unref();
+}
+
+// Shows the collected notifications of a burst once its window closes
+function startFlushProcess(event) {
+  startBackgroundProcess(event, ['--flush']);
+}
+
+// HTTP channels can be slow and are retried, which must never block the hook
+function startDeliveryProcess(event, notification) {
+  const job = Buffer.from(JSON.stringify(notification), 'utf-8').toString('base64');
+  startBackgroundProcess(event, ['--deliver', job]);
+}
+
+async function sendToChannels(notification) {
+  const config = await loadEffectiveConfig();
+  const { deliverToChannels } = require('./channels');
+  const results = await deliverToChannels(notification.channels, config.channels, notification);
+
+  return results
+    .filter(result => !result.ok)
+    .map(result => new Error(`Channel ${result.channel}: ${result.error}`));
+}
+
+// Entry point of the delivery process started by startDeliveryProcess
+async function deliverInBackground(event, job) {
+  try {
+    const notification = JSON.parse(Buffer.from(job, 'base64').toString('utf-8'));
+    return await sendToChannels(notification);
+  } catch (error) {
+    return [error];
+  }
+}
+
+async function flushCoalesced(event) {
+  const state = await readState();
+  const pending = state.events && state.events[event] && state.events[event].pending;
+
+  if (!pending) {
+    return [];
+  }
+
+  await new Promise(resolve => setTimeout(resolve, Math.max(0, pending.flushAt - Date.now())));
+
+  const burst = await takePendingNotification(event);
+  if (!burst) {
+    return [];
+  }
+
+  const notification = { ...burst.notification };
+  if (burst.count > 1) {
+    notification.body = renderTemplate(burst.summary, { ...notification.vars, count: String(burst.count) });
+  }
+
+  // This process is already detached, so channels are sent right here
+  const tasks = [];
+  if (notification.desktop) {
+    tasks.push(sendDesktopNotification(notification.title, notification.body).then(() => []));
+  }
+  if (notification.channels.length > 0) {
+    tasks.push(sendToChannels(notification));
+  }
+
+  const results = await Promise.allSettled(tasks);
+  return results.reduce((errors, result) => {
+    return errors.concat(result.status === 'rejected' ? [result.reason] : result.value);
+  }, []);
+}
+
+// The hook's options with the first project rule for the payload's cwd
+// applied (rules.js). Without a matching rule they stay as they are.
+async function applyProjectRule(event, options, cwd, rules, errors) {
+  const found = await findRule(rules, event, cwd);
+  if (!found) {
+    return options;
+  }
+
+  const { rule } = found;
+  const result = { ...options };
+  // Only events that play a sound get the rule's sound. `rules add` stores
+  // its path; names are only looked up as system sounds (see resolveSound).
+  if (rule.sound && options.sound) {
+    try {
+      result.sound = await resolveSound(rule.sound, { index: false });
+    } catch (error) {
+      errors.push(new Error(`Rule ${rule.match}: ${error.message}, using the event's sound`));
+    }
+  }
+  if (rule.title) {
+    result.title = rule.title;
+  }
+  if (rule.channels && rule.channels.length > 0) {
+    result.channels = [...new Set([...(options.channels || []), ...rule.channels])];
+  }
+  return result;
+}
+
+async function runHook(event, options = {}, payload = null) {
+  if (!payload) {
+    payload = await readPayload();
+  }
+  if (!isRoutedHere(event, payload, options)) {
+    return [];
+  }
+
+  const vars = buildTemplateVars(event, payload);
+  const tasks = [];
+  const errors = [];
+
+  // A broken config must not silence the hook, so fall back to no options
+  let config = {};
+  let eventConfig = {};
+  try {
+    config = await loadEffectiveConfig();
+    eventConfig = getEventConfig(config, event);
+  } catch (error) {
+    errors.push(error);
+  }
+
+  if (config.rules && config.rules.length > 0) {
+    options = await applyProjectRule(event, options, vars.cwd, config.rules, errors);
+  }
+
+  // UserPromptSubmit starts the clock; every later event of the session can
+  // show how long the turn took and stay silent if it was quick
+  if (event === 'UserPromptSubmit') {
+    try {
+      await recordPrompt(payload.session_id);
+    } catch (error) {
+      errors.push(error);
+    }
+  } else {
+    try {
+      const elapsed = await getElapsed(payload.session_id);
+
+      if (elapsed !== null) {
+        vars.elapsed = formatDuration(elapsed);
+        vars.elapsed_seconds = String(Math.round(elapsed / 1000));
+      }
+
+      // Without a recorded prompt we can't tell, so notify as usual
+      const minDuration = parseMinDuration(eventConfig);
+      if (minDuration && elapsed !== null && elapsed < minDuration) {
+        return errors;
+      }
+    } catch (error) {
+      errors.push(new Error(`Ignoring minDuration for ${event}: ${error.message}`));
+    }
+  }
+
+  let muted = [];
+  try {
+    muted = getQuietState(eventConfig.quietHours).muted;
+  } catch (error) {
+    errors.push(new Error(`Ignoring quiet hours for ${event}: ${error.message}`));
+  }
+
+  // The message goes to the desktop and/or the HTTP channels
+  const desktop = Boolean(options.desktop) && !muted.includes('desktop');
+  const channels = muted.includes('push') ? [] : [...(options.channels || [])];
+
+  // A spoken message counts as the sound for quiet hours and rate limits
+  const request = {
+    sound: Boolean(options.sound || options.speak) && !muted.includes('sound'),
+    message: desktop || channels.length > 0,
+    notification: null
+  };
+
+  if (request.message) {
+    request.notification = {
+      title: renderTemplate(options.title || DEFAULT_TITLE, vars),
+      body: renderTemplate(options.body || getDefaultTemplate(event), vars),
+      vars,
+      desktop,
+      channels
+    };
+  }
+
+  let deliver = request;
+  try {
+    const limits = parseRateLimits(event, eventConfig);
+    if (hasRateLimits(limits) && (request.sound || request.message)) {
+      deliver = await applyRateLimits(event, limits, request);
+    }
+  } catch (error) {
+    errors.push(new Error(`Ignoring rate limits for ${event}: ${error.message}`));
+  }
+
+  if (deliver.flush) {
+    startFlushProcess(event);
+  }
+
+  if (deliver.sound) {
+    tasks.push(playAudio(options, vars, config.player));
+  }
+
+  if (deliver.message && desktop) {
+    tasks.push(sendDesktopNotification(request.notification.title, request.notification.body));
+  }
+
+  if (deliver.message && channels.length > 0) {
+    startDeliveryProcess(event, request.notification);
+  }
+
+  // A failing backend must not take the other one down with it
+  const results = await Promise.allSettled(tasks);
+  return errors.concat(results
+    .filter(result => result.status === 'rejected')
+    .map(result => result.reason));
+}
+
+module.exports = {
+  DEFAULT_TITLE,
+  readPayload,
+  buildTemplateVars,
+  renderTemplate,
+  getDefaultTemplate,
+  runHook,
+  flushCoalesced,
+  deliverInBackground
+};
@@ -0,0 +1,208 @@
+// Quiet hours: per-event rules that mute the sound, the desktop notification
+// and/or the HTTP channels (push) during a time window. Example event config:
+//
+//   "quietHours": {
+//     "timezone": "Europe/Berlin",
+//     "rules": [
+//       { "days": "weekdays", "from": "22:00", "to": "08:00", "mute": ["sound"] },
+//       { "days": "weekends", "mute": ["sound"] }
+//     ]
+//   }
+//
+// A rule without from/to covers the whole day. When `from` is later than `to`
+// the window wraps around midnight: a listed day is quiet until `to` and
+// again from `from`. Above, Monday is quiet until 08:00 and Friday from
+// 22:00; the night into Saturday is the weekend rule's.
+const { ValidationError } = require('./errors');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_ALIASES = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun'],
+  everyday: DAY_NAMES
+};
+
+const CHANNELS = ['sound', 'desktop', 'push'];
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && Number(match[2]) > 0)) {
+    throw new ValidationError(`Invalid time: ${value} (expected HH:MM)`);
+  }
+
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Accepts an array of day names, a comma separated list, ranges like "mon-fri"
+// and the aliases above. Returns day indexes (0 = Sunday).
+function parseDays(days) {
+  if (days === undefined) {
+    return DAY_NAMES.map((_, index) => index);
+  }
+
+  const parts = Array.isArray(days) ? days : String(days).split(',');
+  const result = new Set();
+
+  for (const part of parts) {
+    const name = String(part).trim().toLowerCase();
+
+    if (DAY_ALIASES[name]) {
+      DAY_ALIASES[name].forEach(day => result.add(DAY_NAMES.indexOf(day)));
+      continue;
+    }
+
+    const [start, end] = name.split('-').map(day => DAY_NAMES.indexOf(day.slice(0, 3)));
+    if (start === -1 || end === -1) {
+      throw new ValidationError(`Invalid day: ${part} (expected mon..sun, a range like mon-fri, weekdays or weekends)`);
+    }
+
+    if (end === undefined) {
+      result.add(start);
+    } else {
+      for (let day = start; ; day = (day + 1) % 7) {
+        result.add(day);
+        if (day === end) {
+          break;
+        }
+      }
+    }
+  }
+
+  return [...result].sort((a, b) => a - b);
+}
+
+function parseMute(mute) {
+  if (mute === undefined) {
+    return CHANNELS;
+  }
+
+  const channels = Array.isArray(mute) ? mute : [mute];
+  for (const channel of channels) {
+    if (!CHANNELS.includes(channel)) {
+      throw new ValidationError(`Invalid channel to mute: ${channel} (expected ${CHANNELS.join(', ')})`);
+    }
+  }
+
+  return channels;
+}
+
+function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new ValidationError(`Unknown timezone: ${timezone}`);
+  }
+}
+
+// Normalizes a quietHours config, throwing a descriptive error if it is invalid
+function parseQuietHours(quietHours) {
+  if (!quietHours) {
+    return null;
+  }
+
+  const rules = Array.isArray(quietHours) ? quietHours : quietHours.rules;
+  if (!Array.isArray(rules)) {
+    throw new ValidationError('quietHours must be a list of rules or an object with a "rules" list');
+  }
+
+  const timezone = Array.isArray(quietHours) ? undefined : quietHours.timezone;
+  if (timezone) {
+    validateTimezone(timezone);
+  }
+
+  return {
+    timezone,
+    rules: rules.map(rule => {
+      if ((rule.from === undefined) !== (rule.to === undefined)) {
+        throw new ValidationError('Quiet hours rules need both "from" and "to", or neither for the whole day');
+      }
+      if (rule.timezone) {
+        validateTimezone(rule.timezone);
+      }
+
+      return {
+        days: parseDays(rule.days),
+        from: rule.from === undefined ? 0 : parseTime(rule.from),
+        to: rule.to === undefined ? 24 * 60 : parseTime(rule.to),
+        mute: parseMute(rule.mute),
+        timezone: rule.timezone || timezone,
+        source: rule
+      };
+    })
+  };
+}
+
+// Day of week and minutes since midnight of a date in a timezone
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type).value;
+
+  return {
+    day: DAY_NAMES.indexOf(get('weekday').toLowerCase()),
+    minutes: (Number(get('hour')) % 24) * 60 + Number(get('minute'))
+  };
+}
+
+function isRuleActive(rule, date) {
+  const { day, minutes } = getLocalTime(date, rule.timezone);
+
+  if (rule.from < rule.to) {
+    return rule.days.includes(day) && minutes >= rule.from && minutes < rule.to;
+  }
+
+  // Window around midnight: the morning and the evening of a listed day
+  return rule.days.includes(day) && (minutes < rule.to || minutes >= rule.from);
+}
+
+// Returns which channels the quiet hours mute right now
+function getQuietState(quietHours, date = new Date()) {
+  const schedule = parseQuietHours(quietHours);
+  const muted = new Set();
+  const activeRules = [];
+
+  for (const rule of (schedule ? schedule.rules : [])) {
+    if (isRuleActive(rule, date)) {
+      rule.mute.forEach(channel => muted.add(channel));
+      activeRules.push(rule);
+    }
+  }
+
+  return {
+    active: activeRules.length > 0,
+    muted: CHANNELS.filter(channel => muted.has(channel)),
+    rules: activeRules
+  };
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function describeRule(rule) {
+  const days = rule.days.length === 7 ? 'every day' : rule.days.map(day => DAY_NAMES[day]).join(',');
+  let window = `${formatTime(rule.from)}-${formatTime(rule.to)}`;
+  if (rule.from === 0 && rule.to === 24 * 60) {
+    window = 'all day';
+  } else if (rule.from >= rule.to) {
+    window = `until ${formatTime(rule.to)} and from ${formatTime(rule.from)}`;
+  }
+  const timezone = rule.timezone ? ` ${rule.timezone}` : '';
+
+  return `${days} ${window}${timezone}, mute ${rule.mute.join(' + ')}`;
+}
+
+module.exports = {
+  CHANNELS,
+  parseQuietHours,
+  getQuietState,
+  describeRule
+};
@@ -0,0 +1,248 @@
+// Validation of ccnudge config files. A config describes everything ccnudge
+// sets up in one scope; `ccnudge apply` renders it into Claude Code hooks:
+//
+//   {
+//     "version": 1,
+//     "events": {
+//       "Stop": { "sound": "Glass", "desktop": true, "minDuration": 30 },
+//       "PostToolUse": {
+//         "matchers": { "Bash": { "sound": "Tink" }, "Edit|Write": { "desktop": true } },
+//         "throttle": { "sound": 10 }
+//       },
+//       "Notification": {
+//         "sound": "Ping", "speak": "Claude needs you in {{project}}", "rate": 200,
+//         "matchers": { "permission_prompt": { "sound": "Funk", "desktop": true } }
+//       },
+//       "SessionStart": { "sound": "Pop", "volume": 30 },
+//       "SessionEnd": { "sound": "~/sounds/bye.wav", "enabled": false }
+//     },
+//     "channels": { "phone": { "type": "ntfy", "url": "https://ntfy.sh", "topic": "my-claude" } },
+//     "rules": [{ "match": "api-*", "sound": "Submarine" }],
+//     "player": "pw-play",
+//     "history": { "keep": 50, "settings": true },
+//     "activeProfile": "focus",
+//     "profiles": { "focus": { "events": { ... } } }
+//   }
+//
+// "sound" is "default", a sound name or a file path. "speak" is a message
+// template to say out loud (with optional "voice" and "rate" in words per
+// minute); it replaces the sound when a speech engine is installed. "volume"
+// (0-100) plays the sound, or says the message, quieter than it is. The
+// notification settings on an event apply to all tools; "matchers" adds one
+// hook per tool matcher on events that support them. On Notification the
+// matchers are notification types, and a type's settings replace the
+// event's own for it (see events.js). "rules" pick a sound, title or
+// channels by project directory (see rules.js).
+const { validateMatcher } = require('./hooks');
+const { parseQuietHours } = require('./schedule');
+const { parseRateLimits } = require('./throttle');
+const { parseMinDuration } = require('./timing');
+const { validateChannel } = require('./channels');
+const { validatePlayerName, validateVolume } = require('./players');
+const { validateSpeech } = require('./speech');
+const { parseHistoryOptions } = require('./history');
+const { validateRule } = require('./rules');
+const { ConfigError } = require('./errors');
+
+const CONFIG_VERSION = 1;
+
+// What one hook does: the options of `ccnudge hook`
+const NOTIFICATION_KEYS = {
+  sound: 'string',
+  desktop: 'boolean',
+  title: 'string',
+  body: 'string',
+  channels: 'string[]',
+  speak: 'string',
+  voice: 'string',
+  rate: 'number',
+  volume: 'number'
+};
+
+// Options the hook runtime reads from the config when the event fires
+const EVENT_KEYS = {
+  ...NOTIFICATION_KEYS,
+  enabled: 'boolean',
+  matchers: 'object',
+  minDuration: 'number',
+  quietHours: 'object',
+  throttle: 'object',
+  coalesce: 'object'
+};
+
+const TOP_LEVEL_KEYS = {
+  version: 'number',
+  events: 'object',
+  channels: 'object',
+  activeProfile: 'string',
+  profiles: 'object',
+  player: 'string',
+  history: 'object'
+};
+
+const HISTORY_KEYS = {
+  keep: 'number',
+  settings: 'boolean'
+};
+
+const PROFILE_KEYS = {
+  events: 'object'
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => typeof item === 'string') ? 'string[]' : 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+// Checks the keys of an object against a table of expected types
+function checkKeys(object, keys, where, errors) {
+  for (const [key, value] of Object.entries(object)) {
+    if (!keys[key]) {
+      errors.push(`${where}.${key} is not a known option`);
+    } else if (typeOf(value) !== keys[key]) {
+      errors.push(`${where}.${key} must be ${keys[key] === 'string[]' ? 'a list of strings' : `a ${keys[key]}`}`);
+    }
+  }
+}
+
+// Runs one of the runtime parsers and records what it throws
+function check(errors, where, validate) {
+  try {
+    validate();
+  } catch (error) {
+    errors.push(`${where}: ${error.message}`);
+  }
+}
+
+function isObject(value) {
+  return typeOf(value) === 'object';
+}
+
+function validateEvent(event, options, errors, prefix = '') {
+  const where = `${prefix}events.${event}`;
+
+  if (!/^[A-Z]\w*$/.test(event)) {
+    errors.push(`${where} is not a valid Claude Code event name`);
+  }
+  if (!isObject(options)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+
+  checkKeys(options, EVENT_KEYS, where, errors);
+
+  if (isObject(options.matchers)) {
+    for (const [matcher, group] of Object.entries(options.matchers)) {
+      const groupWhere = `${where}.matchers.${matcher}`;
+
+      check(errors, groupWhere, () => validateMatcher(event, matcher));
+      if (isObject(group)) {
+        checkKeys(group, NOTIFICATION_KEYS, groupWhere, errors);
+        check(errors, groupWhere, () => validateSpeech(group));
+        check(errors, groupWhere, () => validateVolume(group.volume));
+      } else {
+        errors.push(`${groupWhere} must be an object`);
+      }
+    }
+  }
+
+  check(errors, where, () => validateSpeech(options));
+  check(errors, where, () => validateVolume(options.volume));
+
+  if (isObject(options.quietHours)) {
+    check(errors, `${where}.quietHours`, () => parseQuietHours(options.quietHours));
+  }
+  if (isObject(options.throttle) || isObject(options.coalesce)) {
+    check(errors, where, () => parseRateLimits(event, options));
+  }
+  if (typeof options.minDuration === 'number') {
+    check(errors, where, () => parseMinDuration(options));
+  }
+}
+
+// Returns a list of problems (empty when the config is valid)
+function validateConfig(config) {
+  if (!isObject(config)) {
+    return ['The config must be a JSON object'];
+  }
+
+  const errors = [];
+  // A list of objects, which the type table can't describe
+  const { rules, ...options } = config;
+  checkKeys(options, TOP_LEVEL_KEYS, 'config', errors);
+
+  if (rules !== undefined && !Array.isArray(rules)) {
+    errors.push('config.rules must be a list of rules');
+  } else {
+    (rules || []).forEach((rule, index) => check(errors, `config.rules[${index}]`, () => validateRule(rule)));
+  }
+
+  if (config.version !== undefined && config.version !== CONFIG_VERSION) {
+    errors.push(`config.version ${config.version} is not supported (expected ${CONFIG_VERSION})`);
+  }
+
+  if (isObject(config.events)) {
+    for (const [event, options] of Object.entries(config.events)) {
+      validateEvent(event, options, errors);
+    }
+  }
+
+  if (isObject(config.profiles)) {
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      const where = `profiles.${name}`;
+
+      if (!/^[\w-]+$/.test(name)) {
+        errors.push(`${where} is not a valid profile name (use letters, numbers, - and _ only)`);
+      }
+      if (!isObject(profile)) {
+        errors.push(`${where} must be an object`);
+        continue;
+      }
+
+      checkKeys(profile, PROFILE_KEYS, where, errors);
+      if (isObject(profile.events)) {
+        for (const [event, options] of Object.entries(profile.events)) {
+          validateEvent(event, options, errors, `${where}.`);
+        }
+      }
+    }
+  }
+
+  if (typeof config.activeProfile === 'string' && !(config.profiles && config.profiles[config.activeProfile])) {
+    errors.push(`config.activeProfile ${config.activeProfile} is not defined under "profiles"`);
+  }
+
+  if (typeof config.player === 'string') {
+    check(errors, 'config.player', () => validatePlayerName(config.player));
+  }
+
+  if (isObject(config.history)) {
+    checkKeys(config.history, HISTORY_KEYS, 'config.history', errors);
+    check(errors, 'config.history', () => parseHistoryOptions(config.history));
+  }
+
+  if (isObject(config.channels)) {
+    for (const [name, channel] of Object.entries(config.channels)) {
+      check(errors, `channels.${name}`, () => validateChannel(name, channel));
+    }
+  }
+
+  return errors;
+}
+
+function assertValidConfig(config, source) {
+  const errors = validateConfig(config);
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid ccnudge config${source ? ` (${source})` : ''}:\n  - ${errors.join('\n  - ')}`, { errors });
+  }
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  NOTIFICATION_KEYS,
+  validateConfig,
+  assertValidConfig
+};
@@ -0,0 +1,89 @@
+// Claude Code reads hooks from three settings files. ccnudge can write to any
+// of them; each scope has its own ccnudge config file describing the hooks
+// and the options they evaluate at runtime. (Older versions kept disabled
+// hooks in a backup file next to the settings file.)
+const path = require('path');
+const os = require('os');
+const { ValidationError } = require('./errors');
+
+const SCOPES = {
+  user: {
+    description: 'All projects (~/.claude/settings.json)',
+    settingsFile: 'settings.json',
+    backupFile: '.ccnudge-backup.json',
+    configFile: 'config.json'
+  },
+  project: {
+    description: 'This repository, shared with the team (.claude/settings.json)',
+    settingsFile: 'settings.json',
+    backupFile: '.ccnudge-backup.json',
+    configFile: 'ccnudge.json'
+  },
+  local: {
+    description: 'This repository, only for you (.claude/settings.local.json)',
+    settingsFile: 'settings.local.json',
+    backupFile: '.ccnudge-backup.local.json',
+    configFile: 'ccnudge.local.json'
+  }
+};
+
+const DEFAULT_SCOPE = 'user';
+
+function resolveScope(scope) {
+  const name = scope || DEFAULT_SCOPE;
+
+  if (!SCOPES[name]) {
+    throw new ValidationError(`Unknown scope: ${name}. Use one of: ${Object.keys(SCOPES).join(', ')}`);
+  }
+
+  return name;
+}
+
+// Claude Code exposes the project root to hooks; fall back to the working directory
+function getProjectDir() {
+  return process.env.CLAUDE_PROJECT_DIR || process.cwd();
+}
+
+function getScopeDir(scope) {
+  const name = resolveScope(scope);
+
+  if (name === 'user') {
+    return path.join(os.homedir(), '.claude');
+  }
+
+  return path.join(getProjectDir(), '.claude');
+}
+
+function getSettingsPath(scope) {
+  return path.join(getScopeDir(scope), SCOPES[resolveScope(scope)].settingsFile);
+}
+
+function getBackupPath(scope) {
+  return path.join(getScopeDir(scope), SCOPES[resolveScope(scope)].backupFile);
+}
+
+// The user config lives in ~/.ccnudge; project and local configs sit next to
+// the repository's Claude Code settings
+function getConfigPath(scope) {
+  const name = resolveScope(scope);
+  const dir = name === 'user' ? path.join(os.homedir(), '.ccnudge') : getScopeDir(name);
+
+  return path.join(dir, SCOPES[name].configFile);
+}
+
+function getScopes() {
+  return Object.keys(SCOPES).map(name => ({
+    name: `${name} - ${SCOPES[name].description}`,
+    value: name
+  }));
+}
+
+module.exports = {
+  DEFAULT_SCOPE,
+  resolveScope,
+  getProjectDir,
+  getSettingsPath,
+  getBackupPath,
+  getConfigPath,
+  getScopes
+};
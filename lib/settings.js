@@ -0,0 +1,203 @@
+// Reading and writing the Claude Code settings file of a scope. The file is
+// shared: Claude Code edits it, and so may another ccnudge in a second
+// terminal. Updates hold a lock file (honoured by ccnudge only), write a temp
+// file and rename it over the settings, and start over from a fresh read when
+// the file changed under them, so neither a crash nor a concurrent write
+// loses the user's settings.
+const fs = require('fs');
+const path = require('path');
+const { getSettingsPath } = require('./scopes');
+const { withLock, withLockSync } = require('./lock');
+const { CcnudgeError, ConfigError } = require('./errors');
+
+// Writing the settings takes a few milliseconds; waiting on another setup
+// can take longer than a hook waits for the state file
+const LOCK_OPTIONS = { staleMs: 10000, timeoutMs: 10000 };
+
+// Times an update is redone when the file keeps changing under it
+const MAX_ATTEMPTS = 5;
+
+function parseSettings(content, settingsPath) {
+  // Missing and empty files are the same as no settings
+  if (content === null || content.trim() === '') {
+    return {};
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(
+      `${settingsPath} is not valid JSON (${error.message}). ccnudge won't overwrite it; fix the file or move it away and try again`,
+      { path: settingsPath }
+    );
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ConfigError(`${settingsPath} must hold a JSON object. ccnudge won't overwrite it`, { path: settingsPath });
+  }
+  return settings;
+}
+
+function serialize(settings) {
+  return JSON.stringify(settings, null, 2);
+}
+
+async function readContent(file) {
+  try {
+    return await fs.promises.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function readContentSync(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// A settings file kept in a dotfiles repository is often a symlink; write
+// the file it points to instead of replacing the link
+function resolveTarget(settingsPath) {
+  try {
+    return fs.realpathSync(settingsPath);
+  } catch {
+    return settingsPath;
+  }
+}
+
+function conflictError(settingsPath) {
+  return new CcnudgeError(`${settingsPath} kept changing while ccnudge was updating it. Try again`, 'CONFLICT', { path: settingsPath });
+}
+
+async function readSettings(scope) {
+  const settingsPath = getSettingsPath(scope);
+  return parseSettings(await readContent(settingsPath), settingsPath);
+}
+
+// Writes the new content next to the file, then renames it over the file
+// unless someone else changed the file since it was read as `before`.
+// Returns false (and writes nothing) on such a conflict.
+async function replaceIfUnchanged(file, content, before) {
+  const tempPath = `${file}.${process.pid}.tmp`;
+  try {
+    await fs.promises.writeFile(tempPath, content, 'utf-8');
+    if (before !== null) {
+      // Keep the permissions the user gave the file
+      await fs.promises.chmod(tempPath, (await fs.promises.stat(file)).mode & 0o7777);
+    }
+    if ((await readContent(file)) !== before) {
+      await fs.promises.unlink(tempPath);
+      return false;
+    }
+    await fs.promises.rename(tempPath, file);
+    return true;
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+function replaceIfUnchangedSync(file, content, before) {
+  const tempPath = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, content, 'utf-8');
+    if (before !== null) {
+      fs.chmodSync(tempPath, fs.statSync(file).mode & 0o7777);
+    }
+    if (readContentSync(file) !== before) {
+      fs.unlinkSync(tempPath);
+      return false;
+    }
+    fs.renameSync(tempPath, file);
+    return true;
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch {
+      // Never written
+    }
+    throw error;
+  }
+}
+
+// Runs `update` on the scope's settings and saves them. `update` changes the
+// settings in place and may return false when there is nothing to save
+// (unchanged settings aren't written either). It may
+// run more than once: when the file changed in the meantime, the changes are
+// made again on the new contents. Returns whatever `update` returns.
+async function updateSettings(scope, update) {
+  const settingsPath = resolveTarget(getSettingsPath(scope));
+  await fs.promises.mkdir(path.dirname(settingsPath), { recursive: true });
+
+  return withLock(`${settingsPath}.lock`, async () => {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const before = await readContent(settingsPath);
+      const settings = parseSettings(before, settingsPath);
+      const result = await update(settings);
+      const content = serialize(settings);
+
+      if (result === false || content === before || (await replaceIfUnchanged(settingsPath, content, before))) {
+        return result;
+      }
+    }
+    throw conflictError(settingsPath);
+  }, LOCK_OPTIONS);
+}
+
+// The same, synchronously, for npm's uninstall script
+function updateSettingsSync(scope, update) {
+  const settingsPath = resolveTarget(getSettingsPath(scope));
+  fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+
+  return withLockSync(`${settingsPath}.lock`, () => {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const before = readContentSync(settingsPath);
+      const settings = parseSettings(before, settingsPath);
+      const result = update(settings);
+      const content = serialize(settings);
+
+      if (result === false || content === before || replaceIfUnchangedSync(settingsPath, content, before)) {
+        return result;
+      }
+    }
+    throw conflictError(settingsPath);
+  }, LOCK_OPTIONS);
+}
+
+// What updateSettings would write, without writing it (--dry-run): the
+// file's content now and after `update`, null when it doesn't exist
+async function previewSettings(scope, update) {
+  const settingsPath = getSettingsPath(scope);
+  const before = await readContent(resolveTarget(settingsPath));
+  const settings = parseSettings(before, settingsPath);
+  const result = await update(settings);
+
+  return { path: settingsPath, before, after: result === false ? before : serialize(settings), result };
+}
+
+function previewSettingsSync(scope, update) {
+  const settingsPath = getSettingsPath(scope);
+  const before = readContentSync(resolveTarget(settingsPath));
+  const settings = parseSettings(before, settingsPath);
+  const result = update(settings);
+
+  return { path: settingsPath, before, after: result === false ? before : serialize(settings), result };
+}
+
+module.exports = {
+  readSettings,
+  updateSettings,
+  updateSettingsSync,
+  previewSettings,
+  previewSettingsSync
+};
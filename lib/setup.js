@@ -1,494 +1,1693 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const notifier = require('node-notifier');
+const {
+  normalizeMatcher,
+  supportsMatcher,
+  validateMatcher,
+  getManagedEvents,
+  setCcnudgeGroups
+} = require('./hooks');
+const {
+  resolveScope,
+  getSettingsPath,
+  getConfigPath,
+  getScopes
+} = require('./scopes');
+const { loadEffectiveConfig, getEventConfig, setPlayer, readConfigContent, formatConfig, withConfigLock } = require('./config');
+const { readSettings, updateSettings, previewSettings } = require('./settings');
+const { parseQuietHours, getQuietState, describeRule } = require('./schedule');
+const { parseRateLimits, hasRateLimits } = require('./throttle');
+const { parseMinDuration } = require('./timing');
+const {
+  isKnownEvent,
+  getEventNames,
+  getEventChoices,
+  getMatcherEvents,
+  getMatcherInfo,
+  getSuggestedSound,
+  isTimedEvent
+} = require('./events');
+const { validateChannel, sendToChannel, getLogPath } = require('./channels');
+const { CONFIG_VERSION, assertValidConfig } = require('./schema');
+const {
+  DEFAULT_SOUND,
+  getPlatformConfig,
+  buildSoundCommand,
+  resolveSound,
+  normalizeSound
+} = require('./sounds');
+const {
+  getLibraryDir,
+  getSoundRoots,
+  findSounds,
+  filterSounds,
+  describeSounds,
+  formatDuration,
+  formatSize
+} = require('./catalog');
+const { addToLibrary, importPack, findInLibrary, removeFromLibrary } = require('./library');
+const {
+  hasNotification,
+  isEnabled,
+  loadScopeConfig,
+  saveScopeConfig,
+  readLegacyCommands,
+  removeBackup,
+  applyConfig,
+  updateScopeConfig,
+  replaceScopeConfig,
+  describeChange,
+  findDrift,
+  clearNotification
+} = require('./apply');
+const {
+  getPresets,
+  addProfile,
+  switchProfile,
+  removeProfile
+} = require('./profiles');
+const {
+  getPlayers,
+  validatePlayerName,
+  validateVolume,
+  detectPlayers,
+  getPlayer,
+  resetDetectedPlayer,
+  canSetVolume,
+  playSound
+} = require('./players');
+const { validateSpeech, findSpeechEngine, speak } = require('./speech');
+const { getDefaultTemplate, buildTemplateVars, renderTemplate } = require('./runtime');
+const {
+  getHistoryDir,
+  getManagedHooks,
+  listSnapshots,
+  readSnapshot,
+  summarizeChanges
+} = require('./history');
+const { diagnose } = require('./doctor');
+const { useColor, colorPatch } = require('./diff');
+const { simulateHooks } = require('./simulate');
+const { validateRule, findRule, describeProjectRule } = require('./rules');
+const { ValidationError, ConfigError, PlaybackError } = require('./errors');
+const { getLogger } = require('./logger');
+
+function printWarnings(log, warnings) {
+  for (const warning of warnings) {
+    log.warn(warning);
+  }
+}
+
+// Validators shared by the interactive prompts, the setup flags and
+// setupNotification, so every path reports the same errors
 
-const execAsync = promisify(exec);
-
-// Available Claude Code events (official from Claude docs)
-const AVAILABLE_EVENTS = [
-  { name: 'Stop - When Claude finishes responding', value: 'Stop' },
-  { name: 'SubagentStop - When subagent tasks complete', value: 'SubagentStop' },
-  { name: 'PostToolUse - After tool calls complete', value: 'PostToolUse' },
-  { name: 'PreToolUse - Before tool calls (advanced)', value: 'PreToolUse' },
-  { name: 'UserPromptSubmit - When user submits a prompt', value: 'UserPromptSubmit' },
-  { name: 'Notification - When Claude sends notifications', value: 'Notification' },
-  { name: 'SessionStart - When session starts/resumes', value: 'SessionStart' },
-  { name: 'SessionEnd - When session ends', value: 'SessionEnd' },
-  { name: 'PreCompact - Before compact operations', value: 'PreCompact' }
-];
-
-// Platform-specific sound configurations
-const PLATFORM_CONFIGS = {
-  darwin: {
-    command: 'afplay',
-    defaultSound: '/System/Library/Sounds/Glass.aiff',
-    soundsPath: '/System/Library/Sounds',
-    extension: '.aiff'
-  },
-  linux: {
-    command: 'paplay', // fallback to aplay if paplay not available
-    defaultSound: '/usr/share/sounds/freedesktop/stereo/complete.oga',
-    soundsPath: '/usr/share/sounds',
-    extension: '.oga'
-  },
-  win32: {
-    command: 'powershell -c (New-Object Media.SoundPlayer',
-    defaultSound: 'C:\\Windows\\Media\\Windows Notify System Generic.wav',
-    soundsPath: 'C:\\Windows\\Media',
-    extension: '.wav',
-    commandSuffix: ').PlaySync()'
+function validateEventName(event) {
+  if (!isKnownEvent(event)) {
+    throw new ValidationError(`Unknown event: ${event}. Use one of: ${getEventNames().join(', ')}`);
   }
-};
+}
 
-function getPlatformConfig() {
-  const platform = os.platform();
-  const config = PLATFORM_CONFIGS[platform];
+async function validateSound(soundPath) {
+  await resolveSound(soundPath);
+}
 
-  if (!config) {
-    throw new Error(`Unsupported platform: ${platform}`);
+function validateMinDuration(minDuration) {
+  if (minDuration !== undefined) {
+    parseMinDuration({ minDuration });
   }
+}
 
-  return config;
+// Channels are referenced by name, so they must already be defined
+async function validateChannelNames(channels, defined = null) {
+  if (!channels || channels.length === 0) {
+    return;
+  }
+
+  if (!defined) {
+    ({ channels: defined } = await loadEffectiveConfig());
+  }
+  for (const name of channels) {
+    if (!defined[name]) {
+      throw new ValidationError(`Unknown channel: ${name} (define it under "channels" in the ccnudge config first)`);
+    }
+    validateChannel(name, defined[name]);
+  }
 }
 
-function getSettingsPath() {
-  return path.join(os.homedir(), '.claude', 'settings.json');
+// Checks everything setupNotification would check, without writing anything
+async function validateSetupOptions(event, soundPath, options = {}) {
+  validateEventName(event);
+  validateMatcher(event, normalizeMatcher(options.matcher));
+  validateMinDuration(options.minDuration);
+  validateSpeech({ ...options, speak: options.speak === true ? undefined : options.speak });
+  validateVolume(options.volume);
+  await validateChannelNames(options.channels, options.definedChannels);
+  await validateSound(soundPath);
 }
 
-function getBackupPath() {
-  return path.join(os.homedir(), '.claude', '.ccnudge-backup.json');
+// Checks and resolves the options of one event (or one matcher of a tool
+// event) for setupNotification and setupNotifications. `options.speak` is a
+// message template to say instead of playing the sound (true for the event's
+// default message), with `voice` and `rate`. `options.volume` (0-100) plays
+// the sound quieter than it is.
+async function prepareSetup(event, soundPath, enableDesktopNotify = false, options = {}) {
+  const matcher = normalizeMatcher(options.matcher);
+  const channels = options.channels || [];
+  const speakTemplate = options.speak === true ? getDefaultTemplate(event) : options.speak || null;
+  const volume = options.volume !== undefined && options.volume !== null ? options.volume : null;
+
+  await validateSetupOptions(event, soundPath, options);
+
+  // System sounds are stored by name, files by absolute path
+  const sound = await normalizeSound(soundPath);
+  const resolvedSound = await resolveSound(sound);
+
+  const target = { sound };
+  if (enableDesktopNotify) {
+    target.desktop = true;
+  }
+  if (options.title) {
+    target.title = options.title;
+  }
+  if (options.body) {
+    target.body = options.body;
+  }
+  if (channels.length > 0) {
+    target.channels = channels;
+  }
+  if (speakTemplate) {
+    target.speak = speakTemplate;
+    if (options.voice) {
+      target.voice = options.voice;
+    }
+    if (options.rate) {
+      target.rate = options.rate;
+    }
+  }
+  if (volume !== null) {
+    target.volume = volume;
+  }
+
+  return {
+    event,
+    matcher: matcher || null,
+    sound,
+    soundPath: resolvedSound,
+    target,
+    desktop: Boolean(enableDesktopNotify),
+    channels,
+    speak: speakTemplate,
+    voice: (speakTemplate && options.voice) || null,
+    rate: (speakTemplate && options.rate) || null,
+    volume,
+    minDuration: options.minDuration
+  };
 }
 
-async function readSettings() {
-  const settingsPath = getSettingsPath();
+// Puts a prepared event into a config
+function addSetup(config, setup) {
+  const events = config.events || (config.events = {});
+  const entry = events[setup.event] || (events[setup.event] = {});
+  delete entry.enabled;
 
-  try {
-    const content = await fs.readFile(settingsPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist, return empty settings
-      return {};
+  // Replace the settings for this matcher, keeping other matchers and options
+  if (setup.matcher) {
+    entry.matchers = { ...entry.matchers, [setup.matcher]: setup.target };
+  } else {
+    clearNotification(entry);
+    Object.assign(entry, setup.target);
+  }
+
+  // 0 means "always notify", which is the same as not setting it
+  if (setup.minDuration) {
+    entry.minDuration = setup.minDuration;
+  } else if (setup.minDuration !== undefined) {
+    delete entry.minDuration;
+  }
+}
+
+async function reportSetup(log, setup) {
+  const targetName = setup.matcher ? `${setup.event} event (${setup.matcher})` : `${setup.event} event`;
+
+  if (setup.sound === DEFAULT_SOUND) {
+    log.info(`Using default sound: ${setup.soundPath}`);
+  } else if (setup.sound !== setup.soundPath) {
+    log.info(`Using system sound: ${setup.soundPath}`);
+  }
+  log.info(`\n✅ Configured ${targetName} to play: ${setup.soundPath}`);
+  if (setup.speak) {
+    const engine = await findSpeechEngine();
+    log.info(`✅ Speaking "${setup.speak}"${engine ? ` with ${engine.name}` : ''}`);
+    if (!engine) {
+      log.warn('No text-to-speech engine is installed, so the sound plays instead');
     }
-    throw error;
+  }
+  if (setup.volume !== null) {
+    log.info(`✅ Volume: ${setup.volume}%`);
+    if (!(await canSetVolume((await loadEffectiveConfig()).player))) {
+      log.warn('The sound player can\'t change the volume, so sounds play at full volume');
+    }
+  }
+  if (setup.desktop) {
+    log.info(`✅ Desktop notifications enabled`);
+  }
+  if (setup.channels.length > 0) {
+    log.info(`✅ Sending to channel(s): ${setup.channels.join(', ')}`);
+  }
+  if (setup.minDuration) {
+    log.info(`✅ Only notifying when the turn took longer than ${setup.minDuration}s`);
   }
 }
 
-async function writeSettings(settings) {
-  const settingsPath = getSettingsPath();
-  const settingsDir = path.dirname(settingsPath);
+// Prints the diffs of the files a change would write ({ path, diff })
+function printDiffs(log, files) {
+  if (files.length === 0) {
+    log.info('No changes: the files would stay as they are.');
+  }
+  for (const file of files) {
+    log.info(useColor() ? colorPatch(file.diff) : file.diff);
+    log.info('');
+  }
+}
 
-  // Ensure .claude directory exists
-  await fs.mkdir(settingsDir, { recursive: true });
+function reportDryRun(log, result) {
+  printWarnings(log, result.warnings || []);
+  printDiffs(log, result.files);
+  log.info('Dry run: nothing was written.');
+}
+
+// Sets up one event, or one matcher of a tool event (see prepareSetup).
+// With `options.dryRun`, only shows the changes it would make.
+async function setupNotification(event, soundPath, enableDesktopNotify = false, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const setup = await prepareSetup(event, soundPath, enableDesktopNotify, options);
+
+  const result = await updateScopeConfig(scope, config => addSetup(config, setup), { dryRun: options.dryRun });
+  const { target, ...described } = setup;
+
+  if (result.dryRun) {
+    reportDryRun(log, result);
+  } else {
+    await reportSetup(log, setup);
+    printWarnings(log, result.warnings);
+    log.info(`Config saved to: ${result.configPath}`);
+    log.info(`Settings saved to: ${result.settingsPath} (${scope} scope)`);
+  }
 
-  // Write settings with pretty formatting
-  await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2), 'utf-8');
+  return {
+    ...described,
+    scope,
+    minDuration: setup.minDuration || null,
+    configPath: result.configPath,
+    settingsPath: result.settingsPath,
+    warnings: result.warnings,
+    ...(result.dryRun ? { dryRun: true, files: result.files } : {})
+  };
 }
 
-async function backupCurrentConfig() {
-  const settings = await readSettings();
-  const backupPath = getBackupPath();
+// Sets up several events in one change, so they are saved (or with
+// `options.dryRun`, shown as a diff) together. Each group is
+// { event, sound, desktop, ...the options of setupNotification }.
+// `options.channels` adds channel definitions to the config along with them.
+async function setupNotifications(groups, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const newChannels = options.channels || {};
+
+  for (const [name, channel] of Object.entries(newChannels)) {
+    validateChannel(name, channel);
+  }
+  const definedChannels = { ...(await loadEffectiveConfig()).channels, ...newChannels };
 
-  // Backup all ccnudge-managed hooks
-  if (settings.hooks) {
-    const ccnudgeHooks = {};
-    const eventNames = AVAILABLE_EVENTS.map(e => e.value);
+  const setups = [];
+  for (const group of groups) {
+    setups.push(await prepareSetup(group.event, group.sound, Boolean(group.desktop), { ...group, definedChannels }));
+  }
 
-    for (const event of eventNames) {
-      if (settings.hooks[event]) {
-        ccnudgeHooks[event] = settings.hooks[event];
-      }
+  const result = await updateScopeConfig(scope, (config) => {
+    if (Object.keys(newChannels).length > 0) {
+      config.channels = { ...config.channels, ...newChannels };
     }
+    for (const setup of setups) {
+      addSetup(config, setup);
+    }
+  }, { dryRun: options.dryRun });
 
-    if (Object.keys(ccnudgeHooks).length > 0) {
-      await fs.writeFile(backupPath, JSON.stringify(ccnudgeHooks, null, 2), 'utf-8');
-      return true;
+  if (result.dryRun) {
+    reportDryRun(log, result);
+  } else {
+    for (const setup of setups) {
+      await reportSetup(log, setup);
     }
+    printWarnings(log, result.warnings);
+    log.info(`\nConfig saved to: ${result.configPath}`);
+    log.info(`Settings saved to: ${result.settingsPath} (${scope} scope)`);
   }
 
-  return false;
+  return {
+    scope,
+    events: setups.map(({ target, ...setup }) => ({ ...setup, minDuration: setup.minDuration || null })),
+    channels: Object.keys(newChannels),
+    configPath: result.configPath,
+    settingsPath: result.settingsPath,
+    warnings: result.warnings,
+    ...(result.dryRun ? { dryRun: true, files: result.files } : {})
+  };
 }
 
-async function getBackupConfig() {
-  const backupPath = getBackupPath();
+async function enableNotifications(event = null, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  let enabled = [];
 
-  try {
-    const content = await fs.readFile(backupPath, 'utf-8');
-    return JSON.parse(content);
-  } catch {
-    return null;
+  const result = await updateScopeConfig(scope, (config) => {
+    const events = config.events || {};
+
+    if (Object.keys(events).length === 0) {
+      log.info(`No previous configuration found for the ${scope} scope. Please run "ccnudge setup" first.`);
+      return false;
+    }
+    if (event && !events[event]) {
+      log.info(`No configuration found for ${event} event.`);
+      return false;
+    }
+
+    enabled = event ? [event] : Object.keys(events);
+    for (const name of enabled) {
+      delete events[name].enabled;
+    }
+  }, { dryRun: options.dryRun });
+
+  if (!result) {
+    return { scope, events: [], changed: false };
+  }
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, events: enabled, changed: false, warnings: result.warnings, dryRun: true, files: result.files };
+  }
+
+  printWarnings(log, result.warnings);
+  if (event) {
+    log.info(`✅ ${event} event notifications enabled`);
+  } else {
+    log.info(`✅ Notifications enabled for ${enabled.length} event(s)`);
   }
+  return { scope, events: enabled, changed: true, warnings: result.warnings };
 }
 
-function buildSoundCommand(soundPath) {
-  const platform = os.platform();
-  const config = getPlatformConfig();
+async function disableNotifications(event = null, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  let disabled = [];
+
+  const result = await updateScopeConfig(scope, (config) => {
+    const events = config.events || {};
+    const configuredEvents = Object.keys(events).filter(name => isEnabled(events[name]));
+
+    if (configuredEvents.length === 0) {
+      log.info('No notifications currently configured.');
+      return false;
+    }
+    if (event && !configuredEvents.includes(event)) {
+      log.info(`No notification configured for ${event} event.`);
+      return false;
+    }
+
+    disabled = event ? [event] : configuredEvents;
+    for (const name of disabled) {
+      events[name].enabled = false;
+    }
+  }, { dryRun: options.dryRun });
 
-  if (platform === 'win32') {
-    return `${config.command} '${soundPath}'${config.commandSuffix}`;
+  if (!result) {
+    return { scope, events: [], changed: false };
+  }
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, events: disabled, changed: false, warnings: result.warnings, dryRun: true, files: result.files };
   }
 
-  return `${config.command} ${soundPath}`;
+  // The settings stay in the config, so "ccnudge start" can bring them back
+  if (event) {
+    log.info(`✅ ${event} event notifications disabled (configuration kept in ${result.configPath})`);
+  } else {
+    log.info(`✅ Notifications disabled for ${disabled.length} event(s) (configuration kept in ${result.configPath})`);
+  }
+  return { scope, events: disabled, changed: true, warnings: result.warnings };
 }
 
-function buildDesktopNotifyCommand() {
-  const platform = os.platform();
+// Renders the scope's ccnudge config into its Claude Code settings
+async function applyConfiguration(options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const result = await applyConfig(scope, null, { dryRun: options.dryRun });
 
-  if (platform === 'darwin') {
-    // Use sound name "" to suppress the default notification beep
-    return `osascript -e 'display notification "Claude Code has finished" with title "CCNudge" sound name ""'`;
-  } else if (platform === 'linux') {
-    return `notify-send "CCNudge" "Claude Code has finished"`;
-  } else if (platform === 'win32') {
-    return `powershell -c "New-BurntToastNotification -Text 'CCNudge', 'Claude Code has finished'"`;
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return result;
   }
+  printWarnings(log, result.warnings);
+  log.info(`✅ Applied ${result.events.length} event(s) from ${result.configPath}`);
+  log.info(`Settings saved to: ${result.settingsPath} (${scope} scope)`);
+  return result;
 }
 
-async function setupNotification(event, soundPath, enableDesktopNotify = false) {
-  const config = getPlatformConfig();
+// Returns the scope's ccnudge config, written to `file` when given
+async function exportConfiguration(file = null, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const config = { ...await loadScopeConfig(scope), version: CONFIG_VERSION };
 
-  // Backup existing config before making changes
-  await backupCurrentConfig();
+  if (file) {
+    await fs.writeFile(file, JSON.stringify(config, null, 2) + '\n', 'utf-8');
+    log.info(`✅ Exported the ${scope} config to ${file}`);
+  }
 
-  // If no sound specified, use default
-  if (!soundPath) {
-    soundPath = config.defaultSound;
-    console.log(`Using default sound: ${soundPath}`);
-  } else if (!path.isAbsolute(soundPath)) {
-    // Check if it's a system sound name
-    const systemSoundPath = path.join(config.soundsPath, soundPath + config.extension);
+  return { scope, file, config };
+}
+
+async function readConfigFile(file) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new ConfigError(`Could not parse ${file}: ${error.message}`);
+    }
+    throw error;
+  }
+
+  assertValidConfig(config, file);
+  return config;
+}
+
+// Replaces the scope's ccnudge config with a file and applies it
+async function importConfiguration(file, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const config = await readConfigFile(file);
+
+  if (options.dryRun) {
+    const result = await applyConfig(scope, config, { dryRun: true, save: true });
+    reportDryRun(log, result);
+    return result;
+  }
+
+  const result = await replaceScopeConfig(scope, config);
+
+  printWarnings(log, result.warnings);
+  log.info(`✅ Imported ${file} into ${result.configPath}`);
+  log.info(`✅ Applied ${result.events.length} event(s) to ${result.settingsPath} (${scope} scope)`);
+  return result;
+}
+
+// Sets up the events of a config file like setup would: they replace the
+// same events in the scope's config, everything else is kept. Unlike import,
+// sounds and channels must exist on this machine.
+async function setupFromFile(file, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const fileConfig = await readConfigFile(file);
+  const events = fileConfig.events || {};
+
+  const { channels: effective } = await loadEffectiveConfig();
+  const defined = { ...effective, ...fileConfig.channels };
+
+  for (const [event, eventOptions] of Object.entries(events)) {
     try {
-      await fs.access(systemSoundPath);
-      soundPath = systemSoundPath;
-      console.log(`Using system sound: ${soundPath}`);
-    } catch {
-      // Try as-is (might be a relative path)
-      const absolutePath = path.resolve(soundPath);
-      try {
-        await fs.access(absolutePath);
-        soundPath = absolutePath;
-      } catch {
-        throw new Error(`Sound file not found: ${soundPath}`);
+      validateEventName(event);
+      for (const target of [eventOptions, ...Object.values(eventOptions.matchers || {})]) {
+        if (target.sound) {
+          await validateSound(target.sound);
+        }
+        await validateChannelNames(target.channels, defined);
       }
+    } catch (error) {
+      // Keep the error class and code, only point at the event
+      error.message = `${event}: ${error.message}`;
+      throw error;
     }
   }
 
-  // Verify sound file exists
-  try {
-    await fs.access(soundPath);
-  } catch {
-    throw new Error(`Sound file not found: ${soundPath}`);
+  const result = await updateScopeConfig(scope, (config) => {
+    config.events = { ...config.events, ...events };
+    for (const key of ['channels', 'profiles']) {
+      if (fileConfig[key]) {
+        config[key] = { ...config[key], ...fileConfig[key] };
+      }
+    }
+    if (fileConfig.player) {
+      config.player = fileConfig.player;
+    }
+  }, { dryRun: options.dryRun });
+
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return result;
+  }
+  printWarnings(log, result.warnings);
+  log.info(`✅ Configured ${Object.keys(events).length} event(s) from ${file}: ${Object.keys(events).join(', ')}`);
+  log.info(`Config saved to: ${result.configPath}`);
+  log.info(`Settings saved to: ${result.settingsPath} (${scope} scope)`);
+  return result;
+}
+
+// Saves a profile made from the current events, another profile or a preset
+async function createProfile(name, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+
+  let profile;
+  const result = await updateScopeConfig(scope, (config) => {
+    profile = addProfile(config, name, { preset: options.preset, from: options.from });
+  }, { dryRun: options.dryRun });
+
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, name, events: Object.keys(profile.events), dryRun: true, files: result.files };
+  }
+  const source = options.preset ? `the ${options.preset} preset` : options.from ? `profile ${options.from}` : 'the current events';
+  log.info(`✅ Created profile ${name} from ${source} (${scope} scope)`);
+  log.info(`Switch to it with: ccnudge profile use ${name}`);
+  return { scope, name, events: Object.keys(profile.events) };
+}
+
+// Switches to a profile and rewrites the hooks in one step
+async function useProfile(name, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  let savedAs = null;
+  let count = 0;
+
+  const result = await updateScopeConfig(scope, (config) => {
+    savedAs = switchProfile(config, name);
+    count = Object.keys(config.events).length;
+  }, { dryRun: options.dryRun });
+
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, name, savedAs, events: result.events, warnings: result.warnings, dryRun: true, files: result.files };
   }
 
-  // Read current settings
-  const settings = await readSettings();
+  if (savedAs && savedAs !== name) {
+    log.info(`Saved the previous events as profile ${savedAs}`);
+  }
+  printWarnings(log, result.warnings);
+  log.info(`✅ Using profile ${name} (${count} event(s), ${scope} scope)`);
+  return { scope, name, savedAs, events: result.events, warnings: result.warnings };
+}
+
+async function deleteProfile(name, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
 
-  // Initialize hooks structure if it doesn't exist
-  if (!settings.hooks) {
-    settings.hooks = {};
+  const result = await updateScopeConfig(scope, (config) => {
+    removeProfile(config, name);
+  }, { dryRun: options.dryRun });
+
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, name, dryRun: true, files: result.files };
   }
+  log.info(`✅ Deleted profile ${name}`);
+  return { scope, name };
+}
+
+async function listProfiles(options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const config = await loadScopeConfig(scope);
+  const names = Object.keys(config.profiles || {});
 
-  // Build hook commands
-  const hooks = [];
+  log.info(`\nProfiles (${scope} scope):\n`);
 
-  // Add sound hook
-  const soundCommand = buildSoundCommand(soundPath);
-  hooks.push({
-    type: 'command',
-    command: soundCommand
+  if (names.length === 0) {
+    log.info('  No profiles yet. Save the current events with "ccnudge profile create <name>".');
+  }
+
+  const profiles = names.map((name) => {
+    const active = name === config.activeProfile;
+    // The active profile's events are the ones currently in use
+    const events = Object.keys((active ? config.events : config.profiles[name].events) || {});
+
+    log.info(`  ${active ? '●' : '○'} ${name}${active ? ' (active)' : ''} - ${events.length > 0 ? events.join(', ') : 'no events'}`);
+    return { name, active, events };
   });
 
-  // Add desktop notification if enabled
-  if (enableDesktopNotify) {
-    const notifyCommand = buildDesktopNotifyCommand();
-    if (notifyCommand) {
-      hooks.push({
-        type: 'command',
-        command: notifyCommand
-      });
-    }
+  log.info('\nPresets (ccnudge profile use <preset>, or profile create <name> --preset <preset>):\n');
+  for (const preset of getPresets()) {
+    log.info(`  ${preset.name}`);
+  }
+  log.info('');
+
+  return { scope, activeProfile: config.activeProfile || null, profiles };
+}
+
+// Adds a project rule (see rules.js) to the end of a scope's rules: sessions
+// whose cwd matches `match` get `options.sound`, `options.title` and
+// `options.channels`, for `options.events` (all events if not given).
+// `options.gitRoot` compares the git repository root instead of the cwd.
+async function addRule(match, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+
+  const rule = { match };
+  if (options.gitRoot) {
+    rule.gitRoot = true;
+  }
+  if (options.events && options.events.length > 0) {
+    options.events.forEach(validateEventName);
+    rule.events = options.events;
+  }
+  // The hook runtime plays the stored path without searching the sound index
+  if (options.sound) {
+    rule.sound = await resolveSound(options.sound);
   }
+  if (options.title) {
+    rule.title = options.title;
+  }
+  if (options.channels && options.channels.length > 0) {
+    await validateChannelNames(options.channels);
+    rule.channels = options.channels;
+  }
+  validateRule(rule);
+
+  let number;
+  const result = await updateScopeConfig(scope, (config) => {
+    config.rules = [...(config.rules || []), rule];
+    number = config.rules.length;
+  }, { dryRun: options.dryRun });
+
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, number, rule, dryRun: true, files: result.files };
+  }
+  log.info(`✅ Added rule ${number}: ${describeProjectRule(rule)} (${scope} scope)`);
+  return { scope, number, rule };
+}
 
-  // Configure the hook
-  settings.hooks[event] = [
-    {
-      hooks: hooks
+// Removes a rule from a scope, by its number in "ccnudge rules list" or its glob
+async function removeRule(id, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  let removed = null;
+
+  const result = await updateScopeConfig(scope, (config) => {
+    const rules = config.rules || [];
+    const index = /^\d+$/.test(String(id)) ? Number(id) - 1 : rules.findIndex(rule => rule.match === id);
+    if (!rules[index]) {
+      return false;
     }
-  ];
 
-  // Write settings
-  await writeSettings(settings);
+    removed = rules[index];
+    config.rules = rules.filter((rule, i) => i !== index);
+    if (config.rules.length === 0) {
+      delete config.rules;
+    }
+  }, { dryRun: options.dryRun });
 
-  console.log(`\n✅ Configured ${event} event to play: ${soundPath}`);
-  if (enableDesktopNotify) {
-    console.log(`✅ Desktop notifications enabled`);
+  if (!result) {
+    throw new ValidationError(`No rule ${id} in the ${scope} scope. See "ccnudge rules list --scope ${scope}"`);
+  }
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, rule: removed, dryRun: true, files: result.files };
   }
-  console.log(`Settings saved to: ${getSettingsPath()}`);
+  log.info(`✅ Removed rule ${describeProjectRule(removed)} (${scope} scope)`);
+  return { scope, rule: removed };
 }
 
-async function enableNotifications(event = null) {
-  const backup = await getBackupConfig();
+// The rules of the layers (see readLayers), in the order hooks try them:
+// closest scope first. Each has its number within its scope.
+function collectRules(layers) {
+  return [...layers].reverse().flatMap(layer => (layer.config.rules || []).map((rule, index) => ({
+    scope: layer.scope,
+    configPath: layer.configPath,
+    number: index + 1,
+    rule,
+    description: describeProjectRule(rule)
+  })));
+}
 
-  if (!backup) {
-    console.log('No previous configuration found. Please run "ccnudge setup" first.');
-    return;
+// Lists the project rules, and which one applies to `options.cwd` (the
+// current directory by default)
+async function listRules(options = {}) {
+  const log = getLogger(options);
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const rules = collectRules(await readLayers(options.scope));
+  const found = await findRule(rules.map(entry => entry.rule), null, cwd);
+  const match = found ? rules[found.index] : null;
+
+  log.info('\nProject rules (the first match wins):\n');
+  if (rules.length === 0) {
+    log.info('  No rules yet. Add one with "ccnudge rules add <glob> --sound <sound>".');
+  }
+  for (const entry of rules) {
+    log.info(`  ${entry.number}. ${entry.description} [${entry.scope}]${entry === match ? '  ← here' : ''}`);
   }
+  log.info(`\n${match ? `${cwd} uses rule ${match.number} of the ${match.scope} scope.` : `No rule matches ${cwd}; events use their own settings.`}\n`);
 
-  const settings = await readSettings();
+  return {
+    cwd,
+    rules: rules.map(({ scope, configPath, number, rule }) => ({ scope, configPath, number, ...rule })),
+    match: match ? { scope: match.scope, number: match.number } : null
+  };
+}
+
+// The scope as it is now, in the shape of a snapshot
+async function readCurrentState(scope) {
+  const settings = await readSettings(scope);
+  return { config: await loadScopeConfig(scope), hooks: getManagedHooks(settings), settings };
+}
 
-  if (!settings.hooks) {
-    settings.hooks = {};
+function formatTime(iso) {
+  const date = new Date(iso);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Lists the snapshots of a scope, newest first, each with the change that
+// came after it (the next snapshot, or the current state for the newest)
+async function listHistory(options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const snapshots = await listSnapshots(scope);
+  const current = await readCurrentState(scope);
+
+  const entries = snapshots.map((snapshot, i) => ({
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    events: Object.keys((snapshot.config && snapshot.config.events) || {}),
+    settings: Boolean(snapshot.settings),
+    changes: summarizeChanges(snapshot, snapshots[i + 1] || current)
+  })).reverse();
+
+  log.info(`\nHistory of the ${scope} scope (${getHistoryDir(scope)}):\n`);
+  if (entries.length === 0) {
+    log.info('  No snapshots yet. One is taken before every change ccnudge makes.');
+  }
+  for (const entry of entries) {
+    const events = `${entry.events.length} event(s)${entry.settings ? ' + settings.json' : ''}`;
+    const changes = entry.changes.length > 0 ? `then ${entry.changes.join(', ')}` : 'unchanged since';
+    log.info(`  #${String(entry.id).padEnd(4)} ${formatTime(entry.createdAt)}  ${events.padEnd(27)} ${changes}`);
   }
+  if (entries.length > 0) {
+    log.info('\nRestore one with "ccnudge rollback <id>".');
+  }
+  log.info('');
 
-  // If specific event, restore only that event
-  if (event) {
-    if (backup[event]) {
-      settings.hooks[event] = backup[event];
-      await writeSettings(settings);
-      console.log(`✅ ${event} event notifications enabled`);
-    } else {
-      console.log(`No backup found for ${event} event.`);
+  return { scope, historyDir: getHistoryDir(scope), snapshots: entries };
+}
+
+// Brings a scope back to a snapshot: its ccnudge config and ccnudge hooks, or
+// with `options.settings` the whole settings file. The state it replaces is
+// recorded first, so a rollback can be rolled back too.
+async function rollbackConfiguration(id, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const snapshot = await readSnapshot(scope, id);
+
+  if (options.settings && !snapshot.settings) {
+    throw new ValidationError(`Snapshot #${snapshot.id} has no copy of settings.json. Set "history": { "settings": true } in the ccnudge config to keep one`);
+  }
+
+  const changes = summarizeChanges(await readCurrentState(scope), snapshot);
+  const restore = (settings, legacyCommands) => {
+    if (options.settings) {
+      for (const key of Object.keys(settings)) {
+        delete settings[key];
+      }
+      Object.assign(settings, snapshot.settings);
+      return;
+    }
+
+    const events = new Set([...getManagedEvents(settings, legacyCommands), ...Object.keys(snapshot.hooks)]);
+    for (const event of events) {
+      setCcnudgeGroups(settings, event, snapshot.hooks[event] || [], legacyCommands);
+    }
+  };
+  const result = {
+    scope,
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    changes,
+    settings: Boolean(options.settings),
+    configPath: getConfigPath(scope),
+    settingsPath: getSettingsPath(scope)
+  };
+
+  if (options.dryRun) {
+    const legacyCommands = await readLegacyCommands(scope);
+    const settings = await previewSettings(scope, settings => restore(settings, legacyCommands));
+    const files = [
+      describeChange(getConfigPath(scope), await readConfigContent(scope), formatConfig({ ...snapshot.config, version: CONFIG_VERSION })),
+      describeChange(settings.path, settings.before, settings.after)
+    ].filter(Boolean);
+    reportDryRun(log, { files });
+    return { ...result, dryRun: true, files };
+  }
+
+  await withConfigLock(scope, async () => {
+    const legacyCommands = await readLegacyCommands(scope);
+    await saveScopeConfig(snapshot.config, scope);
+    await updateSettings(scope, settings => restore(settings, legacyCommands));
+    await removeBackup(scope);
+  });
+
+  log.info(`✅ Rolled the ${scope} scope back to #${snapshot.id} (${formatTime(snapshot.createdAt)})${changes.length > 0 ? `: ${changes.join(', ')}` : ''}`);
+  if (options.settings) {
+    log.info(`✅ Restored the whole of ${getSettingsPath(scope)}`);
+  }
+  log.info('Undo it with the newest snapshot in "ccnudge history".');
+
+  return result;
+}
+
+// Plays a sound like a hook would. `options.player` tries another player on
+// Linux without changing the config, `options.volume` (0-100) a volume.
+async function testSound(soundPath, options = {}) {
+  const log = getLogger(options);
+  if (options.player) {
+    validatePlayerName(options.player);
+  }
+  validateVolume(options.volume);
+  let volume = options.volume !== undefined ? options.volume : null;
+
+  if (!soundPath) {
+    // Test the configured Stop sound, or the default one
+    const config = await loadScopeConfig(resolveScope(options.scope));
+    const stop = getEventConfig(config, 'Stop');
+
+    if (stop.sound) {
+      log.info('Testing configured sound...');
+      soundPath = stop.sound;
+      if (volume === null && typeof stop.volume === 'number') {
+        volume = stop.volume;
+      }
+    }
+  }
+
+  const sound = soundPath || DEFAULT_SOUND;
+  soundPath = await resolveSound(soundPath);
+
+  log.info(`Testing sound: ${soundPath}${volume !== null ? ` at ${volume}%` : ''}`);
+  const player = options.player || (await loadEffectiveConfig()).player;
+
+  let playback;
+  try {
+    playback = await playSound(soundPath, { player, volume });
+  } catch (error) {
+    if (error instanceof PlaybackError) {
+      throw error;
     }
+    throw new PlaybackError(`Failed to play sound: ${error.message}`, { sound: soundPath });
+  }
+
+  if (playback.player) {
+    log.info(`Played with ${playback.player}${playback.converted ? ` (converted to ${playback.file})` : ''}`);
+  }
+  if (volume !== null && playback.volume === null) {
+    log.warn(`${playback.player || getPlatformConfig().command} can't change the volume, so it played at full volume`);
+  }
+  log.info('✅ Sound played successfully!');
+
+  return { sound, soundPath, played: true, player: playback.player, converted: playback.converted, volume: playback.volume };
+}
+
+// Describes the Linux sound players: which are installed and which one hooks use
+async function listPlayers(options = {}) {
+  const log = getLogger(options);
+  const platform = os.platform();
+
+  if (platform !== 'linux') {
+    const command = getPlatformConfig().command;
+    log.info(`Sounds are played with ${command} on ${platform}.`);
+    return { platform, player: command, source: 'platform', configured: null, players: [] };
+  }
+
+  const { player: configured = null } = await loadEffectiveConfig();
+  const current = await getPlayer(configured);
+  const players = getPlayers().map(({ value, description }) => ({
+    name: value,
+    description,
+    installed: current.available.includes(value)
+  }));
+
+  log.info('\nSound players:\n');
+  for (const player of players) {
+    const marker = player.name === current.name ? '●' : player.installed ? '○' : '✗';
+    log.info(`  ${marker} ${player.name} - ${player.description}${player.installed ? '' : ' (not installed)'}`);
+  }
+  log.info('');
+
+  if (!current.name) {
+    log.warn('No sound player is installed, so hooks can\'t play sounds.');
+  } else if (current.source === 'config') {
+    log.info(`Using ${current.name} (set in the ccnudge config; "ccnudge player auto" to detect)`);
   } else {
-    // Restore all events
-    Object.assign(settings.hooks, backup);
-    await writeSettings(settings);
-    const eventCount = Object.keys(backup).length;
-    console.log(`✅ Notifications enabled for ${eventCount} event(s)`);
+    log.info(`Using ${current.name} (detected; choose another with "ccnudge player <name>")`);
+  }
+  if (configured && current.source !== 'config') {
+    log.warn(`The configured player ${configured} is not installed`);
   }
+
+  return { platform, player: current.name, source: current.source, configured, players };
 }
 
-async function disableNotifications(event = null) {
-  const settings = await readSettings();
-  const eventNames = AVAILABLE_EVENTS.map(e => e.value);
+// Makes hooks use a player, or with "auto" go back to detecting one
+async function choosePlayer(name, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+
+  if (name === 'auto') {
+    await setPlayer(null, scope);
+    await resetDetectedPlayer();
+    const current = await getPlayer((await loadEffectiveConfig()).player);
+    log.info(`✅ Detecting the sound player again: using ${current.name || 'none (no player installed)'}`);
+    return { scope, player: current.name, source: current.source };
+  }
+
+  validatePlayerName(name);
+  const available = await detectPlayers();
+  if (!available.includes(name)) {
+    throw new ValidationError(`${name} is not installed (found: ${available.join(', ') || 'no players'})`);
+  }
 
-  // Find all configured ccnudge events
-  const configuredEvents = eventNames.filter(e => settings.hooks && settings.hooks[e]);
+  await setPlayer(name, scope);
+  log.info(`✅ Hooks play sounds with ${name} (${scope} scope)`);
+  return { scope, player: name, source: 'config' };
+}
 
-  if (configuredEvents.length === 0) {
-    console.log('No notifications currently configured.');
-    return;
+async function testDesktopNotification(options = {}) {
+  const log = getLogger(options);
+  log.info('Testing desktop notification...');
+
+  await new Promise((resolve, reject) => {
+    notifier.notify({
+      title: 'CCNudge',
+      message: 'Claude Code has finished',
+      sound: false, // Don't play sound here
+      wait: false
+    }, (error) => error ? reject(new PlaybackError(`Failed to send desktop notification: ${error.message}`)) : resolve());
+  });
+
+  log.info('✅ Desktop notification sent!');
+  return { sent: true };
+}
+
+// Says a message template the way a hook would, filled in for the current
+// directory. Throws a PlaybackError when no speech engine is installed.
+async function testSpeech(template, options = {}) {
+  const log = getLogger(options);
+  validateSpeech({ speak: template, voice: options.voice, rate: options.rate });
+  validateVolume(options.volume);
+
+  const text = renderTemplate(template, buildTemplateVars(options.event || 'Stop', {}));
+  log.info(`Saying: ${text}`);
+  const { engine } = await speak(text, { voice: options.voice, rate: options.rate, volume: options.volume });
+
+  log.info(`✅ Spoken with ${engine}`);
+  return { text, engine };
+}
+
+// Sends a test message to the given channels (all defined channels if none
+// are given) and waits for the result, so failures are visible right away
+async function testChannels(names = null, options = {}) {
+  const log = getLogger(options);
+  const { channels } = await loadEffectiveConfig();
+  const targets = names && names.length > 0 ? names : Object.keys(channels);
+
+  if (targets.length === 0) {
+    log.info('No channels defined. Add them under "channels" in the ccnudge config or during setup.');
+    return [];
   }
 
-  // Backup current config before disabling
-  await backupCurrentConfig();
+  const message = {
+    title: 'CCNudge',
+    body: 'Test notification from ccnudge',
+    vars: { hook_event_name: 'Test', project: path.basename(process.cwd()), cwd: process.cwd() }
+  };
 
-  // If specific event, disable only that event
-  if (event) {
-    if (settings.hooks && settings.hooks[event]) {
-      delete settings.hooks[event];
-      console.log(`✅ ${event} event notifications disabled (configuration saved for re-enabling)`);
+  const results = [];
+  for (const name of targets) {
+    log.info(`Testing channel ${name}...`);
+
+    let result;
+    if (!channels[name]) {
+      result = { channel: name, ok: false, error: 'Channel is not defined in the ccnudge config' };
     } else {
-      console.log(`No notification configured for ${event} event.`);
-      return;
-    }
-  } else {
-    // Disable all ccnudge events
-    for (const evt of configuredEvents) {
-      delete settings.hooks[evt];
+      try {
+        result = await sendToChannel(name, channels[name], message);
+      } catch (error) {
+        result = { channel: name, ok: false, error: error.message };
+      }
     }
-    console.log(`✅ Notifications disabled for ${configuredEvents.length} event(s) (configuration saved for re-enabling)`);
-  }
 
-  // Clean up empty hooks object
-  if (settings.hooks && Object.keys(settings.hooks).length === 0) {
-    delete settings.hooks;
+    if (result.ok && result.path) {
+      log.info(`✅ ${name}: written to ${result.path}`);
+    } else if (result.ok) {
+      log.info(`✅ ${name}: HTTP ${result.statusCode} (${result.duration}ms)`);
+    } else {
+      log.info(`❌ ${name}: ${result.error}`);
+    }
+    results.push(result);
   }
 
-  await writeSettings(settings);
+  return results;
 }
 
-async function testSound(soundPath) {
+// Lists the sounds in the index (see catalog.js) with their length and size.
+// `options.search` keeps the sounds whose name or path has every word of it,
+// `options.library` only lists the sounds added with addSound and importSounds.
+async function listSounds(options = {}) {
+  const log = getLogger(options);
   const config = getPlatformConfig();
+  const platform = os.platform();
+  const roots = options.library ? [getLibraryDir()] : getSoundRoots();
 
-  if (!soundPath) {
-    // Test the configured sound from settings
-    const settings = await readSettings();
-    const stopHook = settings?.hooks?.Stop?.[0]?.hooks;
-
-    if (stopHook && stopHook.length > 0) {
-      console.log('Testing configured sound...');
-
-      // Find and play the sound command
-      for (const hook of stopHook) {
-        if (hook.type === 'command' && (hook.command.includes('afplay') ||
-                                         hook.command.includes('paplay') ||
-                                         hook.command.includes('Media.SoundPlayer'))) {
-          await execAsync(hook.command);
-        }
-      }
+  const found = filterSounds(await findSounds({ roots, refresh: true }), options.search);
+  const sounds = (await describeSounds(found)).map(({ id, ...sound }) => sound);
+  const result = { platform, soundsPath: config.soundsPath, roots, sounds };
 
-      console.log('✅ Sound played successfully!');
-      return;
+  log.info(options.library ? `\nSounds in your library (${roots[0]}):\n` : `\nAvailable sounds on ${platform}:\n`);
+
+  if (sounds.length === 0) {
+    if (options.search) {
+      log.info(`No sounds match "${options.search}".`);
+    } else if (options.library) {
+      log.info('No sounds yet. Add one with: ccnudge sounds add <file> --name <name>');
+      return result;
     } else {
-      // No configured sound, use default
-      soundPath = config.defaultSound;
+      log.info('No sounds found.');
+    }
+    log.info(`Searched: ${roots.join(', ')}`);
+    log.info(`You can use custom sound files by providing the full path.`);
+    return result;
+  }
+
+  const width = Math.max(...sounds.map(sound => sound.name.length));
+  for (const root of roots) {
+    const inRoot = sounds.filter(sound => sound.root === root);
+    if (inRoot.length === 0) {
+      continue;
     }
-  } else if (!path.isAbsolute(soundPath)) {
-    // Check if it's a system sound name
-    const systemSoundPath = path.join(config.soundsPath, soundPath + config.extension);
+
+    log.info(`  ${root}`);
+    inRoot.forEach(sound => {
+      log.info(`    • ${sound.name.padEnd(width)}  ${formatDuration(sound.duration).padStart(6)}  ${formatSize(sound.size).padStart(7)}  ${path.relative(root, sound.path)}`);
+    });
+    log.info('');
+  }
+
+  log.info(`Use a name with --sound, or pick one during interactive setup`);
+  return result;
+}
+
+// Copies a sound file into the library (~/.ccnudge/sounds), after checking
+// that it can be played here. `options.name` is what to call it (default:
+// the file name); `options.force` replaces a sound of that name.
+async function addSound(file, options = {}) {
+  const log = getLogger(options);
+  const { player } = await loadEffectiveConfig();
+
+  const sound = await addToLibrary(file, { name: options.name, force: options.force, player });
+
+  log.info(`✅ ${sound.replaced ? 'Replaced' : 'Added'} ${sound.name} (${formatDuration(sound.duration)}, ${formatSize(sound.size)})`);
+  log.info(`Use it with: ccnudge setup --event Stop --sound ${sound.name}`);
+  return sound;
+}
+
+// Imports every playable sound of a directory or .zip file as a pack. Its
+// sounds are named "<pack>/<file>", or just "<file>" when that is unique.
+async function importSounds(source, options = {}) {
+  const log = getLogger(options);
+  const { player } = await loadEffectiveConfig();
+
+  const result = await importPack(source, { name: options.name, force: options.force, player });
+
+  for (const skipped of result.skipped) {
+    log.warn(`Skipped ${skipped.file}: ${skipped.reason}`);
+  }
+  log.info(`✅ Imported ${result.sounds.length} sound(s) as ${result.pack}`);
+  log.info(`List them with: ccnudge sounds list ${result.pack}`);
+  return result;
+}
+
+// Events in any scope whose sound is one of `files`
+async function findSoundUsers(files) {
+  const users = [];
+
+  for (const { value: scope } of getScopes()) {
+    let config;
     try {
-      await fs.access(systemSoundPath);
-      soundPath = systemSoundPath;
+      config = await loadScopeConfig(scope);
     } catch {
-      // Try as-is (might be a relative path)
-      const absolutePath = path.resolve(soundPath);
-      try {
-        await fs.access(absolutePath);
-        soundPath = absolutePath;
-      } catch {
-        throw new Error(`Sound file not found: ${soundPath}`);
+      continue;
+    }
+
+    for (const [event, options] of Object.entries(config.events || {})) {
+      const targets = [[null, options], ...Object.entries(options.matchers || {})];
+      for (const [matcher, target] of targets) {
+        const soundPath = target.sound && await resolveSound(target.sound).catch(() => null);
+        if (soundPath && files.includes(soundPath)) {
+          users.push({ scope, event, matcher });
+        }
       }
     }
   }
+  return users;
+}
+
+// Removes a sound or a whole pack from the library. Sounds still used by an
+// event are only removed with `options.force`; their hooks then fall back to
+// the default sound.
+async function removeSound(name, options = {}) {
+  const log = getLogger(options);
+  const entry = await findInLibrary(name);
+  const usedBy = await findSoundUsers(entry.files);
+
+  if (usedBy.length > 0 && !options.force) {
+    const events = usedBy.map(user => `${user.event}${user.matcher ? ` (${user.matcher})` : ''} in ${user.scope} scope`);
+    throw new ValidationError(`${name} is used by ${events.join(', ')}. Use --force to remove it anyway`, { usedBy });
+  }
 
-  console.log(`Testing sound: ${soundPath}`);
-  const command = buildSoundCommand(soundPath);
+  await removeFromLibrary(entry);
 
-  try {
-    await execAsync(command);
-    console.log('✅ Sound played successfully!');
-  } catch (error) {
-    throw new Error(`Failed to play sound: ${error.message}`);
+  const warnings = [];
+  for (const scope of new Set(usedBy.map(user => user.scope))) {
+    warnings.push(...(await applyConfig(scope)).warnings);
   }
+  printWarnings(log, warnings);
+
+  log.info(`✅ Removed ${entry.pack ? `pack ${name} (${entry.files.length} sound(s))` : name} from the library`);
+  return { name, pack: entry.pack, files: entry.files, usedBy, warnings };
 }
 
-async function testDesktopNotification() {
-  console.log('Testing desktop notification...');
+function describeTarget(matcher, target) {
+  return {
+    matcher,
+    sound: target.sound || null,
+    speak: target.speak || null,
+    volume: typeof target.volume === 'number' ? target.volume : null,
+    desktop: Boolean(target.desktop),
+    channels: target.channels || [],
+    body: target.body || null
+  };
+}
 
-  notifier.notify({
-    title: 'CCNudge',
-    message: 'Claude Code has finished',
-    sound: false, // Don't play sound here
-    wait: false
-  });
+// Reads every scope (or just the requested one). Claude Code runs the hooks of
+// all scopes together, so the effective configuration is their union.
+async function readLayers(scope) {
+  const scopes = scope ? [resolveScope(scope)] : getScopes().map(s => s.value);
+  const layers = [];
+  const seenPaths = new Set();
+
+  for (const name of scopes) {
+    const settingsPath = getSettingsPath(name);
+
+    // Running from the home directory makes the project scope the user scope
+    if (seenPaths.has(settingsPath)) {
+      continue;
+    }
+    seenPaths.add(settingsPath);
+
+    const config = await loadScopeConfig(name);
 
-  console.log('✅ Desktop notification sent!');
+    layers.push({
+      scope: name,
+      settingsPath,
+      configPath: getConfigPath(name),
+      config,
+      settings: await readSettings(name),
+      drift: await findDrift(name, config)
+    });
+  }
+
+  return layers;
 }
 
-async function listSounds() {
-  const config = getPlatformConfig();
-  const platform = os.platform();
+function describeQuietHours(quietHours) {
+  if (!quietHours) {
+    return null;
+  }
 
-  console.log(`\nAvailable system sounds on ${platform}:\n`);
+  try {
+    const schedule = parseQuietHours(quietHours);
+    const state = getQuietState(quietHours);
+
+    return {
+      active: state.active,
+      muted: state.active ? state.muted : [],
+      rules: schedule.rules.map(describeRule)
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
 
+function describeMinDuration(eventConfig, tracksPrompts) {
   try {
-    const files = await fs.readdir(config.soundsPath);
-    const soundFiles = files.filter(f => f.endsWith(config.extension));
+    const minDuration = parseMinDuration(eventConfig);
+    if (!minDuration) {
+      return null;
+    }
 
-    if (soundFiles.length === 0) {
-      console.log('No system sounds found.');
-      console.log(`You can use custom sound files by providing the full path.`);
-      return soundFiles;
+    // Without a tracker hook there is no prompt time to measure from
+    return { seconds: minDuration / 1000, ignored: !tracksPrompts };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function describeRateLimits(event, eventConfig) {
+  try {
+    const limits = parseRateLimits(event, eventConfig);
+    if (!hasRateLimits(limits)) {
+      return null;
     }
 
-    soundFiles.forEach(file => {
-      const name = path.basename(file, config.extension);
-      const fullPath = path.join(config.soundsPath, file);
-      console.log(`  • ${name}`);
-      console.log(`    ${fullPath}\n`);
-    });
+    return {
+      sound: limits.sound ? limits.sound / 1000 : null,
+      desktop: !limits.coalesce && limits.desktop ? limits.desktop / 1000 : null,
+      coalesce: limits.coalesce ? limits.coalesce.window / 1000 : null
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
 
-    console.log(`\nUsage: Select from the list during interactive setup`);
-    return soundFiles;
+// Collects what is set up in every scope. Returns a plain object; pass a
+// logger to also get the human readable report.
+async function getStatus(options = {}) {
+  const log = getLogger(options);
+  const layers = await readLayers(options.scope);
+  const warnings = [];
+
+  // Options evaluated by the hooks at runtime, merged across scopes
+  let config = { events: {} };
+  try {
+    config = await loadEffectiveConfig();
   } catch (error) {
-    console.log(`Could not access system sounds directory: ${config.soundsPath}`);
-    console.log(`You can use custom sound files by providing the full path.`);
-    return [];
+    warnings.push(error.message);
+  }
+
+  // Group configured events across layers, keeping track of where each comes from
+  const configuredEvents = new Map();
+  const disabledEvents = new Map();
+  for (const layer of layers) {
+    for (const [event, eventOptions] of Object.entries(layer.config.events || {})) {
+      const targets = [eventOptions, ...Object.values(eventOptions.matchers || {})];
+      if (!targets.some(hasNotification)) {
+        continue;
+      }
+
+      const events = isEnabled(eventOptions) ? configuredEvents : disabledEvents;
+      if (!events.has(event)) {
+        events.set(event, []);
+      }
+      events.get(event).push(layer);
+    }
+  }
+
+  const tracksPrompts = layers.some(layer => getManagedEvents(layer.settings).includes('UserPromptSubmit'));
+  const rules = collectRules(layers);
+  const currentRule = await findRule(rules.map(entry => entry.rule), null, process.cwd());
+
+  const status = {
+    enabled: configuredEvents.size > 0,
+    profiles: layers
+      .filter(layer => layer.config.activeProfile)
+      .map(layer => ({ scope: layer.scope, name: layer.config.activeProfile })),
+    events: [...configuredEvents].map(([event, sources]) => {
+      const eventConfig = getEventConfig(config, event);
+
+      return {
+        event,
+        sources: sources.map((layer) => {
+          const eventOptions = layer.config.events[event];
+          // Each matcher has its own sound and desktop setting
+          const targets = Object.entries(eventOptions.matchers || {}).map(([matcher, target]) => describeTarget(matcher, target));
+          if (hasNotification(eventOptions)) {
+            targets.unshift(describeTarget(null, eventOptions));
+          }
+          return { scope: layer.scope, configPath: layer.configPath, targets };
+        }),
+        quietHours: describeQuietHours(eventConfig.quietHours),
+        rateLimit: describeRateLimits(event, eventConfig),
+        minDuration: describeMinDuration(eventConfig, tracksPrompts)
+      };
+    }),
+    disabled: layers
+      .map(layer => ({
+        scope: layer.scope,
+        events: [...disabledEvents].filter(([, sources]) => sources.includes(layer)).map(([event]) => event)
+      }))
+      .filter(entry => entry.events.length > 0),
+    // Events from a newer Claude Code (or typos), which ccnudge can't describe
+    unknown: layers
+      .map(layer => ({
+        scope: layer.scope,
+        settingsPath: layer.settingsPath,
+        events: [...new Set([...Object.keys(layer.settings.hooks || {}), ...Object.keys(layer.config.events || {})])]
+          .filter(event => !isKnownEvent(event))
+      }))
+      .filter(entry => entry.events.length > 0),
+    // Hooks edited by hand, or a config that was copied in but not applied yet
+    drift: layers
+      .filter(layer => layer.drift.length > 0)
+      .map(layer => ({ scope: layer.scope, settingsPath: layer.settingsPath, configPath: layer.configPath, events: layer.drift })),
+    // The rule hooks in this directory use is marked `here`
+    rules: rules.map((entry, index) => ({
+      scope: entry.scope,
+      number: entry.number,
+      description: entry.description,
+      here: Boolean(currentRule && currentRule.index === index)
+    })),
+    channels: Object.entries(config.channels || {}).map(([name, channel]) => ({
+      name,
+      type: channel.type,
+      target: channel.type === 'log' ? getLogPath(channel) : channel.url
+    })),
+    player: null,
+    warnings
+  };
+
+  if (os.platform() === 'linux' && status.events.some(entry => entry.sources.some(source => source.targets.some(target => target.sound)))) {
+    const player = await getPlayer(config.player);
+    status.player = { name: player.name, source: player.source };
+    if (!player.name) {
+      warnings.push('No sound player is installed (paplay, pw-play, aplay, ffplay, mpv or play), so sounds are not played');
+    } else if (config.player && player.source !== 'config') {
+      warnings.push(`The configured player ${config.player} is not installed, using ${player.name}`);
+    }
   }
+
+  printStatus(log, status);
+  return status;
 }
 
-async function getStatus() {
-  const settings = await readSettings();
-  const backup = await getBackupConfig();
-  const eventNames = AVAILABLE_EVENTS.map(e => e.value);
+function printTarget(log, target) {
+  if (target.sound) {
+    log.info(`  Sound: ${target.sound}`);
+  }
+  if (target.speak) {
+    log.info(`  Speaks: ${target.speak}`);
+  }
+  if (target.volume !== null) {
+    log.info(`  Volume: ${target.volume}%`);
+  }
+  log.info(`  Desktop Notifications: ${target.desktop ? '✅ Enabled' : '❌ Disabled'}`);
+  if (target.channels.length > 0) {
+    log.info(`  Channels: ${target.channels.join(', ')}`);
+  }
+  if ((target.desktop || target.channels.length > 0) && target.body) {
+    log.info(`  Message: ${target.body}`);
+  }
+}
 
-  // Find configured events
-  const configuredEvents = eventNames.filter(e => settings?.hooks?.[e]);
+function printEventOptions(log, entry) {
+  const { quietHours, rateLimit, minDuration } = entry;
+
+  if (quietHours && quietHours.error) {
+    log.info(`  Quiet Hours: ⚠️  Invalid (${quietHours.error})`);
+  } else if (quietHours) {
+    log.info(quietHours.active
+      ? `  Quiet Hours: 🌙 Active now (${quietHours.muted.join(' + ')} muted)`
+      : '  Quiet Hours: Not active right now');
+    for (const rule of quietHours.rules) {
+      log.info(`    - ${rule}`);
+    }
+  }
 
-  console.log('\n📊 CCNudge Status:\n');
+  if (rateLimit && rateLimit.error) {
+    log.info(`  Rate Limit: ⚠️  Invalid (${rateLimit.error})`);
+  } else if (rateLimit) {
+    const parts = [];
+    if (rateLimit.sound) {
+      parts.push(`sound at most every ${rateLimit.sound}s`);
+    }
+    if (rateLimit.coalesce) {
+      parts.push(`desktop bursts collapsed over ${rateLimit.coalesce}s`);
+    } else if (rateLimit.desktop) {
+      parts.push(`desktop at most every ${rateLimit.desktop}s`);
+    }
+    log.info(`  Rate Limit: ${parts.join(', ')}`);
+  }
 
-  if (configuredEvents.length > 0) {
-    console.log(`Status: ✅ ENABLED for ${configuredEvents.length} event(s)\n`);
+  if (minDuration && minDuration.error) {
+    log.info(`  Minimum Duration: ⚠️  Invalid (${minDuration.error})`);
+  } else if (minDuration) {
+    log.info(`  Minimum Duration: ${minDuration.seconds}s`);
+    if (minDuration.ignored) {
+      log.info('    ⚠️  No ccnudge UserPromptSubmit hook records prompt times, so this is ignored (run "ccnudge apply")');
+    }
+  }
+}
+
+function printStatus(log, status) {
+  printWarnings(log, status.warnings);
+  log.info('\n📊 CCNudge Status:\n');
+
+  for (const profile of status.profiles) {
+    log.info(`Profile: ${profile.name} (${profile.scope} scope)`);
+  }
+  if (status.profiles.length > 0) {
+    log.info('');
+  }
 
-    for (const event of configuredEvents) {
-      console.log(`Event: ${event}`);
-      const hooks = settings.hooks[event][0]?.hooks || [];
+  if (status.events.length > 0) {
+    log.info(`Status: ✅ ENABLED for ${status.events.length} event(s)\n`);
 
-      // Find sound
-      const soundHook = hooks.find(h =>
-        h.command?.includes('afplay') ||
-        h.command?.includes('paplay') ||
-        h.command?.includes('Media.SoundPlayer')
-      );
+    for (const entry of status.events) {
+      log.info(`Event: ${entry.event}`);
 
-      if (soundHook) {
-        // Extract just the sound file path
-        const match = soundHook.command.match(/\/[^\s]+\.(aiff|wav|mp3|oga)/);
-        console.log(`  Sound: ${match ? match[0] : soundHook.command}`);
+      for (const source of entry.sources) {
+        log.info(`  From: ${source.scope} (${source.configPath})`);
+        for (const target of source.targets) {
+          if (target.matcher) {
+            log.info(`  Matcher: ${target.matcher}`);
+          }
+          printTarget(log, target);
+        }
       }
 
-      // Check for desktop notification
-      const hasDesktopNotify = hooks.some(h =>
-        h.command?.includes('osascript') ||
-        h.command?.includes('notify-send') ||
-        h.command?.includes('New-BurntToastNotification')
-      );
+      printEventOptions(log, entry);
+      log.info('');
+    }
+  }
+
+  for (const entry of status.disabled) {
+    log.info(`Status: ⏸️  DISABLED in ${entry.scope} scope (${entry.events.length} event(s) can be re-enabled with "ccnudge start --scope ${entry.scope}")`);
+    log.info(`Events: ${entry.events.join(', ')}\n`);
+  }
+  if (status.events.length === 0 && status.disabled.length === 0) {
+    log.info('Status: ❌ NOT CONFIGURED (run "ccnudge setup" to get started)\n');
+  }
+
+  for (const entry of status.unknown) {
+    log.info(`❔ Unknown event(s) in the ${entry.scope} scope: ${entry.events.join(', ')}`);
+    log.info(`   ccnudge doesn't know them (a newer Claude Code, or a typo in ${entry.settingsPath}) and leaves their hooks as they are.\n`);
+  }
+
+  for (const entry of status.drift) {
+    log.warn(`${entry.settingsPath} does not match ${entry.configPath} (${entry.events.join(', ')})`);
+    log.info(`   Run "ccnudge apply --scope ${entry.scope}" to update the hooks.\n`);
+  }
 
-      console.log(`  Desktop Notifications: ${hasDesktopNotify ? '✅ Enabled' : '❌ Disabled'}`);
-      console.log('');
+  if (status.rules.length > 0) {
+    log.info('Project Rules:');
+    for (const rule of status.rules) {
+      log.info(`  ${rule.number}. ${rule.description} [${rule.scope}]${rule.here ? '  ← this directory' : ''}`);
     }
-  } else if (backup) {
-    const backupEvents = Object.keys(backup);
-    console.log(`Status: ⏸️  DISABLED (${backupEvents.length} event(s) can be re-enabled with "ccnudge start")`);
-    console.log(`Events: ${backupEvents.join(', ')}\n`);
-  } else {
-    console.log('Status: ❌ NOT CONFIGURED (run "ccnudge setup" to get started)\n');
+    log.info('');
+  }
+
+  if (status.channels.length > 0) {
+    log.info('Channels:');
+    for (const channel of status.channels) {
+      log.info(`  ${channel.name} (${channel.type}) ${channel.target}`);
+    }
+    log.info('');
+  }
+
+  if (status.player && status.player.name) {
+    log.info(`Sound Player: ${status.player.name} (${status.player.source === 'config' ? 'from the ccnudge config' : 'detected'})\n`);
   }
 }
 
-async function removeNotification(event) {
-  const settings = await readSettings();
+// Runs the `ccnudge doctor` checks and reports each one with its fix
+async function runDoctor(options = {}) {
+  const log = getLogger(options);
+  const icons = { ok: '✅', warn: '⚠️ ', fail: '❌' };
 
-  if (!settings.hooks || !settings.hooks[event]) {
-    console.log(`No notification configured for ${event} event.`);
-    return;
+  log.info('\n🩺 CCNudge Doctor\n');
+  const report = await diagnose({ run: options.run });
+
+  for (const item of report.checks) {
+    log.info(`${icons[item.status]} ${item.title}: ${item.message}`);
+    if (item.fix) {
+      log.info(`   → ${item.fix}`);
+    }
   }
 
-  delete settings.hooks[event];
+  const { ok, warn, fail } = report.summary;
+  log.info(`\n${ok} ok, ${warn} warning(s), ${fail} problem(s)\n`);
+  if (!report.ran) {
+    log.info('Run "ccnudge doctor --run" to also run the hooks (they play sounds and send notifications, channels included)\n');
+  }
+  return report;
+}
 
-  // Clean up empty hooks object
-  if (Object.keys(settings.hooks).length === 0) {
-    delete settings.hooks;
+// Runs the hooks of an event with a payload like Claude Code's and reports
+// how each one did. `options.tool`, `options.type`, `options.cwd` and
+// `options.message` fill in the payload; `options.scope` only runs one
+// scope's hooks.
+async function simulateEvent(event, options = {}) {
+  const log = getLogger(options);
+  validateEventName(event);
+
+  const result = await simulateHooks(event, options);
+  const detail = result.payload.tool_name || result.payload.notification_type;
+  const subject = detail ? `${event} (${detail})` : event;
+  log.info(`\n▶️  Simulating ${subject} in ${result.payload.cwd}\n`);
+
+  if (result.hooks.length === 0) {
+    log.info(`  No hooks would run for ${subject}. Add one with "ccnudge setup".`);
+  }
+  for (const hook of result.hooks) {
+    const source = `[${hook.scope}${hook.matcher ? `, ${hook.matcher}` : ''}${hook.ccnudge ? '' : ', not ccnudge'}]`;
+    log.info(`  ${source} ${hook.command || hook.type}`);
+
+    if (hook.skipped) {
+      log.info(`     -  Skipped: ${hook.skipped}`);
+    } else if (hook.timedOut) {
+      log.info(`     ❌ Killed after ${hook.duration}ms (timeout)`);
+    } else if (hook.exitCode === 0) {
+      log.info(`     ✅ Exit 0 in ${hook.duration}ms`);
+    } else {
+      // Exit code 2 is how a hook blocks the tool call, prompt or stop
+      log.info(`     ❌ Exit ${hook.exitCode}${hook.exitCode === 2 ? ' (blocks; Claude is shown stderr)' : ''} in ${hook.duration}ms`);
+    }
+    if (hook.stderr) {
+      log.info(`     stderr: ${hook.stderr.split('\n').join('\n             ')}`);
+    }
   }
+  log.info('');
 
-  // Also remove backup
-  const backupPath = getBackupPath();
-  try {
-    await fs.unlink(backupPath);
-  } catch {
-    // Backup might not exist, that's fine
+  const failed = result.hooks.filter(hook => !hook.skipped && (hook.timedOut || hook.exitCode !== 0));
+  return { ...result, ok: failed.length === 0 };
+}
+
+async function removeNotification(event, options = {}) {
+  const log = getLogger(options);
+  const scope = resolveScope(options.scope);
+  const matcher = options.matcher !== undefined ? normalizeMatcher(options.matcher) : undefined;
+  const matcherInfo = getMatcherInfo(event);
+  const target = matcher !== undefined ? `${event} event (${matcher || `all ${matcherInfo ? matcherInfo.name : 'tools'}`})` : `${event} event`;
+
+  const result = await updateScopeConfig(scope, (config) => {
+    const entry = config.events && config.events[event];
+
+    if (!entry) {
+      return false;
+    }
+
+    if (matcher === undefined) {
+      delete config.events[event];
+      return;
+    }
+
+    if (matcher) {
+      if (!entry.matchers || !entry.matchers[matcher]) {
+        return false;
+      }
+      delete entry.matchers[matcher];
+      if (Object.keys(entry.matchers).length === 0) {
+        delete entry.matchers;
+      }
+    } else {
+      if (!hasNotification(entry)) {
+        return false;
+      }
+      clearNotification(entry);
+    }
+
+    // Drop events that have nothing left to set up
+    if (Object.keys(entry).every(key => key === 'enabled')) {
+      delete config.events[event];
+    }
+  }, { dryRun: options.dryRun });
+
+  if (!result) {
+    log.info(`No notification configured for ${target}.`);
+    return { scope, event, matcher: matcher === undefined ? null : matcher, removed: false };
+  }
+  if (result.dryRun) {
+    reportDryRun(log, result);
+    return { scope, event, matcher: matcher === undefined ? null : matcher, removed: false, dryRun: true, files: result.files };
   }
 
-  await writeSettings(settings);
-  console.log(`✅ Removed notification for ${event} event.`);
+  log.info(`✅ Removed notification for ${target}.`);
+  return { scope, event, matcher: matcher === undefined ? null : matcher, removed: true };
 }
 
 function getAvailableEvents() {
-  return AVAILABLE_EVENTS;
+  return getEventChoices();
+}
+
+function getAvailableScopes() {
+  return getScopes();
 }
 
 module.exports = {
   setupNotification,
+  setupNotifications,
   testSound,
   testDesktopNotification,
+  testSpeech,
+  testChannels,
   listSounds,
+  addSound,
+  importSounds,
+  removeSound,
+  listPlayers,
+  choosePlayer,
   removeNotification,
   enableNotifications,
   disableNotifications,
+  applyConfiguration,
+  exportConfiguration,
+  importConfiguration,
+  setupFromFile,
+  createProfile,
+  useProfile,
+  deleteProfile,
+  listProfiles,
+  addRule,
+  removeRule,
+  listRules,
+  listHistory,
+  rollbackConfiguration,
   getStatus,
-  getAvailableEvents
+  runDoctor,
+  simulateEvent,
+  getAvailableEvents,
+  getAvailableScopes,
+  getMatcherEvents,
+  getSuggestedSound,
+  supportsMatcher,
+  validateEventName,
+  validateMatcher,
+  validateSound,
+  validateMinDuration,
+  validateSpeech,
+  validateVolume,
+  validateChannelNames,
+  validateSetupOptions,
+  printDiffs,
+  isTimedEvent,
+  buildSoundCommand
 };
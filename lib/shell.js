@@ -0,0 +1,112 @@
+// Quoting for the command lines ccnudge generates. Sound paths and message
+// templates come from the user, so anything may be in them: spaces, quotes,
+// `$`, backticks, newlines. Every builder here has a parser that gets the
+// exact values back, which is how ccnudge reads its own hooks.
+
+// Quotes a single argument for a POSIX shell (Claude Code runs hooks with sh)
+function quotePosix(value) {
+  const text = String(value);
+
+  if (/^[\w@%+=:,./-]+$/.test(text)) {
+    return text;
+  }
+
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+function joinPosix(args) {
+  return args.map(quotePosix).join(' ');
+}
+
+// Splits a POSIX shell command line into words, stopping at an unquoted comment
+function splitPosix(command) {
+  const words = [];
+  let current = null;
+  let i = 0;
+
+  while (i < command.length) {
+    const char = command[i];
+
+    if (char === "'") {
+      const end = command.indexOf("'", i + 1);
+      const stop = end === -1 ? command.length : end;
+      current = (current || '') + command.slice(i + 1, stop);
+      i = stop + 1;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '\\' && i + 1 < command.length && '"\\$`'.includes(command[i + 1])) {
+          i++;
+        }
+        value += command[i];
+        i++;
+      }
+      current = (current || '') + value;
+      i++;
+    } else if (char === '\\' && i + 1 < command.length) {
+      current = (current || '') + command[i + 1];
+      i += 2;
+    } else if (/\s/.test(char)) {
+      if (current !== null) {
+        words.push(current);
+        current = null;
+      }
+      i++;
+    } else if (char === '#' && current === null) {
+      break;
+    } else {
+      current = (current || '') + char;
+      i++;
+    }
+  }
+
+  if (current !== null) {
+    words.push(current);
+  }
+
+  return words;
+}
+
+// PowerShell also ends a single-quoted string at the typographic quotes
+const POWERSHELL_QUOTE = /['‘’‚‛]/;
+
+// Quotes a value as a PowerShell string literal. Single-quoted strings
+// expand nothing; a quote inside is written twice.
+function quotePowerShell(value) {
+  return `'${String(value).replace(new RegExp(POWERSHELL_QUOTE.source, 'g'), quote => quote + quote)}'`;
+}
+
+// Reads the PowerShell string literal that starts at `start`. Returns
+// { value, end } or null when there is no single-quoted string there.
+function readPowerShellString(text, start = 0) {
+  if (!POWERSHELL_QUOTE.test(text[start] || '')) {
+    return null;
+  }
+
+  let value = '';
+  let i = start + 1;
+  while (i < text.length) {
+    if (POWERSHELL_QUOTE.test(text[i])) {
+      if (POWERSHELL_QUOTE.test(text[i + 1] || '')) {
+        value += text[i];
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+    value += text[i];
+    i++;
+  }
+
+  // Unterminated: take the rest, like splitPosix does
+  return { value, end: text.length };
+}
+
+module.exports = {
+  quotePosix,
+  joinPosix,
+  splitPosix,
+  quotePowerShell,
+  readPowerShellString
+};
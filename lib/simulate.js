@@ -0,0 +1,139 @@
+// Behind `ccnudge simulate <event>`: runs every hook configured for an event
+// the way Claude Code would, ccnudge's and everyone else's. The payload looks
+// like the one Claude Code sends for the event; the hooks are collected from
+// all settings files Claude Code reads, filtered by their matcher, and run
+// side by side in the project directory.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { getScopes, resolveScope, getSettingsPath, getProjectDir } = require('./scopes');
+const { readSettings } = require('./settings');
+const { isCcnudgeHook, normalizeMatcher, matchesMatcher } = require('./hooks');
+const { getMatcherInfo, getMatcherValue, getSampleFields } = require('./events');
+const { runCommand } = require('./doctor');
+const { ValidationError } = require('./errors');
+
+// Claude Code gives a hook 60 seconds unless it sets its own "timeout"
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const SESSION_ID = 'ccnudge-simulate';
+
+// `--tool` and `--type` fill in what the event's matchers are compared with
+function checkMatcherOption(event, option, field, value) {
+  const info = getMatcherInfo(event);
+  if (value && !(info && info.field === field)) {
+    throw new ValidationError(`--${option} is for events matched on ${field}, not ${event}`);
+  }
+}
+
+// Builds the JSON payload of an event. `options.tool` (PreToolUse and
+// PostToolUse), `options.type` (the notification_type of Notification),
+// `options.cwd` and `options.message` (Notification, or the prompt of
+// UserPromptSubmit) override the sample values.
+function buildPayload(event, options = {}) {
+  checkMatcherOption(event, 'tool', 'tool_name', options.tool);
+  checkMatcherOption(event, 'type', 'notification_type', options.type);
+
+  const cwd = path.resolve(options.cwd || process.cwd());
+  return {
+    session_id: SESSION_ID,
+    // Claude Code keeps transcripts per project, named after its path
+    transcript_path: path.join(os.homedir(), '.claude', 'projects', cwd.replace(/[^\w]/g, '-'), `${SESSION_ID}.jsonl`),
+    cwd,
+    hook_event_name: event,
+    ...getSampleFields(event, options)
+  };
+}
+
+// The settings files Claude Code reads hooks from (or only `scope`'s). From
+// the home directory the project settings are the user settings, so each
+// file is read once.
+function getSettingsScopes(scope) {
+  const scopes = scope ? [resolveScope(scope)] : getScopes().map(({ value }) => value);
+  const seen = new Set();
+
+  return scopes.filter((name) => {
+    const settingsPath = getSettingsPath(name);
+    if (seen.has(settingsPath)) {
+      return false;
+    }
+    seen.add(settingsPath);
+    return true;
+  });
+}
+
+// Every hook Claude Code would run for the payload, in settings order.
+// Identical commands run once, like in Claude Code.
+async function findHooks(event, payload, options = {}) {
+  const hooks = [];
+  const seen = new Set();
+
+  for (const scope of getSettingsScopes(options.scope)) {
+    const settings = await readSettings(scope);
+    const groups = (settings.hooks && settings.hooks[event]) || [];
+
+    for (const group of Array.isArray(groups) ? groups : []) {
+      // Other events ignore the matcher
+      if (getMatcherInfo(event) && !matchesMatcher(group.matcher, getMatcherValue(event, payload))) {
+        continue;
+      }
+
+      for (const hook of group.hooks || []) {
+        const entry = {
+          scope,
+          matcher: normalizeMatcher(group.matcher) || null,
+          type: hook.type,
+          command: typeof hook.command === 'string' ? hook.command : null,
+          ccnudge: isCcnudgeHook(hook),
+          timeout: hook.timeout
+        };
+
+        if (entry.command && seen.has(entry.command)) {
+          continue;
+        }
+        seen.add(entry.command);
+        hooks.push(entry);
+      }
+    }
+  }
+
+  return hooks;
+}
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Runs the hooks of an event with a sample payload. Returns { event,
+// payload, hooks }, each hook with its exitCode, stderr and duration (ms).
+// Hooks that aren't shell commands are listed with `skipped`.
+async function simulateHooks(event, options = {}) {
+  const payload = buildPayload(event, options);
+  if (!(await isDirectory(payload.cwd))) {
+    throw new ValidationError(`${payload.cwd} is not a directory`);
+  }
+
+  const hooks = await findHooks(event, payload, options);
+  const env = { ...process.env, CLAUDE_PROJECT_DIR: getProjectDir() };
+
+  const results = await Promise.all(hooks.map(async (hook) => {
+    if (hook.type !== 'command' || !hook.command) {
+      return { ...hook, skipped: `"${hook.type}" hooks are run by Claude Code itself` };
+    }
+
+    const timeoutMs = Number(hook.timeout) > 0 ? hook.timeout * 1000 : DEFAULT_TIMEOUT_MS;
+    return { ...hook, ...await runCommand(hook.command, payload, { timeoutMs, cwd: payload.cwd, env }) };
+  }));
+
+  return { event, payload, hooks: results };
+}
+
+module.exports = {
+  buildPayload,
+  findHooks,
+  simulateHooks
+};
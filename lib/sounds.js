@@ -0,0 +1,184 @@
+// Platform sound players and sound lookup. The ccnudge config refers to
+// sounds as "default", a sound name from the index in catalog.js ("Glass",
+// "complete") or a file path, so one
+// config file works on every machine; the path is only resolved when hooks
+// are rendered or a sound is tested.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { joinPosix, splitPosix, quotePowerShell, readPowerShellString } = require('./shell');
+const { findSound, findSoundName } = require('./catalog');
+const { SoundNotFoundError, UnsupportedPlatformError } = require('./errors');
+
+// Platform-specific sound configurations
+const PLATFORM_CONFIGS = {
+  darwin: {
+    command: 'afplay',
+    defaultSound: '/System/Library/Sounds/Glass.aiff',
+    soundsPath: '/System/Library/Sounds',
+    extension: '.aiff',
+    formats: ['.aiff', '.aif', '.wav', '.mp3'],
+    volume: volume => ['-v', String(volume / 100)]
+  },
+  linux: {
+    command: 'paplay', // see players.js for the other players
+    defaultSound: '/usr/share/sounds/freedesktop/stereo/complete.oga',
+    soundsPath: '/usr/share/sounds',
+    extension: '.oga',
+    formats: null, // up to the player, see players.js
+    volume: null
+  },
+  win32: {
+    command: 'powershell',
+    defaultSound: 'C:\\Windows\\Media\\Windows Notify System Generic.wav',
+    soundsPath: 'C:\\Windows\\Media',
+    extension: '.wav',
+    formats: ['.wav'],
+    volume: null // Media.SoundPlayer always plays at full volume
+  }
+};
+
+const DEFAULT_SOUND = 'default';
+
+function getPlatformConfig(platform = os.platform()) {
+  const config = PLATFORM_CONFIGS[platform];
+
+  if (!config) {
+    throw new UnsupportedPlatformError(platform);
+  }
+
+  return config;
+}
+
+// The program and arguments that play a file, to run without a shell.
+// `volume` (0-100) is left out on platforms whose player has no option for it.
+function getSoundCommand(soundPath, platform = os.platform(), volume = null) {
+  const config = getPlatformConfig(platform);
+
+  if (platform === 'win32') {
+    const script = `(New-Object Media.SoundPlayer ${quotePowerShell(soundPath)}).PlaySync()`;
+    return { file: config.command, args: ['-NoProfile', '-NonInteractive', '-Command', script] };
+  }
+
+  const volumeArgs = volume !== null && config.volume ? config.volume(volume) : [];
+  return { file: config.command, args: [...volumeArgs, soundPath] };
+}
+
+// The same as a single command line: quoted for sh, or on Windows for
+// PowerShell (the script's own `"` escaped for powershell.exe's parser)
+function buildSoundCommand(soundPath, platform = os.platform()) {
+  const { file, args } = getSoundCommand(soundPath, platform);
+
+  if (platform === 'win32') {
+    const script = args.pop();
+    return `${file} ${args.join(' ')} "${script.replace(/"/g, '\\"')}"`;
+  }
+
+  return joinPosix([file, ...args]);
+}
+
+// Reads the sound file back out of a command built by buildSoundCommand (or
+// by older versions, which didn't quote). Returns null for other commands.
+function parseSoundCommand(command) {
+  const text = String(command || '').trim();
+  const player = text.match(/SoundPlayer\s+/);
+
+  if (player) {
+    const literal = readPowerShellString(text.replace(/\\"/g, '"'), player.index + player[0].length);
+    return literal ? literal.value : null;
+  }
+
+  const words = splitPosix(text);
+  if (!['afplay', 'paplay'].includes(words[0])) {
+    return null;
+  }
+  if (words.length === 2) {
+    return words[1];
+  }
+  // Older versions wrote the path as is, spaces included
+  if (words.length > 2 && !/['"\\]/.test(text)) {
+    return text.slice(words[0].length + 1);
+  }
+  return null;
+}
+
+function expandHome(soundPath) {
+  if (soundPath === '~' || soundPath.startsWith('~/')) {
+    return path.join(os.homedir(), soundPath.slice(1));
+  }
+  return soundPath;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Turns a configured sound into the file to play. Throws if it doesn't exist.
+// With `options.index` false, names are only looked up as system sounds: the
+// sound index walks every sound directory, too slow for a hook.
+async function resolveSound(sound, options = {}) {
+  const config = getPlatformConfig();
+
+  if (!sound || sound === DEFAULT_SOUND) {
+    if (await exists(config.defaultSound)) {
+      return config.defaultSound;
+    }
+    throw new SoundNotFoundError(config.defaultSound);
+  }
+
+  const soundPath = expandHome(sound);
+
+  if (!path.isAbsolute(soundPath)) {
+    // Check if it's a system sound name
+    const systemSoundPath = path.join(config.soundsPath, soundPath + config.extension);
+    if (await exists(systemSoundPath)) {
+      return systemSoundPath;
+    }
+
+    // Or a sound further down, e.g. in a theme directory
+    const indexed = options.index === false ? null : await findSound(soundPath);
+    if (indexed) {
+      return indexed.path;
+    }
+  }
+
+  // Try as-is (might be a relative path)
+  const absolutePath = path.resolve(soundPath);
+  if (await exists(absolutePath)) {
+    return absolutePath;
+  }
+
+  throw new SoundNotFoundError(sound);
+}
+
+// Decides how a sound given on the command line is stored in the config:
+// sound names stay names, and so do files in the sound index; other files
+// become absolute paths
+async function normalizeSound(sound) {
+  if (!sound || sound === DEFAULT_SOUND) {
+    return DEFAULT_SOUND;
+  }
+
+  const soundPath = await resolveSound(sound);
+  const config = getPlatformConfig();
+
+  if (path.dirname(soundPath) === config.soundsPath && path.extname(soundPath) === config.extension) {
+    return path.basename(soundPath, config.extension);
+  }
+  return (await findSoundName(soundPath)) || soundPath;
+}
+
+module.exports = {
+  DEFAULT_SOUND,
+  getPlatformConfig,
+  getSoundCommand,
+  buildSoundCommand,
+  parseSoundCommand,
+  resolveSound,
+  normalizeSound
+};
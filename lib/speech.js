@@ -0,0 +1,178 @@
+// Text to speech, for events that speak their message ("api-server: Claude
+// has finished"). Each platform has its own engine: `say` on macOS,
+// speech-dispatcher (spd-say) or eSpeak NG on Linux, SAPI through PowerShell
+// on Windows. The first one installed is used. The text goes in on stdin,
+// so nothing in it is read as an option or needs quoting.
+const os = require('os');
+const { spawn } = require('child_process');
+const { findExecutable } = require('./players');
+const { quotePowerShell } = require('./shell');
+const { ValidationError, PlaybackError } = require('./errors');
+
+// Words per minute; every engine gets the rate in its own unit
+const DEFAULT_RATE = 175;
+const MIN_RATE = 80;
+const MAX_RATE = 450;
+
+// -100..100 (spd-say) or -10..10 (SAPI) around the default rate
+function scaleRate(rate, range) {
+  const scaled = Math.round((rate - DEFAULT_RATE) / DEFAULT_RATE * range);
+  return Math.max(-range, Math.min(range, scaled));
+}
+
+// `say` has no volume option; the others take 0-100 in their own unit
+function hasVolume(volume) {
+  return volume !== undefined && volume !== null && !Number.isNaN(volume);
+}
+
+// In order of preference per platform
+const ENGINES = {
+  darwin: {
+    say: {
+      description: 'macOS speech',
+      args: ({ voice, rate }) => [
+        ...(voice ? ['-v', voice] : []),
+        ...(rate ? ['-r', String(rate)] : []),
+        '-f', '-'
+      ]
+    }
+  },
+  linux: {
+    'spd-say': {
+      description: 'Speech Dispatcher',
+      // -w waits until the message is spoken, -e reads it from stdin; -i is
+      // -100..100 around the normal volume, so 100% is 0
+      args: ({ voice, rate, volume }) => [
+        '-w', '-e',
+        ...(voice ? ['-y', voice] : []),
+        ...(rate ? ['-r', String(scaleRate(rate, 100))] : []),
+        ...(hasVolume(volume) ? ['-i', String(volume - 100)] : [])
+      ]
+    },
+    'espeak-ng': {
+      description: 'eSpeak NG',
+      // -a is the amplitude, 100 by default
+      args: ({ voice, rate, volume }) => [
+        ...(voice ? ['-v', voice] : []),
+        ...(rate ? ['-s', String(rate)] : []),
+        ...(hasVolume(volume) ? ['-a', String(volume)] : []),
+        '--stdin'
+      ]
+    },
+    espeak: {
+      description: 'eSpeak',
+      args: ({ voice, rate, volume }) => [
+        ...(voice ? ['-v', voice] : []),
+        ...(rate ? ['-s', String(rate)] : []),
+        ...(hasVolume(volume) ? ['-a', String(volume)] : []),
+        '--stdin'
+      ]
+    }
+  },
+  win32: {
+    sapi: {
+      description: 'Windows SAPI',
+      command: 'powershell',
+      args: ({ voice, rate, volume }) => {
+        const script = [
+          'Add-Type -AssemblyName System.Speech',
+          '$voice = New-Object System.Speech.Synthesis.SpeechSynthesizer',
+          ...(voice ? [`$voice.SelectVoice(${quotePowerShell(voice)})`] : []),
+          ...(rate ? [`$voice.Rate = ${scaleRate(rate, 10)}`] : []),
+          ...(hasVolume(volume) ? [`$voice.Volume = ${Math.round(volume)}`] : []),
+          '$voice.Speak([Console]::In.ReadToEnd())'
+        ].join('; ');
+        return ['-NoProfile', '-NonInteractive', '-Command', script];
+      }
+    }
+  }
+};
+
+// Checks the voice options of an event: `speak` (a message template),
+// `voice` (a name the engine knows) and `rate` (words per minute)
+function validateSpeech({ speak, voice, rate } = {}) {
+  if (speak !== undefined && speak !== null && String(speak).trim() === '') {
+    throw new ValidationError('speak must be a message to say, e.g. "{{project}}: Claude has finished"');
+  }
+  if (voice !== undefined && voice !== null && !/^[^\n\r]+$/.test(voice)) {
+    throw new ValidationError(`Invalid voice: ${JSON.stringify(voice)}`);
+  }
+  if (rate !== undefined && rate !== null && !(Number.isFinite(rate) && rate >= MIN_RATE && rate <= MAX_RATE)) {
+    throw new ValidationError(`rate must be between ${MIN_RATE} and ${MAX_RATE} words per minute, got ${rate}`);
+  }
+}
+
+function getSpeechEngines(platform = os.platform()) {
+  return Object.entries(ENGINES[platform] || {}).map(([name, engine]) => ({
+    name,
+    description: engine.description
+  }));
+}
+
+// The first installed engine: { name, command }, or null. SAPI comes with
+// Windows, so it is always there.
+async function findSpeechEngine(platform = os.platform()) {
+  for (const [name, engine] of Object.entries(ENGINES[platform] || {})) {
+    if (platform === 'win32') {
+      return { name, command: engine.command };
+    }
+
+    const command = await findExecutable(name);
+    if (command) {
+      return { name, command };
+    }
+  }
+  return null;
+}
+
+function runEngine(command, args, text) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'], windowsHide: true });
+    let stderr = '';
+
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim() || `exited with code ${code}`));
+      }
+    });
+
+    // An engine that exits early closes stdin; its exit code tells what happened
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+  });
+}
+
+// Speaks `text` with the first installed engine. Returns { engine }; throws
+// a PlaybackError when there is no engine or it fails.
+async function speak(text, options = {}) {
+  const platform = os.platform();
+  const engine = await findSpeechEngine(platform);
+
+  if (!engine) {
+    const names = getSpeechEngines(platform).map(candidate => candidate.name);
+    throw new PlaybackError(names.length > 0
+      ? `No text-to-speech engine found. Install one of: ${names.join(', ')}`
+      : `Text to speech is not supported on ${platform}`);
+  }
+
+  try {
+    await runEngine(engine.command, ENGINES[platform][engine.name].args(options), text);
+  } catch (error) {
+    throw new PlaybackError(`${engine.name} failed: ${error.message}`);
+  }
+  return { engine: engine.name };
+}
+
+module.exports = {
+  DEFAULT_RATE,
+  MIN_RATE,
+  MAX_RATE,
+  validateSpeech,
+  getSpeechEngines,
+  findSpeechEngine,
+  speak
+};
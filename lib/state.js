@@ -0,0 +1,48 @@
+// Small state file shared by the separate `ccnudge hook` processes (last
+// delivery times, pending coalesced notifications, ...). Claude Code can run
+// several hooks at once, so every update happens under a lock file.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { withLock } = require('./lock');
+
+function getStatePath() {
+  return path.join(os.homedir(), '.claude', '.ccnudge-state.json');
+}
+
+async function readState() {
+  try {
+    const content = await fs.readFile(getStatePath(), 'utf-8');
+    const state = JSON.parse(content);
+    return state && typeof state === 'object' ? state : {};
+  } catch {
+    // Missing or corrupt state only means we forget recent deliveries
+    return {};
+  }
+}
+
+// Runs `update` on the current state under the lock and saves the result.
+// Returns whatever `update` returns.
+async function updateState(update) {
+  const statePath = getStatePath();
+  const lockPath = `${statePath}.lock`;
+
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  return withLock(lockPath, async () => {
+    const state = await readState();
+    const result = await update(state);
+
+    // Write next to the file and rename so readers never see half a file
+    const tempPath = `${statePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf-8');
+    await fs.rename(tempPath, statePath);
+
+    return result;
+  });
+}
+
+module.exports = {
+  getStatePath,
+  readState,
+  updateState
+};
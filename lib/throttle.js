@@ -0,0 +1,144 @@
+// Rate limiting for noisy events such as PostToolUse and SubagentStop.
+// Example event config:
+//
+//   "throttle": { "sound": 10, "desktop": 30 },
+//   "coalesce": { "window": 10, "summary": "{{project}}: {{count}} tools finished" }
+//
+// `throttle` allows at most one sound / desktop notification per N seconds
+// and drops the rest. `coalesce` collects the desktop notifications of a burst
+// and shows a single one when the window (started by the first event) closes.
+// The desktop limits apply to the whole message, HTTP channels included.
+const { updateState } = require('./state');
+const { ValidationError } = require('./errors');
+
+// A pending burst whose flush process never showed up is dropped after this
+const FLUSH_GRACE_MS = 5000;
+
+const DEFAULT_SUMMARIES = {
+  PostToolUse: '{{project}}: {{count}} tools finished',
+  PreToolUse: '{{project}}: {{count}} tool calls started',
+  SubagentStop: '{{project}}: {{count}} subagent tasks completed',
+  Notification: '{{project}}: {{count}} notifications'
+};
+
+function getDefaultSummary(event) {
+  return DEFAULT_SUMMARIES[event] || '{{project}}: {{hook_event_name}} fired {{count}} times';
+}
+
+function parseSeconds(value, name) {
+  if (value === undefined) {
+    return 0;
+  }
+
+  if (typeof value !== 'number' || !(value >= 0)) {
+    throw new ValidationError(`${name} must be a number of seconds (got ${JSON.stringify(value)})`);
+  }
+
+  return value * 1000;
+}
+
+// Normalizes the throttle and coalesce options of an event (times in ms)
+function parseRateLimits(event, eventConfig = {}) {
+  const throttle = eventConfig.throttle || {};
+  const coalesce = eventConfig.coalesce;
+
+  const limits = {
+    sound: parseSeconds(throttle.sound, 'throttle.sound'),
+    desktop: parseSeconds(throttle.desktop, 'throttle.desktop'),
+    coalesce: null
+  };
+
+  if (coalesce) {
+    limits.coalesce = {
+      window: parseSeconds(coalesce.window, 'coalesce.window'),
+      summary: coalesce.summary || getDefaultSummary(event)
+    };
+
+    if (!limits.coalesce.window) {
+      throw new ValidationError('coalesce.window must be greater than 0');
+    }
+  }
+
+  return limits;
+}
+
+function hasRateLimits(limits) {
+  return Boolean(limits.sound || limits.desktop || limits.coalesce);
+}
+
+function getEventState(state, event) {
+  if (!state.events) {
+    state.events = {};
+  }
+  if (!state.events[event]) {
+    state.events[event] = {};
+  }
+  return state.events[event];
+}
+
+// Decides whether the sound and the message (desktop notification and HTTP
+// channels) may be delivered now and records the delivery. The notification
+// is queued when messages are coalesced; `flush` in the result tells the
+// caller to start a flush process.
+async function applyRateLimits(event, limits, request, now = Date.now()) {
+  return updateState((state) => {
+    const entry = getEventState(state, event);
+    const result = { sound: request.sound, message: request.message, flush: false };
+
+    if (result.sound && limits.sound) {
+      if (now - (entry.lastSound || 0) < limits.sound) {
+        result.sound = false;
+      } else {
+        entry.lastSound = now;
+      }
+    }
+
+    if (result.message && limits.coalesce) {
+      if (entry.pending && now > entry.pending.flushAt + FLUSH_GRACE_MS) {
+        delete entry.pending;
+      }
+
+      if (!entry.pending) {
+        entry.pending = { count: 0, flushAt: now + limits.coalesce.window };
+        result.flush = true;
+      }
+
+      // Keep the latest notification; the summary is rendered at flush time
+      entry.pending.count++;
+      entry.pending.notification = request.notification;
+      entry.pending.summary = limits.coalesce.summary;
+      result.message = false;
+    } else if (result.message && limits.desktop) {
+      if (now - (entry.lastDesktop || 0) < limits.desktop) {
+        result.message = false;
+      } else {
+        entry.lastDesktop = now;
+      }
+    }
+
+    return result;
+  });
+}
+
+// Removes and returns the pending burst of an event
+async function takePendingNotification(event, now = Date.now()) {
+  return updateState((state) => {
+    const entry = getEventState(state, event);
+    const pending = entry.pending;
+
+    if (pending) {
+      delete entry.pending;
+      entry.lastDesktop = now;
+    }
+
+    return pending || null;
+  });
+}
+
+module.exports = {
+  getDefaultSummary,
+  parseRateLimits,
+  hasRateLimits,
+  applyRateLimits,
+  takePendingNotification
+};
@@ -0,0 +1,78 @@
+// Turn timing: `ccnudge hook UserPromptSubmit` records when each session's
+// prompt was submitted, so later events of that session know how long the
+// turn took. Events with a `minDuration` (seconds) in the ccnudge config stay
+// silent for quick turns, e.g. "events": { "Stop": { "minDuration": 30 } }.
+const { readState, updateState } = require('./state');
+const { ValidationError } = require('./errors');
+
+// Sessions without a prompt for this long are dropped from the state file
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+async function recordPrompt(sessionId, now = Date.now()) {
+  if (!sessionId) {
+    return;
+  }
+
+  await updateState((state) => {
+    const sessions = state.sessions || {};
+
+    for (const [id, session] of Object.entries(sessions)) {
+      if (now - session.promptAt > SESSION_TTL_MS) {
+        delete sessions[id];
+      }
+    }
+
+    sessions[sessionId] = { promptAt: now };
+    state.sessions = sessions;
+  });
+}
+
+// Milliseconds since the session's last prompt, or null if we never saw one
+async function getElapsed(sessionId, now = Date.now()) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const state = await readState();
+  const session = state.sessions && state.sessions[sessionId];
+
+  return session ? Math.max(0, now - session.promptAt) : null;
+}
+
+// 252000 -> "4m12s", 3723000 -> "1h2m3s"
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+
+  if (hours > 0) {
+    return `${hours}h${minutes}m${seconds}s`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m${seconds}s`;
+  }
+  return `${seconds}s`;
+}
+
+// Returns the event's minimum turn duration in ms (0 when not set)
+function parseMinDuration(eventConfig = {}) {
+  const value = eventConfig.minDuration;
+
+  if (value === undefined) {
+    return 0;
+  }
+
+  if (typeof value !== 'number' || !(value >= 0)) {
+    throw new ValidationError(`minDuration must be a number of seconds (got ${JSON.stringify(value)})`);
+  }
+
+  return value * 1000;
+}
+
+module.exports = {
+  recordPrompt,
+  getElapsed,
+  formatDuration,
+  parseMinDuration
+};
@@ -3,6 +3,7 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { getManagedEvents } = require('./lib/hooks');
 
 // Check if this is a global install
 function isGlobalInstall() {
@@ -30,8 +31,8 @@ function isAlreadyConfigured() {
     const settingsPath = path.join(require('os').homedir(), '.claude', 'settings.json');
     const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
 
-    // Check if Stop hook exists with ccnudge-like commands
-    if (settings.hooks && settings.hooks.Stop) {
+    // Check if any event already carries ccnudge-owned hooks
+    if (getManagedEvents(settings).length > 0) {
       return true;
     }
   } catch {
@@ -41,26 +42,44 @@ function isAlreadyConfigured() {
   return false;
 }
 
+// Check for a ccnudge config (kept across reinstalls, or imported from dotfiles)
+function hasSavedConfig() {
+  try {
+    const configPath = path.join(require('os').homedir(), '.ccnudge', 'config.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+    return Object.keys(config.events || {}).length > 0;
+  } catch {
+    return false;
+  }
+}
+
 async function runSetup() {
   console.log('\n🎉 Thanks for installing CCNudge!\n');
 
-  // Check if already configured
-  if (isAlreadyConfigured()) {
-    console.log('✅ CCNudge is already configured.');
+  // Hooks run this installation's bin/hook.js, so an update (or a reinstall
+  // with another node) rewrites them from the config. A saved config
+  // restores the hooks instead of asking again.
+  const configured = isAlreadyConfigured();
+  const command = configured || hasSavedConfig() ? 'apply' : 'setup';
+
+  if (configured) {
+    console.log('✅ CCNudge is already configured, updating its hooks...');
     console.log('\nCommands:');
     console.log('  ccnudge setup   - Reconfigure settings');
     console.log('  ccnudge status  - Check current status');
     console.log('  ccnudge stop    - Disable notifications');
     console.log('  ccnudge start   - Enable notifications\n');
-    return;
+  } else if (command === 'apply') {
+    console.log('Found your ccnudge config, restoring the hooks...\n');
+  } else {
+    console.log('Let\'s set up your notifications!\n');
   }
 
-  console.log('Let\'s set up your notifications!\n');
-
-  // Run the setup command
-  const setupProcess = spawn('node', [path.join(__dirname, 'bin', 'cli.js'), 'setup'], {
-    stdio: 'inherit',
-    shell: true
+  // Run the setup command. CCNUDGE_DRY_RUN is passed on with the rest of
+  // the environment, so a dry run shows the diff instead of writing.
+  const setupProcess = spawn(process.execPath, [path.join(__dirname, 'bin', 'cli.js'), command], {
+    stdio: 'inherit'
   });
 
   setupProcess.on('error', (error) => {
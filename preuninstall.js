@@ -2,6 +2,13 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getManagedEvents, getLegacyCommands, removeCcnudgeGroups } = require('./lib/hooks');
+const { updateSettingsSync, previewSettingsSync } = require('./lib/settings');
+const { createPatch, colorPatch, useColor } = require('./lib/diff');
+
+// npm passes no flags to lifecycle scripts, so a dry run is asked for with
+// the environment variable behind the CLI's --dry-run
+const DRY_RUN = process.env.CCNUDGE_DRY_RUN !== undefined;
 
 // Check if this is a global uninstall
 function isGlobalUninstall() {
@@ -32,38 +39,50 @@ function cleanupSettings() {
       return;
     }
 
-    const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
-
-    // List of all CCNudge-managed events (official Claude Code events)
-    const ccnudgeEvents = ['Stop', 'SubagentStop', 'PostToolUse', 'PreToolUse', 'UserPromptSubmit', 'Notification', 'SessionStart', 'SessionEnd', 'PreCompact'];
-    let removedCount = 0;
+    // The backup file of older versions tells their unmarked hooks apart
+    const backupPath = path.join(require('os').homedir(), '.claude', '.ccnudge-backup.json');
+    let legacyCommands = null;
+    try {
+      legacyCommands = getLegacyCommands(JSON.parse(fs.readFileSync(backupPath, 'utf-8')));
+    } catch {
+      // No backup, or one that can't be read
+    }
 
-    // Check if there are any CCNudge hooks
-    if (settings.hooks) {
-      console.log('\n🧹 Cleaning up CCNudge configuration...');
+    const removeHooks = (settings) => {
+      // Events that carry CCNudge-owned hooks; foreign hooks are left untouched
+      const ccnudgeEvents = getManagedEvents(settings, legacyCommands);
+      if (ccnudgeEvents.length === 0) {
+        return false;
+      }
 
-      // Remove all CCNudge-managed events
+      // Remove only the CCNudge entries from each event
+      let removed = 0;
       for (const event of ccnudgeEvents) {
-        if (settings.hooks[event]) {
-          delete settings.hooks[event];
-          removedCount++;
+        if (removeCcnudgeGroups(settings, event, null, legacyCommands)) {
+          removed++;
         }
       }
+      return removed > 0 ? removed : false;
+    };
+
+    if (DRY_RUN) {
+      const preview = previewSettingsSync('user', removeHooks);
+      const diff = createPatch(preview.path, preview.before, preview.after);
+      console.log('\n🧹 CCNudge would clean up its hooks (dry run, nothing is written):\n');
+      console.log(diff ? (useColor() ? colorPatch(diff) : diff) : 'No changes: the files would stay as they are.');
+      return;
+    }
 
-      // Clean up empty hooks object
-      if (Object.keys(settings.hooks).length === 0) {
-        delete settings.hooks;
-      }
+    // Lock, re-read and write atomically, like every other settings update
+    const removedCount = updateSettingsSync('user', removeHooks);
 
-      if (removedCount > 0) {
-        // Write updated settings
-        fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf-8');
-        console.log(`✅ CCNudge configuration removed from Claude Code settings (${removedCount} event(s))`);
-      }
+    if (removedCount) {
+      console.log('\n🧹 Cleaning up CCNudge configuration...');
+      console.log(`✅ CCNudge configuration removed from Claude Code settings (${removedCount} event(s))`);
     }
 
-    // Remove backup file
-    const backupPath = path.join(require('os').homedir(), '.claude', '.ccnudge-backup.json');
+    // Remove the backup file left by older versions. The ccnudge config
+    // (~/.ccnudge/config.json) is kept so a reinstall brings the hooks back.
     if (fs.existsSync(backupPath)) {
       fs.unlinkSync(backupPath);
     }
@@ -0,0 +1,907 @@
+// Tests for the command lines ccnudge generates, the sound index and
+// settings writes. Run with `npm test`; they only need Node, and use /bin/sh
+// (and pwsh when installed) to check that the shells really see the values
+// we meant.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync, spawnSync } = require('child_process');
+const http = require('http');
+const { quotePosix, joinPosix, splitPosix, quotePowerShell, readPowerShellString } = require('./lib/shell');
+const { buildHookCommand, parseHookCommand, getRuntimeArgs, isCcnudgeHook, getLegacyCommands, setCcnudgeGroups, matchesMatcher } = require('./lib/hooks');
+const { buildSoundCommand, parseSoundCommand, getSoundCommand } = require('./lib/sounds');
+const { getPlayerArgs, getPlayer, choosePlayback, resetDetectedPlayer } = require('./lib/players');
+const { updateSettings, updateSettingsSync } = require('./lib/settings');
+const { withLock, withLockSync } = require('./lib/lock');
+const { updateScopeConfig, renderHooks } = require('./lib/apply');
+const ccnudge = require('./index');
+const { resolveSound } = require('./lib/sounds');
+const { summarizeChanges } = require('./lib/history');
+const { buildPreset, switchProfile } = require('./lib/profiles');
+const { buildPayload } = require('./lib/simulate');
+const { getNotificationType } = require('./lib/events');
+const { createPatch } = require('./lib/diff');
+const { matchesPath, findRule, validateRule } = require('./lib/rules');
+const { getQuietState, parseQuietHours, describeRule } = require('./lib/schedule');
+const { parseRateLimits, applyRateLimits, takePendingNotification } = require('./lib/throttle');
+const { buildRequest, sendToChannel } = require('./lib/channels');
+const { findSounds, findSound, findSoundName, filterSounds, readFormat, readDuration } = require('./lib/catalog');
+
+// Paths and texts that break naive quoting
+const HOSTILE = [
+  '/tmp/my sounds/ding.wav',
+  "/tmp/it's here.wav",
+  "/tmp/'quoted'/x.wav",
+  '/tmp/$HOME/x.wav',
+  '/tmp/$(touch /tmp/ccnudge-pwned).wav',
+  '/tmp/`touch /tmp/ccnudge-pwned`.wav',
+  '/tmp/a"b.wav',
+  '/tmp/back\\slash.wav',
+  '/tmp/semi;colon&and|pipe>out.wav',
+  '/tmp/new\nline.wav',
+  '/tmp/tab\there.wav',
+  '/tmp/#hash.wav',
+  '#leading-hash.wav',
+  '-starts-with-dash.wav',
+  '/tmp/glob*?[a].wav',
+  '~/not-expanded.wav',
+  '!history',
+  '/tmp/emoji 🔔.wav',
+  'C:\\Users\\O\'Brien\\Music\\ding ’curly’.wav',
+  '',
+  "'",
+  "''",
+  ' '
+];
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function hasCommand(command) {
+  try {
+    execFileSync(command, ['-c', 'exit 0'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const HAS_SH = process.platform !== 'win32' && fs.existsSync('/bin/sh');
+
+// Runs `command` in sh with `name` defined as a function that prints its
+// arguments, and returns the arguments the shell passed
+function argsSeenBySh(name, command) {
+  const output = execFileSync('/bin/sh', ['-c', `${name}() { for a; do printf '%s\\0' "$a"; done; }\n${command}`]);
+  return output.toString('utf-8').split('\0').slice(0, -1);
+}
+
+test('quotePosix round-trips through splitPosix', () => {
+  for (const value of HOSTILE) {
+    assert.deepStrictEqual(splitPosix(quotePosix(value)), [value], JSON.stringify(value));
+  }
+  assert.deepStrictEqual(splitPosix(joinPosix(HOSTILE)), HOSTILE);
+});
+
+test('quotePosix leaves plain words alone', () => {
+  assert.strictEqual(quotePosix('/usr/share/sounds/bell.oga'), '/usr/share/sounds/bell.oga');
+  assert.strictEqual(quotePosix('Stop'), 'Stop');
+  assert.strictEqual(quotePosix(''), "''");
+});
+
+test('sh sees exactly the quoted values', () => {
+  if (!HAS_SH) {
+    return 'skipped: no /bin/sh';
+  }
+  assert.deepStrictEqual(argsSeenBySh('show', `show ${joinPosix(HOSTILE)}`), HOSTILE);
+  assert.ok(!fs.existsSync('/tmp/ccnudge-pwned'), 'a command substitution ran');
+});
+
+test('splitPosix reads double quotes, backslashes and comments', () => {
+  assert.deepStrictEqual(splitPosix('a "b c" d\\ e # comment'), ['a', 'b c', 'd e']);
+  assert.deepStrictEqual(splitPosix('say "\\"hi\\" \\$HOME"'), ['say', '"hi" $HOME']);
+  assert.deepStrictEqual(splitPosix("x 'a#b' c#d"), ['x', 'a#b', 'c#d']);
+});
+
+test('quotePowerShell round-trips through readPowerShellString', () => {
+  for (const value of HOSTILE) {
+    const literal = quotePowerShell(value);
+    assert.deepStrictEqual(readPowerShellString(`${literal} tail`), { value, end: literal.length }, JSON.stringify(value));
+  }
+});
+
+test('quotePowerShell doubles typographic quotes too', () => {
+  assert.strictEqual(quotePowerShell("it's"), "'it''s'");
+  assert.strictEqual(quotePowerShell('‘x’'), "'‘‘x’’'");
+  assert.strictEqual(readPowerShellString('no quote'), null);
+});
+
+test('PowerShell sees exactly the quoted values', () => {
+  if (!hasCommand('pwsh')) {
+    return 'skipped: no pwsh';
+  }
+  for (const value of HOSTILE.filter(Boolean)) {
+    const output = execFileSync('pwsh', ['-NoProfile', '-NonInteractive', '-Command', `[Console]::Out.Write(${quotePowerShell(value)})`]);
+    assert.strictEqual(output.toString('utf-8'), value, JSON.stringify(value));
+  }
+});
+
+test('hook commands round-trip through parseHookCommand', () => {
+  for (const value of HOSTILE.filter(Boolean)) {
+    const options = { sound: value, desktop: true, title: value, body: `{{project}}: ${value}`, channels: [value, 'phone'], only: value, except: [value, 'idle_prompt'], speak: value, voice: value, rate: 200, volume: 0 };
+    const command = buildHookCommand('Stop', options);
+
+    assert.ok(isCcnudgeHook({ command }), command);
+    assert.deepStrictEqual(parseHookCommand(command), { event: 'Stop', ...options });
+  }
+  // Hooks of older versions ran the CLI from PATH
+  assert.deepStrictEqual(parseHookCommand('ccnudge hook Stop --sound /a.oga # ccnudge'), parseHookCommand(buildHookCommand('Stop', { sound: '/a.oga' })));
+});
+
+test('project and local hooks run ccnudge from PATH, user hooks this installation', async () => {
+  const config = { events: { Stop: { desktop: true, minDuration: 30 } } };
+  const commands = async scope => Object.values((await renderHooks(config, scope)).hooks)
+    .flat().flatMap(group => group.hooks.map(hook => hook.command));
+
+  for (const scope of ['project', 'local']) {
+    assert.deepStrictEqual(await commands(scope), ['ccnudge hook Stop --desktop # ccnudge', 'ccnudge hook UserPromptSubmit # ccnudge']);
+  }
+  assert.ok((await commands('user')).every(command => command.includes(process.execPath)));
+  assert.strictEqual(buildHookCommand('Stop', { portable: true }), 'ccnudge hook Stop # ccnudge');
+});
+
+test('unmarked sound hooks are only ours when older versions wrote them', () => {
+  const userGroup = { matcher: 'Edit', hooks: [{ type: 'command', command: 'afplay /Users/me/sounds/formatted.aiff' }] };
+  const settings = { hooks: { PostToolUse: [userGroup] } };
+
+  assert.ok(!isCcnudgeHook({ command: 'paplay /home/me/ding.oga' }));
+  setCcnudgeGroups(settings, 'PostToolUse', []);
+  assert.deepStrictEqual(settings, { hooks: { PostToolUse: [userGroup] } });
+
+  const legacyCommands = getLegacyCommands({ PostToolUse: [userGroup] });
+  assert.ok(isCcnudgeHook(userGroup.hooks[0], legacyCommands));
+  setCcnudgeGroups(settings, 'PostToolUse', [], legacyCommands);
+  assert.deepStrictEqual(settings, {});
+
+  if (process.platform === 'linux') {
+    assert.ok(isCcnudgeHook({ command: 'paplay /usr/share/sounds/freedesktop/stereo/complete.oga' }));
+  }
+  assert.ok(isCcnudgeHook({ command: 'notify-send "CCNudge" "Claude Code has finished"' }));
+});
+
+test('sh passes hook command arguments through unchanged', () => {
+  if (!HAS_SH) {
+    return 'skipped: no /bin/sh';
+  }
+  for (const value of HOSTILE.filter(Boolean)) {
+    const command = buildHookCommand('Notification', { sound: value, body: value });
+    assert.deepStrictEqual(argsSeenBySh('show', `show ${command}`), [...getRuntimeArgs(), 'Notification', '--sound', value, '--body', value]);
+  }
+  assert.ok(!fs.existsSync('/tmp/ccnudge-pwned'), 'a command substitution ran');
+});
+
+test('sound commands round-trip on every platform', () => {
+  for (const platform of ['darwin', 'linux', 'win32']) {
+    for (const value of HOSTILE.filter(Boolean)) {
+      assert.strictEqual(parseSoundCommand(buildSoundCommand(value, platform)), value, `${platform} ${JSON.stringify(value)}`);
+    }
+  }
+});
+
+test('sound commands pass the path as a single argument', () => {
+  const path = "/tmp/it's a $(test).wav";
+  assert.deepStrictEqual(getSoundCommand(path, 'darwin'), { file: 'afplay', args: [path] });
+
+  const windows = getSoundCommand(path, 'win32');
+  assert.strictEqual(windows.file, 'powershell');
+  assert.strictEqual(windows.args[windows.args.length - 1], "(New-Object Media.SoundPlayer '/tmp/it''s a $(test).wav').PlaySync()");
+
+  if (HAS_SH) {
+    assert.deepStrictEqual(argsSeenBySh('afplay', buildSoundCommand(path, 'darwin')), [path]);
+  }
+});
+
+test('volumes go to each player in its own unit', () => {
+  assert.deepStrictEqual(getSoundCommand('/x.aiff', 'darwin', 30).args, ['-v', '0.3', '/x.aiff']);
+  assert.deepStrictEqual(getSoundCommand('/x.wav', 'win32', 30), getSoundCommand('/x.wav', 'win32'));
+
+  assert.deepStrictEqual(getPlayerArgs('paplay', '/x.oga', 50), { args: ['--volume=32768', '/x.oga'], volume: 50 });
+  assert.deepStrictEqual(getPlayerArgs('pw-play', '/x.oga', 0).args, ['--volume=0', '/x.oga']);
+  assert.deepStrictEqual(getPlayerArgs('mpv', '/x.mp3', 40).args, ['--volume=40', '--no-video', '--really-quiet', '/x.mp3']);
+  assert.deepStrictEqual(getPlayerArgs('play', '/x.mp3', 25).args, ['-v', '0.25', '-q', '/x.mp3']);
+  // aplay has no volume option, and no volume means the player's own
+  assert.deepStrictEqual(getPlayerArgs('aplay', '/x.wav', 50), { args: ['-q', '/x.wav'], volume: null });
+  assert.deepStrictEqual(getPlayerArgs('paplay', '/x.oga'), { args: ['/x.oga'], volume: null });
+});
+
+test('players are detected once, and sounds go to one that can play them', () => {
+  if (process.platform === 'win32') {
+    return 'skipped: players are found by their executable bit';
+  }
+  const home = process.env.HOME;
+  const pathEnv = process.env.PATH;
+  const files = { 'bin/aplay': '', 'bin/mpv': '', 'bin/paplay': '', 'bin/oggdec': '#!/bin/sh\n: > "$3"\n', 'ding.oga': 'x', 'ding.wav': 'x' };
+
+  return withTempDir(files, async (dir) => {
+    const bin = path.join(dir, 'bin');
+    const install = name => fs.chmodSync(path.join(bin, name), 0o755);
+    process.env.HOME = dir;
+    process.env.PATH = bin;
+
+    try {
+      assert.deepStrictEqual(await getPlayer(), { name: null, source: null, available: [] });
+      await assert.rejects(choosePlayback(path.join(dir, 'ding.wav')), { code: 'PLAYBACK_FAILED' });
+
+      install('aplay');
+      install('mpv');
+      assert.deepStrictEqual(await getPlayer(), { name: 'aplay', source: 'detected', available: ['aplay', 'mpv'] });
+      assert.deepStrictEqual(await choosePlayback(path.join(dir, 'ding.wav')), { player: 'aplay', file: path.join(dir, 'ding.wav'), converted: false });
+      // aplay only plays WAV files; mpv plays anything
+      assert.deepStrictEqual((await choosePlayback(path.join(dir, 'ding.oga'))).player, 'mpv');
+
+      // The detected player is kept until detection runs again
+      install('paplay');
+      assert.strictEqual((await getPlayer()).name, 'aplay');
+      await resetDetectedPlayer();
+      assert.strictEqual((await getPlayer()).name, 'paplay');
+      assert.deepStrictEqual((await getPlayer('mpv')).source, 'config');
+
+      // A player the user picked keeps playing, from a converted copy
+      if (HAS_SH) {
+        install('oggdec');
+        const playback = await choosePlayback(path.join(dir, 'ding.oga'), 'aplay');
+        assert.deepStrictEqual([playback.player, playback.converted, path.dirname(playback.file)], ['aplay', true, path.join(dir, '.ccnudge', 'cache')]);
+      }
+    } finally {
+      process.env.HOME = home;
+      process.env.PATH = pathEnv;
+    }
+  });
+});
+
+test('sound commands written by older versions are still read', () => {
+  assert.strictEqual(parseSoundCommand('afplay /System/Library/Sounds/Glass.aiff'), '/System/Library/Sounds/Glass.aiff');
+  assert.strictEqual(parseSoundCommand('paplay /usr/share/sounds/freedesktop/stereo/complete.oga'), '/usr/share/sounds/freedesktop/stereo/complete.oga');
+  assert.strictEqual(parseSoundCommand('afplay /Users/me/My Sounds/ding.aiff'), '/Users/me/My Sounds/ding.aiff');
+  assert.strictEqual(
+    parseSoundCommand("powershell -c (New-Object Media.SoundPlayer 'C:\\Windows\\Media\\Windows Notify System Generic.wav').PlaySync()"),
+    'C:\\Windows\\Media\\Windows Notify System Generic.wav'
+  );
+  assert.strictEqual(parseSoundCommand('notify-send "CCNudge" "Claude Code has finished"'), null);
+});
+
+// Headers of sound files that are `seconds` long, with no audio after them
+const SOUND_HEADERS = {
+  wav(seconds) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt32LE(44100 * 2, 28);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(seconds * 44100 * 2, 40);
+    return header;
+  },
+  aiff(seconds) {
+    const header = Buffer.alloc(38);
+    header.write('FORM', 0, 'latin1');
+    header.write('AIFF', 8, 'latin1');
+    header.write('COMM', 12, 'latin1');
+    header.writeUInt32BE(18, 16);
+    header.writeUInt32BE(seconds * 44100, 22);
+    // 44100 as an 80-bit float: 2^15 * 1.3458...
+    header.writeUInt16BE(16383 + 15, 28);
+    header.writeUInt32BE(44100 * 2 ** 16, 30);
+    return header;
+  },
+  flac(seconds) {
+    const header = Buffer.alloc(42);
+    header.write('fLaC', 0, 'latin1');
+    header.writeUInt32BE(34, 4);
+    // 20 bits of sample rate, then channels, bits per sample and 36 bits of samples
+    header.writeUInt32BE((44100 << 12) >>> 0, 18);
+    header.writeUInt32BE(seconds * 44100, 22);
+    return header;
+  },
+  oga(seconds) {
+    const page = (granule, packet) => {
+      const header = Buffer.alloc(28);
+      header.write('OggS', 0, 'latin1');
+      header.writeUInt32LE(granule, 6);
+      header[26] = 1;
+      header[27] = packet.length;
+      return Buffer.concat([header, packet]);
+    };
+    const identification = Buffer.alloc(30);
+    identification[0] = 1;
+    identification.write('vorbis', 1, 'latin1');
+    identification.writeUInt32LE(48000, 12);
+    return Buffer.concat([page(0, identification), Buffer.alloc(1000), page(seconds * 48000, Buffer.alloc(4))]);
+  },
+  mp3(seconds) {
+    // MPEG-1 layer III, 128 kbit/s, 44.1 kHz, stereo: 16000 bytes a second
+    return Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(seconds * 16000 - 4)]);
+  }
+};
+
+// Runs `fn` in a temporary directory holding `files` (path: content)
+async function withTempDir(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccnudge-test-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), content);
+    }
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('readFormat and readDuration read sound file headers', () => {
+  const files = {};
+  for (const [format, header] of Object.entries(SOUND_HEADERS)) {
+    files[`sound.${format}`] = header(3);
+  }
+  files['broken.wav'] = Buffer.from('not a sound');
+
+  return withTempDir(files, async (dir) => {
+    for (const format of Object.keys(SOUND_HEADERS)) {
+      const duration = await readDuration(path.join(dir, `sound.${format}`));
+      assert.ok(duration !== null && Math.abs(duration - 3) < 0.01, `${format}: ${duration}`);
+      assert.strictEqual(await readFormat(path.join(dir, `sound.${format}`)), format === 'oga' ? 'ogg' : format);
+    }
+    assert.strictEqual(await readFormat(path.join(dir, 'broken.wav')), null);
+    assert.strictEqual(await readDuration(path.join(dir, 'broken.wav')), null);
+    assert.strictEqual(await readDuration(path.join(dir, 'missing.wav')), null);
+  });
+});
+
+test('the sound index walks roots recursively and names sounds uniquely', () => {
+  const files = {
+    'user/ding.wav': SOUND_HEADERS.wav(1),
+    'system/freedesktop/stereo/complete.oga': SOUND_HEADERS.oga(1),
+    'system/freedesktop/stereo/ding.oga': SOUND_HEADERS.oga(1),
+    'system/ubuntu/stereo/complete.oga': SOUND_HEADERS.oga(1),
+    'system/notes.txt': 'not a sound'
+  };
+
+  return withTempDir(files, async (dir) => {
+    const roots = [path.join(dir, 'user'), path.join(dir, 'system')];
+    const sounds = await findSounds({ roots, refresh: true });
+
+    assert.deepStrictEqual(sounds.map(sound => sound.name), [
+      'ding',
+      'freedesktop/stereo/complete',
+      'freedesktop/stereo/ding',
+      'ubuntu/stereo/complete'
+    ]);
+    assert.strictEqual((await findSound('complete', { roots })).path, path.join(dir, 'system/freedesktop/stereo/complete.oga'));
+    assert.strictEqual((await findSound('ding', { roots })).root, roots[0]);
+    assert.strictEqual(await findSound('missing', { roots }), null);
+    assert.strictEqual(await findSoundName(path.join(dir, 'system/ubuntu/stereo/complete.oga'), { roots }), 'ubuntu/stereo/complete');
+    assert.deepStrictEqual(filterSounds(sounds, 'UBUNTU comp').map(sound => sound.name), ['ubuntu/stereo/complete']);
+  });
+});
+
+test('settings updates lock, merge concurrent writes and refuse broken files', () => {
+  const home = process.env.HOME;
+
+  return withTempDir({ '.claude/settings.json': '{ "model": "opus" }' }, async (dir) => {
+    process.env.HOME = dir;
+    const settingsPath = path.join(dir, '.claude', 'settings.json');
+    const read = () => JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+
+    try {
+      // Parallel updates all land
+      await Promise.all([1, 2, 3, 4, 5].map(n => updateSettings('user', (settings) => {
+        settings[`key${n}`] = n;
+      })));
+      assert.deepStrictEqual(read(), { model: 'opus', key1: 1, key2: 2, key3: 3, key4: 4, key5: 5 });
+
+      // A write that doesn't take the lock (Claude Code) makes the update start over
+      let calls = 0;
+      await updateSettings('user', (settings) => {
+        if (calls++ === 0) {
+          fs.writeFileSync(settingsPath, JSON.stringify({ ...settings, theme: 'dark' }));
+        }
+        settings.hooks = {};
+      });
+      assert.strictEqual(calls, 2);
+      assert.strictEqual(read().theme, 'dark');
+      assert.deepStrictEqual(read().hooks, {});
+
+      // The lock of a process that is gone is taken over
+      fs.writeFileSync(`${settingsPath}.lock`, '999999999');
+      updateSettingsSync('user', (settings) => {
+        settings.sync = true;
+      });
+      assert.strictEqual(read().sync, true);
+      assert.ok(!fs.existsSync(`${settingsPath}.lock`));
+
+      // Concurrent config changes all land in the config and in settings.json
+      const events = ['SessionStart', 'SessionEnd', 'SubagentStop', 'PreCompact', 'Notification'];
+      await Promise.all(events.map(event => updateScopeConfig('user', (config) => {
+        config.events = { ...config.events, [event]: { desktop: true } };
+      })));
+      const config = JSON.parse(fs.readFileSync(path.join(dir, '.ccnudge', 'config.json'), 'utf-8'));
+      assert.deepStrictEqual(Object.keys(config.events).sort(), [...events].sort());
+      assert.deepStrictEqual(events.filter(event => !read().hooks[event]), []);
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, '.ccnudge')).sort(), ['config.json', 'history']);
+
+      fs.writeFileSync(settingsPath, '{ "model": ');
+      await assert.rejects(updateSettings('user', () => {}), { code: 'INVALID_CONFIG', message: /is not valid JSON/ });
+      assert.throws(() => updateSettingsSync('user', () => {}), { code: 'INVALID_CONFIG' });
+      assert.strictEqual(fs.readFileSync(settingsPath, 'utf-8'), '{ "model": ');
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(settingsPath)), ['settings.json']);
+    } finally {
+      process.env.HOME = home;
+    }
+  });
+});
+
+test('locks are only taken over from processes that are gone', () => {
+  return withTempDir({}, async (dir) => {
+    const lockPath = path.join(dir, 'file.lock');
+    const old = new Date(Date.now() - 60000);
+    const options = { staleMs: 1000, timeoutMs: 200 };
+    const gone = spawnSync(process.execPath, ['-e', '']).pid;
+
+    // A running owner keeps its lock however old it is
+    fs.writeFileSync(lockPath, String(process.ppid));
+    fs.utimesSync(lockPath, old, old);
+    await assert.rejects(withLock(lockPath, () => {}, options), { code: 'LOCKED' });
+    assert.strictEqual(fs.readFileSync(lockPath, 'utf-8'), String(process.ppid));
+
+    // A gone owner's lock is taken over at once; one without a pid once it is old
+    fs.writeFileSync(lockPath, String(gone));
+    assert.strictEqual(withLockSync(lockPath, () => fs.readFileSync(lockPath, 'utf-8'), options), String(process.pid));
+    fs.writeFileSync(lockPath, '');
+    assert.throws(() => withLockSync(lockPath, () => {}, options), { code: 'LOCKED' });
+    fs.utimesSync(lockPath, old, old);
+    withLockSync(lockPath, () => {}, options);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+
+    // Releasing leaves a lock someone else took over alone
+    await withLock(lockPath, () => fs.writeFileSync(lockPath, String(process.ppid)), options);
+    assert.strictEqual(fs.readFileSync(lockPath, 'utf-8'), String(process.ppid));
+
+    // Of several processes finding the same stale lock, one gets it at a time
+    const logPath = path.join(dir, 'log');
+    const script = `
+      const fs = require('fs');
+      const { withLock } = require(${JSON.stringify(path.join(__dirname, 'lib', 'lock'))});
+      withLock(${JSON.stringify(lockPath)}, async () => {
+        fs.appendFileSync(${JSON.stringify(logPath)}, 'in ');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        fs.appendFileSync(${JSON.stringify(logPath)}, 'out ');
+      }, { timeoutMs: 10000 });
+    `;
+    fs.writeFileSync(lockPath, String(gone));
+    await Promise.all([1, 2, 3].map(() => new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script], error => (error ? reject(error) : resolve()));
+    })));
+    assert.strictEqual(fs.readFileSync(logPath, 'utf-8'), 'in out '.repeat(3));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['log']);
+  });
+});
+
+// Runs the CLI in a home directory of its own; returns { status, stdout }
+function runCli(home, args, env = {}) {
+  const childEnv = { ...process.env, HOME: home, USERPROFILE: home, ...env };
+  delete childEnv.CLAUDE_PROJECT_DIR;
+  return spawnSync(process.execPath, [path.join(__dirname, 'bin', 'cli.js'), ...args], { cwd: home, env: childEnv, encoding: 'utf-8' });
+}
+
+test('doctor exits with 1 on problems, runs hooks only with --run and reports JSON', () => {
+  if (!HAS_SH || process.platform !== 'linux') {
+    return 'skipped: needs sh and Linux players';
+  }
+
+  return withTempDir({ 'bin/paplay': '#!/bin/sh\necho "$@" >> "$HOME/played"\n', 'ding.oga': '' }, async (dir) => {
+    fs.chmodSync(path.join(dir, 'bin', 'paplay'), 0o755);
+    const env = { PATH: `${path.join(dir, 'bin')}${path.delimiter}${process.env.PATH}` };
+    const doctor = (...args) => {
+      const result = runCli(dir, ['doctor', '--json', ...args], env);
+      return { status: result.status, report: JSON.parse(result.stdout) };
+    };
+    const statusOf = (report, id) => (report.checks.find(item => item.id === id) || {}).status;
+
+    assert.strictEqual(runCli(dir, ['setup', '--event', 'Stop', '--sound', path.join(dir, 'ding.oga'), '--yes'], env).status, 0);
+
+    let { status, report } = doctor();
+    assert.strictEqual(status, 0);
+    assert.deepStrictEqual([report.ok, report.ran, statusOf(report, 'player'), statusOf(report, 'sounds')], [true, false, 'ok', 'ok']);
+    assert.ok(!report.checks.some(item => item.id.startsWith('hook:')));
+    assert.ok(!fs.existsSync(path.join(dir, 'played')));
+
+    ({ status, report } = doctor('--run'));
+    assert.strictEqual(status, 0);
+    assert.strictEqual(statusOf(report, 'hook:user:Stop'), 'ok');
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'played'), 'utf-8'), `${path.join(dir, 'ding.oga')}\n`);
+
+    fs.unlinkSync(path.join(dir, 'ding.oga'));
+    ({ status, report } = doctor());
+    assert.strictEqual(status, 1);
+    assert.deepStrictEqual([report.ok, statusOf(report, 'sounds')], [false, 'fail']);
+    assert.ok(report.checks.find(item => item.id === 'sounds').fix);
+  });
+});
+
+test('spoken messages fall back to the sound without a working engine', () => {
+  if (!HAS_SH || process.platform !== 'linux') {
+    return 'skipped: needs sh and Linux engines';
+  }
+
+  const files = {
+    'bin/paplay': '#!/bin/sh\necho "paplay $*" >> "$HOME/log"\n',
+    // Only the shell's builtins: PATH is just this directory
+    'bin/espeak-ng': '#!/bin/sh\nread -r text\necho "espeak-ng $* $text" >> "$HOME/log"\nexit "$ESPEAK_EXIT"\n',
+    'ding.oga': ''
+  };
+  return withTempDir(files, async (dir) => {
+    const ding = path.join(dir, 'ding.oga');
+    const hook = (env) => {
+      fs.rmSync(path.join(dir, 'log'), { force: true });
+      execFileSync(process.execPath, [path.join(__dirname, 'bin', 'hook.js'), 'Stop', '--sound', ding, '--speak', '{{project}} is done', '--volume', '50'], {
+        input: JSON.stringify({ hook_event_name: 'Stop', cwd: path.join(dir, 'api') }),
+        env: { ...process.env, HOME: dir, PATH: path.join(dir, 'bin'), ESPEAK_EXIT: '0', ...env }
+      });
+      return fs.readFileSync(path.join(dir, 'log'), 'utf-8').trim().split('\n');
+    };
+    fs.chmodSync(path.join(dir, 'bin', 'paplay'), 0o755);
+    fs.chmodSync(path.join(dir, 'bin', 'espeak-ng'), 0o755);
+
+    assert.deepStrictEqual(hook(), ['espeak-ng -a 50 --stdin api is done']);
+    assert.deepStrictEqual(hook({ ESPEAK_EXIT: '1' }), ['espeak-ng -a 50 --stdin api is done', `paplay --volume=32768 ${ding}`]);
+    fs.unlinkSync(path.join(dir, 'bin', 'espeak-ng'));
+    assert.deepStrictEqual(hook(), [`paplay --volume=32768 ${ding}`]);
+  });
+});
+
+test('prompts are only tracked for minDuration and {{elapsed}}', async () => {
+  const tracks = async config => Boolean((await renderHooks(config)).hooks.UserPromptSubmit);
+
+  assert.ok(!(await tracks({ events: { Stop: { desktop: true }, SubagentStop: { desktop: true } } })));
+  assert.ok(await tracks({ events: { Stop: { desktop: true, minDuration: 30 } } }));
+  assert.ok(await tracks({ events: { Stop: { desktop: true, body: '{{project}}: done after {{ elapsed }}' } } }));
+  assert.ok(await tracks({ events: { PostToolUse: { matchers: { Bash: { desktop: true, speak: '{{elapsed_seconds}} seconds' } } } } }));
+  assert.ok(await tracks({ events: { Stop: { channels: ['ci'] } }, channels: { ci: { type: 'webhook', url: 'http://x', body: { took: '{{elapsed}}' } } } }));
+  assert.ok(!(await tracks({ events: { Stop: { desktop: true, minDuration: 30, enabled: false } } })));
+});
+
+test('quiet hours cover overnight windows, timezones and day boundaries', () => {
+  const nights = { timezone: 'Europe/Berlin', rules: [{ days: 'weekdays', from: '22:00', to: '08:00', mute: ['sound'] }] };
+  const weekends = { ...nights, rules: [...nights.rules, { days: 'weekends', mute: ['sound'] }] };
+  const muted = (quietHours, iso) => getQuietState(quietHours, new Date(iso)).muted;
+
+  // Berlin is UTC+2 until 25 October 2026; the 19th is a Monday
+  assert.deepStrictEqual(muted(weekends, '2026-10-18T23:30:00Z'), ['sound']); // Mon 01:30
+  assert.deepStrictEqual(muted(nights, '2026-10-19T05:59:00Z'), ['sound']); // Mon 07:59
+  assert.deepStrictEqual(muted(nights, '2026-10-19T06:00:00Z'), []); // Mon 08:00
+  assert.deepStrictEqual(muted(nights, '2026-10-19T19:59:00Z'), []); // Mon 21:59
+  assert.deepStrictEqual(muted(nights, '2026-10-19T20:00:00Z'), ['sound']); // Mon 22:00
+  assert.deepStrictEqual(muted(nights, '2026-10-23T21:00:00Z'), ['sound']); // Fri 23:00
+  assert.deepStrictEqual(muted(nights, '2026-10-23T23:00:00Z'), []); // Sat 01:00
+  assert.deepStrictEqual(muted(weekends, '2026-10-23T23:00:00Z'), ['sound']);
+  assert.deepStrictEqual(muted(nights, '2026-10-18T21:00:00Z'), []); // Sun 23:00
+  assert.deepStrictEqual(muted(weekends, '2026-10-18T21:00:00Z'), ['sound']);
+
+  // The same moment is 08:30 in Berlin and 02:30 in New York, or in a rule's own timezone
+  assert.deepStrictEqual(muted(nights, '2026-10-19T06:30:00Z'), []);
+  assert.deepStrictEqual(muted({ ...nights, timezone: 'America/New_York' }, '2026-10-19T06:30:00Z'), ['sound']);
+  assert.deepStrictEqual(muted({ ...nights, rules: [{ ...nights.rules[0], timezone: 'America/New_York' }] }, '2026-10-19T06:30:00Z'), ['sound']);
+
+  // A whole day ends at midnight, and every channel is muted without "mute"
+  assert.deepStrictEqual(muted({ timezone: 'UTC', rules: [{ days: 'sun' }] }, '2026-10-18T23:59:00Z'), ['sound', 'desktop', 'push']);
+  assert.deepStrictEqual(muted({ timezone: 'UTC', rules: [{ days: 'sun' }] }, '2026-10-19T00:00:00Z'), []);
+  assert.deepStrictEqual(muted({ timezone: 'UTC', rules: [{ days: 'fri-mon', from: '09:00', to: '24:00' }] }, '2026-10-19T23:59:00Z'), ['sound', 'desktop', 'push']);
+
+  assert.strictEqual(describeRule(parseQuietHours(nights).rules[0]), 'mon,tue,wed,thu,fri until 08:00 and from 22:00 Europe/Berlin, mute sound');
+  assert.throws(() => parseQuietHours({ rules: [{ from: '22:00' }] }), { code: 'INVALID_INPUT' });
+  assert.throws(() => parseQuietHours({ rules: [{ from: '25:00', to: '08:00' }] }), { code: 'INVALID_INPUT' });
+});
+
+test('rate limits throttle sounds and coalesce bursts of messages', () => {
+  const home = process.env.HOME;
+  const request = n => ({ sound: true, message: true, notification: { title: 'CCNudge', body: `tool ${n}` } });
+
+  return withTempDir({}, async (dir) => {
+    process.env.HOME = dir;
+    try {
+      const limits = parseRateLimits('PostToolUse', { throttle: { sound: 10 }, coalesce: { window: 10 } });
+      const t = 1000000;
+
+      // The first event starts a burst (and its flush process); later ones join it
+      assert.deepStrictEqual(await applyRateLimits('PostToolUse', limits, request(1), t), { sound: true, message: false, flush: true });
+      assert.deepStrictEqual(await applyRateLimits('PostToolUse', limits, request(2), t + 5000), { sound: false, message: false, flush: false });
+      assert.deepStrictEqual(await applyRateLimits('PostToolUse', limits, request(3), t + 10000), { sound: true, message: false, flush: false });
+
+      const burst = await takePendingNotification('PostToolUse', t + 10000);
+      assert.strictEqual(burst.count, 3);
+      assert.strictEqual(burst.notification.body, 'tool 3');
+      assert.strictEqual(burst.summary, '{{project}}: {{count}} tools finished');
+      assert.strictEqual(await takePendingNotification('PostToolUse', t + 10000), null);
+
+      // A burst whose flush process never came is dropped once its window is well over
+      await applyRateLimits('PostToolUse', limits, request(4), t + 20000);
+      assert.strictEqual((await applyRateLimits('PostToolUse', limits, request(5), t + 35001)).flush, true);
+      assert.strictEqual((await takePendingNotification('PostToolUse', t + 45001)).count, 1);
+
+      // Without coalescing, desktop throttling drops messages; other events keep their own state
+      const desktop = parseRateLimits('SubagentStop', { throttle: { desktop: 30 } });
+      assert.strictEqual((await applyRateLimits('SubagentStop', desktop, request(1), t)).message, true);
+      assert.strictEqual((await applyRateLimits('SubagentStop', desktop, request(2), t + 29999)).message, false);
+      assert.strictEqual((await applyRateLimits('SubagentStop', desktop, request(3), t + 30000)).message, true);
+
+      assert.throws(() => parseRateLimits('Stop', { coalesce: { window: 0 } }), { code: 'INVALID_INPUT' });
+      assert.throws(() => parseRateLimits('Stop', { throttle: { sound: '10' } }), { code: 'INVALID_INPUT' });
+    } finally {
+      process.env.HOME = home;
+    }
+  });
+});
+
+test('channel requests match each service', () => {
+  const message = { title: 'Büro: done', body: 'api: Claude has finished', vars: { hook_event_name: 'Stop', session_id: 's1' } };
+
+  const ntfy = buildRequest({ type: 'ntfy', url: 'https://ntfy.sh/', topic: 'my runs', priority: 4, tags: ['bell', 'robot'], token: 'tk' }, message);
+  assert.strictEqual(ntfy.url, 'https://ntfy.sh/my%20runs');
+  assert.deepStrictEqual(ntfy.headers, { 'Content-Type': 'text/plain; charset=utf-8', Title: 'B?ro: done', Priority: '4', Tags: 'bell,robot', Authorization: 'Bearer tk' });
+  assert.strictEqual(ntfy.body, message.body);
+
+  const gotify = buildRequest({ type: 'gotify', url: 'https://gotify.example.com/', token: 'a&b' }, message);
+  assert.strictEqual(gotify.url, 'https://gotify.example.com/message');
+  assert.strictEqual(gotify.headers['X-Gotify-Key'], 'a&b');
+  assert.deepStrictEqual(JSON.parse(gotify.body), { title: message.title, message: message.body, priority: 5 });
+
+  assert.deepStrictEqual(JSON.parse(buildRequest({ type: 'slack', url: 'https://hooks.slack.com/x' }, message).body), { text: `*${message.title}*\n${message.body}` });
+  assert.deepStrictEqual(
+    JSON.parse(buildRequest({ type: 'discord', url: 'https://discord.com/x', username: 'ccnudge' }, message).body),
+    { content: `**${message.title}**\n${message.body}`, username: 'ccnudge' }
+  );
+
+  const webhook = buildRequest({ type: 'webhook', url: 'http://localhost/x', method: 'PUT', headers: { Authorization: 'Bearer s' }, body: { text: '{{title}}: {{body}}', ids: ['{{session_id}}'], n: 1 } }, message);
+  assert.strictEqual(webhook.method, 'PUT');
+  assert.deepStrictEqual(webhook.headers, { 'Content-Type': 'application/json', Authorization: 'Bearer s' });
+  assert.deepStrictEqual(JSON.parse(webhook.body), { text: `${message.title}: ${message.body}`, ids: ['s1'], n: 1 });
+  assert.deepStrictEqual(JSON.parse(buildRequest({ type: 'webhook', url: 'http://localhost/x' }, message).body),
+    { title: message.title, message: message.body, event: 'Stop', payload: message.vars });
+  assert.strictEqual(buildRequest({ type: 'webhook', url: 'http://localhost/x', body: '{{event}} {{hook_event_name}}' }, message).body, ' Stop');
+});
+
+test('channels retry network errors and 5xx responses, not 4xx', async () => {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    req.resume();
+    const status = { '/flaky': hits[req.url] === 1 ? 503 : 200, '/missing': 404, '/down': 500 }[req.url] || 200;
+    res.writeHead(status).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const url = route => `http://127.0.0.1:${port}${route}`;
+  const message = { title: 't', body: 'b', vars: {} };
+
+  try {
+    const flaky = await sendToChannel('ci', { type: 'webhook', url: url('/flaky') }, message);
+    assert.deepStrictEqual([flaky.ok, flaky.statusCode, flaky.attempts], [true, 200, 2]);
+
+    const missing = await sendToChannel('ci', { type: 'webhook', url: url('/missing') }, message);
+    assert.deepStrictEqual([missing.ok, missing.error, missing.attempts, hits['/missing']], [false, 'HTTP 404', 1, 1]);
+
+    const down = await sendToChannel('ci', { type: 'webhook', url: url('/down'), retries: 0 }, message);
+    assert.deepStrictEqual([down.ok, down.error, down.attempts], [false, 'HTTP 500', 1]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  // Nobody listens on the port any more
+  const refused = await sendToChannel('ci', { type: 'webhook', url: url('/flaky'), retries: 0 }, message);
+  assert.deepStrictEqual([refused.ok, refused.attempts], [false, 1]);
+});
+
+test('history summaries name what changed between snapshots', () => {
+  const stop = { sound: '/a.wav' };
+  const from = { config: { events: { Stop: stop, Notification: { sound: '/b.wav' } } }, hooks: { Stop: [] } };
+
+  assert.deepStrictEqual(summarizeChanges(from, from), []);
+  assert.deepStrictEqual(summarizeChanges(from, {
+    config: { events: { Stop: { ...stop, enabled: false, volume: 40 }, PostToolUse: { desktop: true } }, activeProfile: 'work' },
+    hooks: { Stop: [] }
+  }), ['+PostToolUse', '-Notification', 'Stop disabled', '~Stop (volume)', 'profile work']);
+  assert.deepStrictEqual(summarizeChanges(from, { ...from, hooks: {} }), ['hooks in settings.json']);
+  assert.deepStrictEqual(
+    summarizeChanges({ ...from, settings: { model: 'a', hooks: {} } }, { ...from, settings: { model: 'b', hooks: { x: 1 } } }),
+    ['other settings']
+  );
+});
+
+test('presets keep stopped events off', () => {
+  const { events } = buildPreset('loud', { Stop: { sound: '/a.wav', enabled: false }, Notification: {} });
+  assert.deepStrictEqual(events.Stop, { sound: '/a.wav', enabled: false, desktop: true });
+  assert.deepStrictEqual(events.Notification, { sound: 'default', desktop: true });
+
+  const config = { events: { Stop: { sound: '/a.wav', enabled: false } }, activeProfile: 'work', profiles: { work: {} } };
+  assert.strictEqual(switchProfile(config, 'desktop-only'), 'work');
+  assert.deepStrictEqual(config.events, { Stop: { enabled: false, desktop: true } });
+  assert.deepStrictEqual(config.profiles.work.events, { Stop: { sound: '/a.wav', enabled: false } });
+});
+
+test('switching profiles saves the current events and rewrites the hooks, quietly', () => {
+  const home = process.env.HOME;
+  const events = { Stop: { desktop: true, minDuration: 30 }, Notification: { desktop: true, enabled: false } };
+
+  return withTempDir({ '.ccnudge/config.json': JSON.stringify({ version: 1, events }) }, async (dir) => {
+    process.env.HOME = dir;
+    const read = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+    const lines = [];
+    const logger = { info: line => lines.push(line) };
+    const log = console.log;
+
+    try {
+      const before = fs.readdirSync(path.join(dir, '.ccnudge'));
+      assert.strictEqual((await ccnudge.useProfile('loud', { dryRun: true })).dryRun, true);
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, '.ccnudge')), before);
+
+      // Library calls print nothing without a logger
+      console.log = line => lines.push(`console: ${line}`);
+      const result = await ccnudge.useProfile('loud');
+      console.log = log;
+      assert.deepStrictEqual(lines, []);
+      assert.deepStrictEqual([result.savedAs, result.events.sort()], ['default', ['Stop', 'UserPromptSubmit']]);
+      assert.deepStrictEqual(read('.ccnudge/config.json').events, {
+        Stop: { desktop: true, minDuration: 30, sound: 'default' },
+        Notification: { desktop: true, enabled: false, sound: 'default' }
+      });
+      assert.ok(read('.claude/settings.json').hooks.Stop[0].hooks[0].command.includes(' Stop --sound '));
+      assert.ok(!read('.claude/settings.json').hooks.Notification);
+
+      await ccnudge.useProfile('default', { logger });
+      assert.ok(lines.includes('Saved the previous events as profile loud'));
+      assert.ok(lines.includes('✅ Using profile default (2 event(s), user scope)'));
+      assert.deepStrictEqual(read('.ccnudge/config.json').events, events);
+      assert.deepStrictEqual((await ccnudge.listProfiles()).profiles.map(profile => [profile.name, profile.active]), [['loud', false], ['default', true]]);
+
+      await assert.rejects(ccnudge.useProfile('missing'), { code: 'INVALID_INPUT' });
+      await assert.rejects(ccnudge.deleteProfile('default'), { code: 'INVALID_INPUT' });
+      await ccnudge.deleteProfile('loud');
+      assert.deepStrictEqual(Object.keys(read('.ccnudge/config.json').profiles), ['default']);
+    } finally {
+      console.log = log;
+      process.env.HOME = home;
+    }
+  });
+});
+
+test('quiet presets neither play nor speak', () => {
+  const events = { Stop: { sound: '/a.wav', speak: '{{project}} done', voice: 'Samantha', rate: 200, volume: 40, title: 'Done' } };
+
+  assert.deepStrictEqual(buildPreset('desktop-only', events).events, { Stop: { title: 'Done', desktop: true } });
+  assert.deepStrictEqual(buildPreset('silent-but-log', events).events, { Stop: { title: 'Done', desktop: false, channels: ['log'] } });
+  assert.deepStrictEqual(buildPreset('loud', events).events.Stop, { ...events.Stop, desktop: true });
+});
+
+test('simulated payloads and matchers behave like Claude Code', () => {
+  const payload = buildPayload('PreToolUse', { tool: 'Edit', cwd: '/tmp' });
+  assert.strictEqual(payload.hook_event_name, 'PreToolUse');
+  assert.strictEqual(payload.tool_name, 'Edit');
+  assert.strictEqual(payload.cwd, path.resolve('/tmp'));
+  assert.ok(payload.tool_input.file_path);
+  assert.strictEqual(buildPayload('Notification', { message: 'hi' }).message, 'hi');
+  assert.throws(() => buildPayload('Stop', { tool: 'Bash' }), { code: 'INVALID_INPUT' });
+  assert.throws(() => buildPayload('PreToolUse', { type: 'idle_prompt' }), { code: 'INVALID_INPUT' });
+  assert.strictEqual(buildPayload('Notification', { type: 'idle_prompt' }).notification_type, 'idle_prompt');
+
+  assert.ok(matchesMatcher(undefined, 'Bash'));
+  assert.ok(matchesMatcher('*', 'Bash'));
+  assert.ok(matchesMatcher('Edit|Write', 'Write'));
+  assert.ok(matchesMatcher('mcp__.*', 'mcp__github__search'));
+  assert.ok(!matchesMatcher('Edit', 'NotebookEdit'));
+  assert.ok(matchesMatcher('Bash(', 'Bash('));
+  assert.ok(!matchesMatcher('idle_prompt', null));
+});
+
+test('notification types come from the payload, or from the message of older versions', () => {
+  assert.strictEqual(getNotificationType({ notification_type: 'auth_success', message: 'needs your permission' }), 'auth_success');
+  assert.strictEqual(getNotificationType({ message: 'Claude needs your permission to use Bash' }), 'permission_prompt');
+  assert.strictEqual(getNotificationType({ message: 'Claude is waiting for your input' }), 'idle_prompt');
+  assert.strictEqual(getNotificationType({ message: 'Something else' }), null);
+});
+
+test('project rules match directories by glob, the first match winning', () => {
+  assert.ok(matchesPath('api-*', '/home/me/code/api-gateway/src'));
+  assert.ok(!matchesPath('api-*', '/home/me/code/web-api'));
+  assert.ok(matchesPath('code/{api,web}', '/home/me/code/web'));
+  assert.ok(matchesPath('**/work/*', '/home/me/work/site/lib'));
+  assert.ok(matchesPath('/home/*/code', '/home/me/code/x'));
+  assert.ok(!matchesPath('/code', '/home/me/code'));
+  assert.ok(!matchesPath('api-*', '/home/me/code/api-gateway/src', true));
+  assert.throws(() => validateRule({ match: 'api-*' }), { code: 'INVALID_INPUT' });
+  assert.throws(() => validateRule({ match: '{a,b', sound: 'Pop' }), { code: 'INVALID_INPUT' });
+
+  return withTempDir({ 'api-one/.git/HEAD': '', 'api-one/src/x': '' }, async (dir) => {
+    const cwd = path.join(dir, 'api-one', 'src');
+    const rules = [
+      { match: 'src', gitRoot: true, sound: 'Glass' },
+      { match: 'api-*', events: ['Notification'], sound: 'Ping' },
+      { match: 'api-*', gitRoot: true, sound: 'Submarine' },
+      { match: 'src', sound: 'Pop' }
+    ];
+
+    assert.strictEqual((await findRule(rules, 'Stop', cwd)).index, 2);
+    assert.strictEqual((await findRule(rules, 'Notification', cwd)).index, 1);
+    assert.strictEqual((await findRule(rules, 'Stop', dir)), null);
+  });
+});
+
+test('rules store the path of their sound, and hooks never search the sound index', () => {
+  const home = process.env.HOME;
+
+  return withTempDir({ '.ccnudge/sounds/team/ding.oga': '' }, async (dir) => {
+    process.env.HOME = dir;
+    const ding = path.join(dir, '.ccnudge', 'sounds', 'team', 'ding.oga');
+
+    try {
+      assert.strictEqual(await resolveSound('ding'), ding);
+      await assert.rejects(resolveSound('ding', { index: false }), { code: 'SOUND_NOT_FOUND' });
+      assert.strictEqual(await resolveSound(ding, { index: false }), ding);
+
+      const { rule } = await ccnudge.addRule('api-*', { sound: 'ding' });
+      assert.deepStrictEqual(rule, { match: 'api-*', sound: ding });
+    } finally {
+      process.env.HOME = home;
+    }
+  });
+});
+
+test('dry-run diffs are unified diffs that patch applies', () => {
+  assert.strictEqual(createPatch('a.json', 'x\n', 'x\n'), '');
+  assert.strictEqual(createPatch('a.json', null, '{}'), '--- /dev/null\n+++ a.json\n@@ -0,0 +1 @@\n+{}\n\\ No newline at end of file');
+  assert.strictEqual(
+    createPatch('a.json', 'a\nb\nc\n', 'a\nB\nc\n'),
+    '--- a.json\n+++ a.json\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c'
+  );
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccnudge-diff-'));
+  try {
+    const before = Array.from({ length: 40 }, (_, i) => `line ${i}\n`).join('');
+    const after = before.replace('line 3\n', '').replace('line 20\n', 'line 20\nnew\n').replace(/line 39\n$/, 'last');
+    const file = path.join(dir, 'settings.json');
+    fs.writeFileSync(file, before);
+    try {
+      execFileSync('patch', ['-s', file], { input: `${createPatch(file, before, after)}\n`, stdio: ['pipe', 'ignore', 'ignore'] });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 'skipped: no patch';
+      }
+      throw error;
+    }
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), after);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+async function run() {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      const result = await fn();
+      console.log(typeof result === 'string' ? `-  ${name} (${result})` : `✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();